@@ -0,0 +1,142 @@
+// The HTTP service's error model. Every error response is
+//
+//   { "error": "<message>", "code": "<CODE>", "status": "error",
+//     "details": [...] }
+//
+// with details only on validation errors. apiError() makes an error the
+// service answers with as is; toApiError() classifies anything else that
+// a route or generator threw, so upstream failures, missing paths and
+// refs, and invalid input get their 4xx or 5xx status and code, and only
+// real faults are a 500 INTERNAL_ERROR.
+
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  INVALID_REPOSITORY_URL: 400,
+  UNKNOWN_PROVIDER: 400,
+  INVALID_SOURCE: 400,
+  INVALID_SOURCE_REQUEST: 400,
+  INVALID_CATEGORIES: 400,
+  NOT_A_GIT_REPOSITORY: 400,
+  UNAUTHORIZED: 401,
+  ADMIN_DISABLED: 403,
+  PATH_NOT_ALLOWED: 403,
+  PERMISSION_DENIED: 403,
+  SOURCE_ACCESS_DENIED: 403,
+  HOST_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  FILE_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  PATH_NOT_FOUND: 404,
+  REF_NOT_FOUND: 404,
+  SOURCE_NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  MAX_ENTRIES_EXCEEDED: 413,
+  RATE_LIMITED: 429,
+  CONCURRENCY_LIMITED: 429,
+  UPSTREAM_RATE_LIMITED: 429,
+  // The client went away, or cancelled the job, before it finished
+  ABORTED: 499,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+const NETWORK_ERRORS = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+];
+
+// code is a key of ERROR_CODES, which gives the status
+function apiError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = ERROR_CODES[code];
+  error.expose = true;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+// Errors from a provider's API carry its status code and rate limit (see
+// HttpClient). Their statusCode is the provider's, not ours.
+function fromUpstream(error) {
+  if (error.rateLimited || error.statusCode === 429) {
+    const upstream = apiError("UPSTREAM_RATE_LIMITED", error.message);
+    const reset = error.rateLimit && Date.parse(error.rateLimit.reset);
+    if (reset) {
+      upstream.retryAfter = Math.max(1, Math.ceil((reset - Date.now()) / 1000));
+    }
+    return upstream;
+  }
+  if (error.statusCode === 404) {
+    return apiError("SOURCE_NOT_FOUND", error.message);
+  }
+  if (error.statusCode === 401 || error.statusCode === 403) {
+    return apiError("SOURCE_ACCESS_DENIED", error.message);
+  }
+  // The provider refused what the client asked for; it is not an outage
+  if (error.statusCode === 400 || error.statusCode === 422) {
+    return apiError("INVALID_SOURCE_REQUEST", error.message);
+  }
+  return apiError("UPSTREAM_ERROR", error.message);
+}
+
+function toApiError(error) {
+  if (error.expose && ERROR_CODES[error.code]) {
+    return error;
+  }
+
+  // express.json() failures
+  if (error.type === "entity.parse.failed") {
+    return apiError("INVALID_JSON", `Invalid JSON body: ${error.message}`);
+  }
+  if (error.type === "entity.too.large") {
+    return apiError("PAYLOAD_TOO_LARGE", "Request body is too large");
+  }
+
+  if (error.name === "AbortError" || error.code === "JOB_CANCELLED") {
+    return apiError("ABORTED", error.message);
+  }
+  if (error.provider) {
+    return fromUpstream(error);
+  }
+  if (error.code === "ETIMEDOUT") {
+    return apiError("UPSTREAM_TIMEOUT", error.message);
+  }
+  if (NETWORK_ERRORS.includes(error.code)) {
+    return apiError("UPSTREAM_ERROR", error.message);
+  }
+  if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+    return apiError("PATH_NOT_FOUND", error.message);
+  }
+  if (error.code === "EACCES" || error.code === "EPERM") {
+    return apiError("PERMISSION_DENIED", error.message);
+  }
+
+  // Errors the modules already typed, like the sandbox's
+  if (ERROR_CODES[error.code]) {
+    return apiError(error.code, error.message, error.details);
+  }
+  return apiError("INTERNAL_ERROR", error.message);
+}
+
+function errorBody(error) {
+  return {
+    error: error.message,
+    code: error.code,
+    status: "error",
+    ...(error.details && { details: error.details }),
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  apiError,
+  toApiError,
+  errorBody,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const DEFAULT_RATE_LIMIT = 120;
+const DEFAULT_CONCURRENCY = 2;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// API keys of the HTTP service. Only the SHA-256 of each key is stored:
+//
+//   { "keys": [
+//     { "id": "ci", "sha256": "<hex>", "rateLimit": 60, "concurrency": 1,
+//       "serverToken": false }
+//   ] }
+//
+// rateLimit is requests per minute and concurrency how many generations
+// (tree and diff requests, queued or running jobs) may be in progress at
+// once; both default to the limits given to the constructor. With
+// serverToken false the key's requests never use the server's GitHub,
+// GitLab or Gitea token, only one the client sends.
+class ApiKeys {
+  constructor(keys = [], limits = {}) {
+    this.limits = {
+      rateLimit: limits.rateLimit || DEFAULT_RATE_LIMIT,
+      concurrency: limits.concurrency || DEFAULT_CONCURRENCY,
+    };
+    this.keys = keys.map((key) => {
+      if (!key.id || !/^[0-9a-f]{64}$/i.test(key.sha256 || "")) {
+        throw new Error(
+          `API key ${JSON.stringify(
+            key.id || null
+          )} needs an id and the sha256 hex digest of the key`
+        );
+      }
+      return {
+        id: String(key.id),
+        digest: Buffer.from(key.sha256, "hex"),
+        rateLimit: key.rateLimit || this.limits.rateLimit,
+        concurrency: key.concurrency || this.limits.concurrency,
+        serverToken: key.serverToken !== false,
+      };
+    });
+  }
+
+  // Keys from the JSON file API_KEYS_FILE and from API_KEYS, a comma
+  // separated list of id:sha256 pairs that get the default limits
+  static fromEnvironment(env = process.env) {
+    const keys = [];
+    if (env.API_KEYS_FILE) {
+      const config = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, "utf8"));
+      keys.push(...(config.keys || []));
+    }
+    (env.API_KEYS || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const separator = entry.lastIndexOf(":");
+        keys.push({
+          id: entry.slice(0, separator),
+          sha256: entry.slice(separator + 1),
+        });
+      });
+
+    return new ApiKeys(keys, {
+      rateLimit: Number(env.API_RATE_LIMIT) || undefined,
+      concurrency: Number(env.API_CONCURRENCY) || undefined,
+    });
+  }
+
+  static hash(key) {
+    return sha256(key).toString("hex");
+  }
+
+  // Without keys the service stays open
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  // The key entry for a key a client sent, or null. Every entry is
+  // compared, in constant time, so the timing does not tell which matched.
+  authenticate(key) {
+    if (!key) {
+      return null;
+    }
+    const digest = sha256(key);
+    let match = null;
+    this.keys.forEach((entry) => {
+      if (crypto.timingSafeEqual(entry.digest, digest) && !match) {
+        match = entry;
+      }
+    });
+    return match;
+  }
+
+  // What an anonymous client gets while no keys are configured; clients
+  // are then told apart by address
+  anonymous(address) {
+    return { id: `address:${address}`, ...this.limits, serverToken: true };
+  }
+}
+
+module.exports = {
+  ApiKeys,
+};
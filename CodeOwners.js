@@ -0,0 +1,164 @@
+const { globToRegExp } = require("./IgnoreRules");
+
+// GitHub CODEOWNERS support. GitHub uses the first of these files that
+// exists, in this order.
+const CODEOWNERS_LOCATIONS = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS",
+];
+
+// @user, @org/team or an email address
+const OWNER = /^(@[\w.-]+(\/[\w.-]+)?|[^@\s]+@[^@\s]+\.[^@\s]+)$/;
+
+// Patterns follow gitignore rules with GitHub's exceptions: no "!"
+// negation, no "[ ]" ranges, and "dir/*" only covers the files directly
+// in dir rather than everything below it.
+function compileOwnerPattern(pattern) {
+  let source = pattern;
+  const directoryOnly = source.endsWith("/");
+  if (directoryOnly) {
+    source = source.slice(0, -1);
+  }
+  const directChildren = /\/\*$/.test(source);
+  const anchored = source.includes("/");
+  if (source.startsWith("/")) {
+    source = source.slice(1);
+  }
+
+  const regexSource = globToRegExp(source);
+  return {
+    directoryOnly,
+    directChildren,
+    regex: new RegExp(
+      anchored ? `^${regexSource}$` : `^(?:.*/)?${regexSource}$`
+    ),
+  };
+}
+
+// Parses a CODEOWNERS file into { rules: [{ pattern, owners, line }],
+// errors: [{ line, message }] }. Like GitHub, lines with invalid syntax
+// are reported and skipped; a pattern without owners is valid and leaves
+// matching paths unowned.
+function parseCodeOwners(text) {
+  const rules = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    // "#" starts a comment unless escaped as "\#"
+    const content = rawLine.replace(/(^|[^\\])#.*$/, "$1").trim();
+    if (!content) return;
+
+    const [rawPattern, ...owners] = content.split(/\s+/);
+    const pattern = rawPattern.replace(/\\#/g, "#");
+
+    let message = null;
+    if (pattern.startsWith("!")) {
+      message = `negated pattern "${pattern}" is not supported`;
+    } else if (/(^|[^\\])\[/.test(pattern)) {
+      message = `character range in "${pattern}" is not supported`;
+    } else {
+      const invalid = owners.filter((owner) => !OWNER.test(owner));
+      if (invalid.length > 0) {
+        message = `invalid owner ${invalid
+          .map((owner) => `"${owner}"`)
+          .join(", ")}`;
+      }
+    }
+    if (message) {
+      errors.push({ line, message });
+      return;
+    }
+
+    rules.push({
+      pattern,
+      owners,
+      line,
+      ...compileOwnerPattern(pattern),
+    });
+  });
+
+  return { rules, errors };
+}
+
+class CodeOwners {
+  constructor(text, file = null) {
+    const { rules, errors } = parseCodeOwners(text);
+    this.file = file;
+    this.rules = rules;
+    this.errors = errors;
+  }
+
+  static matches(rule, relativePath, isDirectory) {
+    if (rule.regex.test(relativePath)) {
+      return rule.directoryOnly
+        ? isDirectory
+        : !(rule.directChildren && isDirectory);
+    }
+    if (rule.directChildren) {
+      return false;
+    }
+    // A pattern naming a directory covers everything below it
+    const parts = relativePath.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (rule.regex.test(parts.slice(0, i).join("/"))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // The matching rule that comes last wins; [] when none matches or the
+  // winning rule lists no owners. relativePath is from the repository root.
+  ownersOf(relativePath, isDirectory = false) {
+    for (let i = this.rules.length - 1; i >= 0; i--) {
+      if (CodeOwners.matches(this.rules[i], relativePath, isDirectory)) {
+        return this.rules[i].owners;
+      }
+    }
+    return [];
+  }
+
+  // Sets `owners` on every node of a tree. pathPrefix is the path of the
+  // tree's root in the repository, for trees of a subdirectory.
+  annotate(tree, pathPrefix = "") {
+    const visit = (node, nodePath) => {
+      node.owners = [...this.ownersOf(nodePath, node.type === "directory")];
+      (node.children || []).forEach((child) =>
+        visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+      );
+    };
+    visit(tree, pathPrefix);
+    return tree;
+  }
+
+  // What the tree root's metadata.codeOwners records
+  summary() {
+    return {
+      file: this.file,
+      rules: this.rules.length,
+      errors: this.errors,
+    };
+  }
+}
+
+// Reads the CODEOWNERS file with readFile(location), trying each location
+// in turn; readFile resolves with a Buffer or string, or with null when the
+// file is missing. Resolves with null when there is no CODEOWNERS file.
+async function loadCodeOwners(readFile) {
+  for (const location of CODEOWNERS_LOCATIONS) {
+    const content = await readFile(location);
+    if (content !== null) {
+      return new CodeOwners(content.toString("utf8"), location);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  CODEOWNERS_LOCATIONS,
+  CodeOwners,
+  parseCodeOwners,
+  loadCodeOwners,
+};
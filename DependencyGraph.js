@@ -0,0 +1,479 @@
+const { builtinModules } = require("module");
+const path = require("path");
+
+const { createLimiter } = require("./JsonTreeGenerator");
+const { dotString, mermaidText } = require("./renderers/diagram");
+
+// File-level dependency graph of the JavaScript and TypeScript sources in a
+// tree. Sources are scanned for require(), import/export ... from and
+// dynamic import() with string specifiers; relative specifiers are resolved
+// against the files in the tree the way Node and TypeScript bundlers do
+// (extensions, index files, ".js" naming a ".ts" source), bare specifiers
+// are recorded as packages. Specifiers built at runtime are not followed.
+
+const MODULE_EXTENSIONS = [
+  ".js",
+  ".mjs",
+  ".cjs",
+  ".jsx",
+  ".ts",
+  ".mts",
+  ".cts",
+  ".tsx",
+];
+
+// A ".js" specifier may name a TypeScript source compiled to it
+const SOURCE_EXTENSIONS = {
+  ".js": [".ts", ".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+  ".jsx": [".tsx"],
+};
+
+const BUILTINS = new Set(builtinModules);
+
+const IMPORT_PATTERNS = [
+  // import x from "m", import { a, b } from "m", import type T from "m",
+  // import "m"
+  {
+    kind: "import",
+    pattern:
+      /(?<![.\w$])import\s+(?:type\s+)?(?:[\w$*{},\s]+?\s+from\s*)?["']([^"'\n]+)["']/g,
+  },
+  // export * from "m", export { a } from "m"
+  {
+    kind: "export",
+    pattern:
+      /(?<![.\w$])export\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*["']([^"'\n]+)["']/g,
+  },
+  {
+    kind: "dynamic",
+    pattern: /(?<![.\w$])import\s*\(\s*["'`]([^"'`\n]+)["'`]\s*\)/g,
+  },
+  {
+    kind: "require",
+    pattern: /(?<![.\w$])require\s*\(\s*["'`]([^"'`\n]+)["'`]\s*\)/g,
+  },
+];
+
+function isModulePath(filePath) {
+  return (
+    MODULE_EXTENSIONS.includes(path.posix.extname(filePath)) &&
+    !/\.d\.[cm]?ts$/.test(filePath) &&
+    !filePath.split("/").includes("node_modules")
+  );
+}
+
+// Blanks out comments (keeping line breaks) so commented-out imports are
+// not picked up. Strings and template literals are skipped as a whole;
+// regular expression literals are not recognized, which only matters for
+// the rare one containing a quote or a comment marker.
+function stripComments(source) {
+  let output = "";
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === "/" && next === "/") {
+      const end = source.indexOf("\n", i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+    if (char === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const comment = source.slice(i, end === -1 ? source.length : end + 2);
+      output += comment.replace(/[^\n]/g, " ");
+      i += comment.length;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === "`") {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === "\\") end++;
+        // An unterminated quote ends with its line; template literals span
+        // lines
+        if (source[end] === "\n" && char !== "`") break;
+        end++;
+      }
+      output += source.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    output += char;
+    i++;
+  }
+  return output;
+}
+
+// [{ specifier, kind }] in source order, one entry per distinct specifier
+// and kind
+function extractImports(source) {
+  const code = stripComments(source);
+  const found = [];
+  IMPORT_PATTERNS.forEach(({ kind, pattern }) => {
+    for (const match of code.matchAll(pattern)) {
+      found.push({ specifier: match[1], kind, index: match.index });
+    }
+  });
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .filter(({ specifier, kind }) => {
+      const key = `${kind}:${specifier}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ specifier, kind }) => ({ specifier, kind }));
+}
+
+// "lodash/fp" -> "lodash", "@scope/pkg/sub" -> "@scope/pkg"
+function packageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+// Resolves a relative specifier from the importing file to a module path
+// in the tree, or null
+function resolveSpecifier(fromPath, specifier, files) {
+  const base = path.posix.normalize(
+    path.posix.join(path.posix.dirname(fromPath), specifier)
+  );
+  if (base.startsWith("../")) {
+    return null;
+  }
+
+  const extension = path.posix.extname(base);
+  const candidates = [
+    base,
+    ...(SOURCE_EXTENSIONS[extension] || []).map(
+      (source) => base.slice(0, -extension.length) + source
+    ),
+    ...MODULE_EXTENSIONS.map((ext) => `${base}${ext}`),
+    `${base}.json`,
+    ...MODULE_EXTENSIONS.map((ext) => path.posix.join(base, `index${ext}`)),
+  ];
+  return candidates.find((candidate) => files.has(candidate)) || null;
+}
+
+// Tarjan's strongly connected components. Every component with more than
+// one module, or a module importing itself, is a cycle.
+function findCycles(modules, edges) {
+  const adjacency = new Map(modules.map((module) => [module, []]));
+  edges.forEach(({ from, to }) => adjacency.get(from).push(to));
+
+  let index = 0;
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (module) => {
+    indexes.set(module, index);
+    lowLinks.set(module, index);
+    index++;
+    stack.push(module);
+    onStack.add(module);
+
+    adjacency.get(module).forEach((target) => {
+      if (!indexes.has(target)) {
+        connect(target);
+        lowLinks.set(
+          module,
+          Math.min(lowLinks.get(module), lowLinks.get(target))
+        );
+      } else if (onStack.has(target)) {
+        lowLinks.set(
+          module,
+          Math.min(lowLinks.get(module), indexes.get(target))
+        );
+      }
+    });
+
+    if (lowLinks.get(module) === indexes.get(module)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== module);
+      components.push(component);
+    }
+  };
+
+  modules.forEach((module) => {
+    if (!indexes.has(module)) connect(module);
+  });
+
+  return components
+    .filter(
+      (component) =>
+        component.length > 1 ||
+        adjacency.get(component[0]).includes(component[0])
+    )
+    .map((component) => {
+      const members = new Set(component);
+      const start = [...component].sort()[0];
+      return {
+        modules: [...component].sort(),
+        path: shortestCycle(start, adjacency, members),
+      };
+    })
+    .sort((a, b) => a.path[0].localeCompare(b.path[0]));
+}
+
+// Breadth-first search for the shortest way from start back to itself
+// within one component, e.g. ["a.js", "b.js", "a.js"]
+function shortestCycle(start, adjacency, members) {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const module = queue.shift();
+    for (const target of adjacency.get(module)) {
+      if (!members.has(target)) continue;
+      if (target === start) {
+        const steps = [];
+        for (let step = module; step !== start; step = previous.get(step)) {
+          steps.unshift(step);
+        }
+        return [start, ...steps, start];
+      }
+      if (!previous.has(target)) {
+        previous.set(target, module);
+        queue.push(target);
+      }
+    }
+  }
+  return [start];
+}
+
+// Module paths a package.json points at: main, module, browser, bin,
+// exports and files run by its scripts
+function packageEntryPoints(packagePath, manifest, files) {
+  const directory = path.posix.dirname(packagePath);
+  const targets = [];
+  const collect = (value) => {
+    if (typeof value === "string") targets.push(value);
+    else if (value && typeof value === "object") {
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(manifest.main);
+  collect(manifest.module);
+  collect(manifest.browser);
+  collect(manifest.bin);
+  collect(manifest.exports);
+  Object.values(manifest.scripts || {}).forEach((script) =>
+    String(script)
+      .split(/[\s;&|]+/)
+      .filter((word) => isModulePath(word))
+      .forEach((word) => targets.push(word))
+  );
+
+  return targets
+    .map((target) =>
+      resolveSpecifier(
+        path.posix.join(directory === "." ? "" : directory, "package.json"),
+        target.startsWith(".") ? target : `./${target}`,
+        files
+      )
+    )
+    .filter(Boolean);
+}
+
+// Files loaded by tools rather than imported: tests and config files
+function isToolEntryPoint(filePath) {
+  const name = path.posix.basename(filePath);
+  return (
+    /\.(test|spec)\.[cm]?[jt]sx?$/.test(name) ||
+    /(^|\/)(__tests__|__mocks__)\//.test(filePath) ||
+    /\.config\.[cm]?[jt]s$/.test(name) ||
+    name.startsWith(".")
+  );
+}
+
+function collectFiles(tree) {
+  const files = new Map();
+  const visit = (node, nodePath) => {
+    if (node.type === "file") {
+      files.set(nodePath, node);
+      return;
+    }
+    (node.children || []).forEach((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+  };
+  visit(tree, "");
+  return files;
+}
+
+// Builds the graph of a tree. readFile receives a file node and resolves
+// with its content (a Buffer or string); it is only called for modules and
+// package.json files. Paths are relative to the tree's root.
+//
+// Resolves with
+//   {
+//     modules: ["src/a.js", ...],
+//     edges: [{ from, to, kind }],        kind: import | export | dynamic |
+//                                                require
+//     packages: { name: [importing modules] },
+//     builtins: ["fs", ...],
+//     unresolved: [{ from, specifier }],  relative imports with no match
+//     entryPoints: [...],                 named by a package.json, tests and
+//                                         config files
+//     cycles: [{ modules, path }],
+//     orphans: [...],                     imported by no other module and
+//                                         not an entry point
+//   }
+async function buildDependencyGraph(tree, readFile, options = {}) {
+  const files = collectFiles(tree);
+  const modules = [...files.keys()].filter(isModulePath).sort();
+  const limit = createLimiter(options.concurrency || 8);
+
+  const read = async (filePath) => {
+    try {
+      const content = await limit(() => readFile(files.get(filePath)));
+      return content.toString("utf8");
+    } catch (error) {
+      // Unreadable files stay in the graph without dependencies
+      return null;
+    }
+  };
+
+  const edges = [];
+  const packages = {};
+  const builtins = new Set();
+  const unresolved = [];
+
+  const sources = await Promise.all(modules.map(read));
+  modules.forEach((module, i) => {
+    if (sources[i] === null) return;
+
+    const targets = new Set();
+    extractImports(sources[i]).forEach(({ specifier, kind }) => {
+      if (specifier.startsWith(".") || specifier.startsWith("/")) {
+        const target = specifier.startsWith("/")
+          ? null
+          : resolveSpecifier(module, specifier, files);
+        if (!target) {
+          unresolved.push({ from: module, specifier });
+        } else if (isModulePath(target) && !targets.has(target)) {
+          targets.add(target);
+          edges.push({ from: module, to: target, kind });
+        }
+        return;
+      }
+
+      const name = specifier.replace(/^node:/, "");
+      if (specifier.startsWith("node:") || BUILTINS.has(packageName(name))) {
+        builtins.add(packageName(name));
+        return;
+      }
+      const pkg = packageName(specifier);
+      packages[pkg] = packages[pkg] || [];
+      if (!packages[pkg].includes(module)) {
+        packages[pkg].push(module);
+      }
+    });
+  });
+
+  const manifests = [...files.keys()].filter(
+    (filePath) =>
+      path.posix.basename(filePath) === "package.json" &&
+      !filePath.split("/").includes("node_modules")
+  );
+  const entryPoints = new Set(modules.filter(isToolEntryPoint));
+  for (const manifestPath of manifests) {
+    const content = await read(manifestPath);
+    try {
+      packageEntryPoints(manifestPath, JSON.parse(content), files).forEach(
+        (entry) => entryPoints.add(entry)
+      );
+    } catch (error) {
+      // Unreadable or invalid manifests name no entry points
+    }
+  }
+
+  const imported = new Set(
+    edges.filter(({ from, to }) => from !== to).map(({ to }) => to)
+  );
+
+  return {
+    modules,
+    edges,
+    packages: Object.fromEntries(
+      Object.entries(packages).sort(([a], [b]) => a.localeCompare(b))
+    ),
+    builtins: [...builtins].sort(),
+    unresolved,
+    entryPoints: modules.filter((module) => entryPoints.has(module)),
+    cycles: findCycles(modules, edges),
+    orphans: modules.filter(
+      (module) => !imported.has(module) && !entryPoints.has(module)
+    ),
+  };
+}
+
+// Mermaid node ids must be plain words, so modules are numbered
+function toMermaid(graph) {
+  const ids = new Map(graph.modules.map((module, i) => [module, `m${i}`]));
+  const cyclic = new Set(graph.cycles.flatMap(({ modules }) => modules));
+  const lines = ["flowchart LR"];
+
+  graph.modules.forEach((module) =>
+    lines.push(`  ${ids.get(module)}["${mermaidText(module)}"]`)
+  );
+  graph.edges.forEach(({ from, to, kind }) =>
+    lines.push(
+      `  ${ids.get(from)} ${kind === "dynamic" ? "-.->" : "-->"} ${ids.get(to)}`
+    )
+  );
+  if (cyclic.size > 0) {
+    lines.push("  classDef cycle stroke:#d73a49,stroke-width:2px");
+    lines.push(
+      `  class ${[...cyclic].map((module) => ids.get(module)).join(",")} cycle`
+    );
+  }
+  return lines.join("\n");
+}
+
+function toDot(graph, name = "dependencies") {
+  const cyclic = new Set(graph.cycles.flatMap(({ modules }) => modules));
+  const lines = [
+    `digraph ${dotString(name)} {`,
+    "  rankdir=LR;",
+    "  node [shape=box, fontname=monospace];",
+  ];
+
+  graph.modules.forEach((module) =>
+    lines.push(
+      `  ${dotString(module)}${cyclic.has(module) ? " [color=red]" : ""};`
+    )
+  );
+  graph.edges.forEach(({ from, to, kind }) =>
+    lines.push(
+      `  ${dotString(from)} -> ${dotString(to)}${
+        kind === "dynamic" ? " [style=dashed]" : ""
+      };`
+    )
+  );
+  lines.push("}");
+  return lines.join("\n");
+}
+
+module.exports = {
+  MODULE_EXTENSIONS,
+  isModulePath,
+  stripComments,
+  extractImports,
+  resolveSpecifier,
+  findCycles,
+  buildDependencyGraph,
+  toMermaid,
+  toDot,
+};
@@ -0,0 +1,460 @@
+// Developer documentation built from a JSON tree (see JsonTreeGenerator.js).
+// Shared by the HTTP service and the tree-gen command line tool.
+const { buildDependencyGraph, toDot, toMermaid } = require("./DependencyGraph");
+const { summarizeAnalysis } = require("./FileAnalysis");
+const {
+  CATEGORIES,
+  FileCategorizer,
+  PRESETS,
+  loadFileCategorizer,
+} = require("./FileCategories");
+const { summarizeHistory } = require("./GitHistory");
+const { parseManifests } = require("./Manifests");
+const { formatSize } = require("./renderers/labels");
+
+// Mermaid refuses to render graphs with more edges than this by default
+const MERMAID_MAX_EDGES = 500;
+
+// Categories listed under dataFlow as well
+const DATA_FLOW = {
+  entryPoints: "entryPoints",
+  services: "services",
+  models: "dataModels",
+  utilities: "utilities",
+};
+
+// Overview sections of the Markdown, in order; empty ones are left out
+const OVERVIEW_SECTIONS = [
+  ["Entry Points", "entryPoints"],
+  ["Routes", "routes"],
+  ["Controllers", "controllers"],
+  ["Middleware", "middleware"],
+  ["Services", "services"],
+  ["Data Models", "models"],
+  ["Pages", "pages"],
+  ["Components", "components"],
+  ["Utilities", "utilities"],
+];
+
+// options.readFile, (fileNode) => Promise<Buffer> (see the generators'
+// contentReader), lets the docs include build manifests and the module
+// dependency graph, and read .treegen.json; options.categories is { preset, rules } for
+// FileCategories.js
+async function generateDevDocs(tree, repoInfo, options = {}) {
+  const timestamp = new Date().toISOString();
+  const categorizer = await loadFileCategorizer(tree, options);
+  const docTemplate = {
+    metadata: {
+      generatedAt: timestamp,
+      repository: repoInfo,
+      lastUpdated: repoInfo.repository?.updated_at || timestamp,
+    },
+    projectStructure: {
+      categorization: {
+        presets: categorizer.presets,
+        detected: categorizer.detected,
+        configFile: categorizer.configFile,
+      },
+      overview: Object.fromEntries(
+        CATEGORIES.map((category) => [category, []])
+      ),
+      dataFlow: {
+        entryPoints: [],
+        services: [],
+        dataModels: [],
+        utilities: [],
+      },
+    },
+  };
+
+  // Paths in the docs start with the root's name; rules match paths
+  // relative to the root
+  function processNode(node, parentPath = "", relativePath = "") {
+    const currentPath = parentPath ? `${parentPath}/${node.name}` : node.name;
+
+    if (node.type === "file") {
+      const category = categorizer.categorize(
+        relativePath,
+        node.metadata?.language
+      );
+      if (category) {
+        docTemplate.projectStructure.overview[category].push({
+          name: node.name,
+          path: currentPath,
+          size: node.metadata?.size ? formatSize(node.metadata.size) : "N/A",
+          lastModified: node.metadata?.modified || "N/A",
+        });
+
+        const flow = DATA_FLOW[category];
+        if (flow) {
+          docTemplate.projectStructure.dataFlow[flow].push({
+            name: node.name,
+            path: currentPath,
+          });
+        }
+      }
+    }
+
+    if (node.children) {
+      node.children.forEach((child) =>
+        processNode(
+          child,
+          currentPath,
+          relativePath ? `${relativePath}/${child.name}` : child.name
+        )
+      );
+    }
+  }
+
+  processNode(tree);
+
+  // Present when the generator analyzed file contents (see FileAnalysis.js)
+  const analysis = summarizeAnalysis(tree);
+  if (analysis) {
+    docTemplate.languages = analysis.languages;
+  }
+
+  // Present when the generator read the git history (history: true)
+  const history = summarizeHistory(tree, options);
+  if (history) {
+    docTemplate.history = history;
+  }
+
+  // Present when the generator found a CODEOWNERS file
+  if (tree.metadata?.codeOwners) {
+    docTemplate.ownership = summarizeOwnership(tree);
+  }
+
+  if (options.readFile) {
+    docTemplate.manifests = await parseManifests(tree, options.readFile);
+
+    const graph = await buildDependencyGraph(tree, options.readFile);
+    docTemplate.dependencies = {
+      ...graph,
+      diagrams: {
+        mermaid: toMermaid(graph),
+        dot: toDot(graph, repoInfo.repository.name),
+      },
+    };
+  }
+
+  return {
+    markdown: generateMarkdown(docTemplate, repoInfo),
+    documentation: docTemplate,
+  };
+}
+
+// File counts per owner and the unowned paths of a tree annotated from
+// CODEOWNERS. Paths are relative to the root; a directory whose files are
+// all unowned is listed instead of its contents.
+function summarizeOwnership(tree) {
+  const owners = {};
+  let ownedFiles = 0;
+  let totalFiles = 0;
+
+  const visit = (node, nodePath) => {
+    const nodeOwners = node.owners || [];
+    if (node.type !== "directory") {
+      totalFiles++;
+      if (nodeOwners.length === 0) {
+        return { unowned: [nodePath], allUnowned: true };
+      }
+      ownedFiles++;
+      nodeOwners.forEach((owner) => {
+        owners[owner] = (owners[owner] || 0) + 1;
+      });
+      return { unowned: [], allUnowned: false };
+    }
+
+    const results = (node.children || []).map((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+    const allUnowned =
+      results.length > 0 && results.every((result) => result.allUnowned);
+    return {
+      unowned:
+        allUnowned && nodePath
+          ? [`${nodePath}/`]
+          : results.flatMap((result) => result.unowned),
+      allUnowned,
+    };
+  };
+
+  const { unowned } = visit(tree, "");
+  const { file, errors } = tree.metadata.codeOwners;
+  return { file, errors, owners, ownedFiles, totalFiles, unowned };
+}
+
+function generateMarkdown(docTemplate, repoInfo) {
+  return `# Project Structure Documentation
+Generated on: ${new Date().toLocaleString()}
+
+## Repository Information
+- Name: ${repoInfo.repository.name}
+- Owner: ${repoInfo.repository.owner}
+- Branch: ${repoInfo.repository.branch}${
+    repoInfo.repository.commit
+      ? `\n- Commit: ${repoInfo.repository.commit}`
+      : ""
+  }${repoInfo.repository.path ? `\n- Path: ${repoInfo.repository.path}` : ""}
+
+## Project Overview
+${generateOverviewSection(docTemplate.projectStructure)}
+${generateLanguageSection(docTemplate.languages)}${generateHistorySection(
+    docTemplate.history
+  )}${generateOwnershipSection(docTemplate.ownership)}${generateManifestSection(
+    docTemplate.manifests
+  )}${generateDependencySection(docTemplate.dependencies)}`;
+}
+
+function generateOverviewSection({ categorization, overview }) {
+  const presets = categorization.presets
+    .map((name) => PRESETS[name].name)
+    .join(", ");
+  const layout = presets
+    ? `Layout: ${presets}${categorization.detected ? " (detected)" : ""}\n\n`
+    : "";
+
+  return `${layout}${OVERVIEW_SECTIONS.filter(
+    ([, category]) => overview[category].length > 0
+  )
+    .map(
+      ([title, category]) =>
+        `### ${title}\n${overview[category]
+          .map((file) => `- \`${file.path}\``)
+          .join("\n")}\n`
+    )
+    .join("\n")}`;
+}
+
+function generateLanguageSection(languages) {
+  if (!languages) {
+    return "";
+  }
+
+  const rows = Object.entries(languages)
+    .sort(([, a], [, b]) => b.lines.code - a.lines.code || b.files - a.files)
+    .map(
+      ([language, stats]) =>
+        `| ${language} | ${stats.files} | ${stats.lines.code} | ${stats.lines.comment} | ${stats.lines.blank} |`
+    );
+
+  return `## Languages
+
+| Language | Files | Code | Comment | Blank |
+| -------- | ----- | ---- | ------- | ----- |
+${rows.join("\n")}
+
+`;
+}
+
+function generateHistorySection(history) {
+  if (!history) {
+    return "";
+  }
+
+  const day = (date) => (date ? date.slice(0, 10) : "N/A");
+  const hotspots = history.hotspots.map((file) => {
+    const more = file.complete ? "" : "+";
+    return `| \`${file.path}\` | ${file.commits}${more} | ${
+      file.authors
+    }${more} | ${day(file.lastCommitDate)} | ${file.lastAuthor} |`;
+  });
+  const staleAreas = history.staleAreas.map(
+    (area) =>
+      `| \`${area.path}\` | ${area.files} | ${day(area.lastCommitDate)} |`
+  );
+
+  return `## History
+
+### Hotspots
+Files changed most often. A "+" marks counts from a shortened history.
+
+| File | Commits | Authors | Last Change | Last Author |
+| ---- | ------- | ------- | ----------- | ----------- |
+${hotspots.join("\n")}
+
+### Stale Areas
+Directories with no changes since ${day(history.staleSince)}.
+
+${
+  staleAreas.length > 0
+    ? `| Directory | Files | Last Change |
+| --------- | ----- | ----------- |
+${staleAreas.join("\n")}`
+    : "None found."
+}
+
+`;
+}
+
+function generateOwnershipSection(ownership) {
+  if (!ownership) {
+    return "";
+  }
+
+  const rows = Object.entries(ownership.owners)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([owner, count]) => `| ${owner} | ${count} |`);
+
+  return `## Ownership
+Owners from \`${ownership.file}\`: ${ownership.ownedFiles} of ${
+    ownership.totalFiles
+  } files have an owner.
+${
+  rows.length > 0
+    ? `
+| Owner | Files |
+| ----- | ----- |
+${rows.join("\n")}
+`
+    : ""
+}
+### Unowned Paths
+${
+  ownership.unowned.length > 0
+    ? ownership.unowned.map((unownedPath) => `- \`${unownedPath}\``).join("\n")
+    : "None found."
+}
+${
+  ownership.errors.length > 0
+    ? `
+### CODEOWNERS Errors
+These lines are ignored, as they are by GitHub.
+
+${ownership.errors
+  .map(({ line, message }) => `- line ${line}: ${message}`)
+  .join("\n")}
+`
+    : ""
+}
+`;
+}
+
+// Subsections of each manifest in the Markdown: title, field and the list
+// item for one entry; empty ones are left out
+const MANIFEST_SUBSECTIONS = [
+  ["Runtime", "runtime", ({ name, version }) => `- ${name} \`${version}\``],
+  ["Dependencies", "dependencies", formatDependency],
+  ["Dev Dependencies", "devDependencies", formatDependency],
+  [
+    "Scripts",
+    "scripts",
+    ({ name, command }) => `- \`${name}\`: \`${command}\``,
+  ],
+  [
+    "Entry Points",
+    "entryPoints",
+    ({ name, target }) => `- ${name}: \`${target}\``,
+  ],
+];
+
+function formatDependency({ name, version, group, indirect }) {
+  const notes = [group, indirect && "indirect"].filter(Boolean).join(", ");
+  return `- \`${name}\`${version ? ` ${version}` : ""}${
+    notes ? ` (${notes})` : ""
+  }`;
+}
+
+function generateManifestSection(manifests) {
+  if (!manifests || manifests.length === 0) {
+    return "";
+  }
+
+  return `## Build and Dependencies
+${manifests
+  .map((manifest) => {
+    const heading = `### \`${manifest.path}\` (${manifest.type})`;
+    if (manifest.error) {
+      return `${heading}\nCould not be read: ${manifest.error}\n`;
+    }
+
+    const project = [manifest.name, manifest.version].filter(Boolean).join(" ");
+    const subsections = MANIFEST_SUBSECTIONS.filter(
+      ([, field]) => manifest[field].length > 0
+    ).map(
+      ([title, field, format]) =>
+        `#### ${title}\n${manifest[field].map(format).join("\n")}\n`
+    );
+    return [heading, project && `Project: ${project}\n`, ...subsections]
+      .filter(Boolean)
+      .join("\n");
+  })
+  .join("\n")}
+`;
+}
+
+function generateDependencySection(dependencies) {
+  if (!dependencies) {
+    return "";
+  }
+
+  const list = (items, format) =>
+    items.length > 0 ? items.map(format).join("\n") : "None found.";
+  const packages = Object.entries(dependencies.packages);
+  const mermaid =
+    dependencies.edges.length > MERMAID_MAX_EDGES
+      ? `The graph has ${dependencies.edges.length} imports, more than Mermaid renders; see the DOT version below.`
+      : `\`\`\`mermaid\n${dependencies.diagrams.mermaid}\n\`\`\``;
+
+  return `## Dependency Graph
+${dependencies.modules.length} modules, ${
+    dependencies.edges.length
+  } imports between them, ${packages.length} external packages.
+Dashed arrows are dynamic \`import()\` calls; modules in a cycle are highlighted.
+
+${mermaid}
+
+<details>
+<summary>Graphviz (DOT)</summary>
+
+\`\`\`dot
+${dependencies.diagrams.dot}
+\`\`\`
+
+</details>
+
+### Circular Dependencies
+${list(
+  dependencies.cycles,
+  (cycle) => `- ${cycle.path.map((module) => `\`${module}\``).join(" → ")}`
+)}
+
+### Orphan Modules
+Modules no other module imports that are not entry points, tests or config files.
+
+${list(dependencies.orphans, (module) => `- \`${module}\``)}
+
+### External Packages
+${list(
+  packages,
+  ([name, importers]) =>
+    `- \`${name}\` (${importers.length} ${
+      importers.length === 1 ? "module" : "modules"
+    })`
+)}
+${
+  dependencies.unresolved.length > 0
+    ? `
+### Unresolved Imports
+${list(
+  dependencies.unresolved,
+  ({ from, specifier }) => `- \`${specifier}\` in \`${from}\``
+)}
+`
+    : ""
+}`;
+}
+
+// Category of one file under the default rules alone
+const defaultCategorizer = new FileCategorizer();
+function categorizeFile(filePath) {
+  return defaultCategorizer.categorize(filePath);
+}
+
+module.exports = {
+  generateDevDocs,
+  generateMarkdown,
+  categorizeFile,
+  formatSize,
+};
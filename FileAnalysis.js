@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const path = require("path");
+
+// Per-file content analysis: language, binary flag, line counts and the
+// git blob SHA-1. Languages are detected by file name, then extension, then
+// shebang. Line counting is a heuristic in the spirit of cloc: a line is a
+// comment when it starts with a comment marker or lies inside a block
+// comment that started at the beginning of a line; markers in the middle of
+// code are not tracked, so strings such as "src/**/*.js" cannot open a
+// phantom block.
+
+const C_STYLE = { line: ["//"], block: [["/*", "*/"]] };
+const HASH = { line: ["#"], block: [] };
+const MARKUP = { line: [], block: [["<!--", "-->"]] };
+const NONE = { line: [], block: [] };
+
+const LANGUAGES = {
+  JavaScript: { extensions: [".js", ".mjs", ".cjs", ".jsx"], ...C_STYLE },
+  TypeScript: { extensions: [".ts", ".mts", ".cts", ".tsx"], ...C_STYLE },
+  JSON: { extensions: [".json"], ...NONE },
+  Markdown: { extensions: [".md", ".markdown", ".mdx"], ...MARKUP },
+  HTML: { extensions: [".html", ".htm"], ...MARKUP },
+  XML: { extensions: [".xml", ".xsd", ".xsl", ".plist"], ...MARKUP },
+  SVG: { extensions: [".svg"], ...MARKUP },
+  Vue: { extensions: [".vue"], ...MARKUP },
+  Svelte: { extensions: [".svelte"], ...MARKUP },
+  CSS: { extensions: [".css"], line: [], block: [["/*", "*/"]] },
+  SCSS: { extensions: [".scss"], ...C_STYLE },
+  Less: { extensions: [".less"], ...C_STYLE },
+  Python: {
+    extensions: [".py", ".pyi"],
+    line: ["#"],
+    block: [
+      ['"""', '"""'],
+      ["'''", "'''"],
+    ],
+  },
+  Ruby: {
+    extensions: [".rb", ".rake", ".gemspec"],
+    filenames: ["Gemfile", "Rakefile"],
+    line: ["#"],
+    block: [["=begin", "=end"]],
+  },
+  Go: { extensions: [".go"], ...C_STYLE },
+  Rust: { extensions: [".rs"], ...C_STYLE },
+  Java: { extensions: [".java"], ...C_STYLE },
+  Kotlin: { extensions: [".kt", ".kts"], ...C_STYLE },
+  Scala: { extensions: [".scala", ".sc"], ...C_STYLE },
+  Groovy: {
+    extensions: [".groovy", ".gradle"],
+    filenames: ["Jenkinsfile"],
+    ...C_STYLE,
+  },
+  Swift: { extensions: [".swift"], ...C_STYLE },
+  Dart: { extensions: [".dart"], ...C_STYLE },
+  C: { extensions: [".c", ".h"], ...C_STYLE },
+  "C++": {
+    extensions: [".cpp", ".cc", ".cxx", ".hpp", ".hh", ".hxx"],
+    ...C_STYLE,
+  },
+  "C#": { extensions: [".cs"], ...C_STYLE },
+  PHP: {
+    extensions: [".php"],
+    line: ["//", "#"],
+    block: [["/*", "*/"]],
+  },
+  Shell: {
+    extensions: [".sh", ".bash", ".zsh", ".ksh"],
+    filenames: [".bashrc", ".bash_profile", ".zshrc", ".profile"],
+    ...HASH,
+  },
+  PowerShell: {
+    extensions: [".ps1", ".psm1"],
+    line: ["#"],
+    block: [["<#", "#>"]],
+  },
+  Perl: { extensions: [".pl", ".pm"], ...HASH },
+  Lua: {
+    extensions: [".lua"],
+    line: ["--"],
+    block: [["--[[", "]]"]],
+  },
+  Haskell: { extensions: [".hs"], line: ["--"], block: [["{-", "-}"]] },
+  Elixir: { extensions: [".ex", ".exs"], ...HASH },
+  Erlang: { extensions: [".erl", ".hrl"], line: ["%"], block: [] },
+  Clojure: {
+    extensions: [".clj", ".cljs", ".cljc", ".edn"],
+    line: [";"],
+    block: [],
+  },
+  R: { extensions: [".r"], ...HASH },
+  SQL: { extensions: [".sql"], line: ["--"], block: [["/*", "*/"]] },
+  GraphQL: { extensions: [".graphql", ".gql"], ...HASH },
+  "Protocol Buffers": { extensions: [".proto"], ...C_STYLE },
+  Terraform: {
+    extensions: [".tf", ".tfvars", ".hcl"],
+    line: ["#", "//"],
+    block: [["/*", "*/"]],
+  },
+  YAML: { extensions: [".yml", ".yaml"], ...HASH },
+  TOML: { extensions: [".toml"], ...HASH },
+  INI: { extensions: [".ini", ".cfg"], line: [";", "#"], block: [] },
+  Dockerfile: {
+    extensions: [".dockerfile"],
+    filenames: ["Dockerfile", "Containerfile"],
+    ...HASH,
+  },
+  Makefile: {
+    extensions: [".mk"],
+    filenames: ["Makefile", "GNUmakefile", "makefile"],
+    ...HASH,
+  },
+  CMake: {
+    extensions: [".cmake"],
+    filenames: ["CMakeLists.txt"],
+    ...HASH,
+  },
+  Text: { extensions: [".txt"], ...NONE },
+};
+
+// Interpreters named on a "#!" line
+const SHEBANGS = {
+  node: "JavaScript",
+  nodejs: "JavaScript",
+  deno: "TypeScript",
+  "ts-node": "TypeScript",
+  python: "Python",
+  python2: "Python",
+  python3: "Python",
+  ruby: "Ruby",
+  perl: "Perl",
+  php: "PHP",
+  lua: "Lua",
+  sh: "Shell",
+  bash: "Shell",
+  zsh: "Shell",
+  dash: "Shell",
+  ksh: "Shell",
+  pwsh: "PowerShell",
+  Rscript: "R",
+};
+
+const languagesByFilename = new Map();
+const languagesByExtension = new Map();
+Object.entries(LANGUAGES).forEach(([language, definition]) => {
+  (definition.filenames || []).forEach((filename) =>
+    languagesByFilename.set(filename, language)
+  );
+  definition.extensions.forEach((extension) =>
+    languagesByExtension.set(extension, language)
+  );
+});
+
+// Bytes inspected for NUL characters, as git does
+const BINARY_SNIFF_LENGTH = 8000;
+
+function languageFromShebang(firstLine) {
+  const match = /^#!\s*(\S+)(?:\s+(\S+))?/.exec(firstLine || "");
+  if (!match) {
+    return null;
+  }
+  // "#!/usr/bin/env node" names the interpreter as its argument
+  const program = path.basename(match[1]);
+  const interpreter =
+    program === "env" && match[2] ? path.basename(match[2]) : program;
+  return (
+    SHEBANGS[interpreter.replace(/[\d.]+$/, "")] ||
+    SHEBANGS[interpreter] ||
+    null
+  );
+}
+
+// firstLine is optional; without content only the name is used
+function detectLanguage(fileName, firstLine) {
+  const baseName = path.basename(fileName);
+  return (
+    languagesByFilename.get(baseName) ||
+    (baseName.startsWith("Dockerfile.") && "Dockerfile") ||
+    languagesByExtension.get(path.extname(baseName).toLowerCase()) ||
+    languageFromShebang(firstLine)
+  );
+}
+
+function isBinary(content) {
+  return content
+    .subarray(0, Math.min(content.length, BINARY_SNIFF_LENGTH))
+    .includes(0);
+}
+
+// The SHA-1 git gives the file's blob (`git hash-object`), so local trees
+// carry the same `sha` as git and GitHub trees and can be diffed with them
+function gitBlobSha(content) {
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${content.length}\0`)
+    .update(content)
+    .digest("hex");
+}
+
+function countLines(text, language) {
+  const syntax = LANGUAGES[language] || NONE;
+  const counts = { total: 0, code: 0, comment: 0, blank: 0 };
+  let blockEnd = null;
+
+  const lines = text.split(/\r\n|\r|\n/);
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+    counts.total++;
+
+    if (!trimmed) {
+      counts.blank++;
+      return;
+    }
+
+    if (blockEnd) {
+      counts.comment++;
+      if (trimmed.includes(blockEnd)) {
+        blockEnd = null;
+      }
+      return;
+    }
+
+    // Block markers first: Lua's "--[[" also starts with its line marker
+    const block = syntax.block.find(([start]) => trimmed.startsWith(start));
+    if (block) {
+      counts.comment++;
+      const [start, end] = block;
+      if (!trimmed.slice(start.length).includes(end)) {
+        blockEnd = end;
+      }
+      return;
+    }
+
+    if (syntax.line.some((marker) => trimmed.startsWith(marker))) {
+      // "#!" is code, not a comment, for the languages that use "#"
+      if (counts.total === 1 && trimmed.startsWith("#!")) {
+        counts.code++;
+      } else {
+        counts.comment++;
+      }
+      return;
+    }
+
+    counts.code++;
+  });
+
+  return counts;
+}
+
+// Analysis of one file's content, merged into its node's metadata
+function analyzeContent(fileName, content) {
+  const binary = isBinary(content);
+  const text = binary ? "" : content.toString("utf8");
+  const language = detectLanguage(fileName, text.slice(0, text.indexOf("\n")));
+
+  return {
+    language: language || null,
+    binary,
+    sha: gitBlobSha(content),
+    ...(!binary && { lines: countLines(text, language) }),
+  };
+}
+
+function addLines(total, lines) {
+  if (!lines) return;
+  total.code += lines.code;
+  total.comment += lines.comment;
+  total.blank += lines.blank;
+  total.total += lines.total;
+}
+
+const emptyLines = () => ({ total: 0, code: 0, comment: 0, blank: 0 });
+
+// Aggregates analyzed files per language and per directory (including
+// everything below it, keyed by path from the root, "." for the root).
+// Returns null when no file in the tree carries a language.
+function summarizeAnalysis(tree) {
+  const languages = {};
+  const directories = {};
+  let analyzed = false;
+
+  const visit = (node, nodePath, parents) => {
+    if (node.type === "directory") {
+      const key = nodePath || ".";
+      directories[key] = {
+        files: 0,
+        bytes: 0,
+        lines: emptyLines(),
+        languages: {},
+      };
+      (node.children || []).forEach((child) =>
+        visit(child, nodePath ? `${nodePath}/${child.name}` : child.name, [
+          ...parents,
+          directories[key],
+        ])
+      );
+      return;
+    }
+    if (node.type !== "file") return;
+
+    const metadata = node.metadata || {};
+    if (metadata.language === undefined) return;
+    analyzed = true;
+
+    const language = metadata.language || "Other";
+    if (!languages[language]) {
+      languages[language] = { files: 0, bytes: 0, lines: emptyLines() };
+    }
+    languages[language].files++;
+    languages[language].bytes += metadata.size || 0;
+    addLines(languages[language].lines, metadata.lines);
+
+    parents.forEach((directory) => {
+      directory.files++;
+      directory.bytes += metadata.size || 0;
+      addLines(directory.lines, metadata.lines);
+      directory.languages[language] = (directory.languages[language] || 0) + 1;
+    });
+  };
+
+  visit(tree, "", []);
+  return analyzed ? { languages, directories } : null;
+}
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  isBinary,
+  gitBlobSha,
+  countLines,
+  analyzeContent,
+  summarizeAnalysis,
+};
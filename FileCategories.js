@@ -0,0 +1,471 @@
+const { detectLanguage } = require("./FileAnalysis");
+const {
+  PathFilter,
+  compilePattern,
+  normalizePatterns,
+} = require("./PathFilter");
+
+// Rule-based file categorization for the developer documentation. A rule
+// maps glob patterns (PathFilter syntax: "services/" matches everything
+// below any directory called services, "src/*.ts" is anchored at the root)
+// to a category. Rules come from three places, highest priority first:
+//
+//   user rules      .treegen.json or the `categories` request option
+//                   (priority 100 unless given)
+//   presets         framework layouts (priority 50), picked explicitly or
+//                   detected by their marker files and dependencies
+//   default rules   generic layout conventions (priority 0)
+//
+// The highest-priority matching rule wins; among equal priorities the one
+// listed first. Role categories (everything but testFiles and configFiles)
+// only apply to source code, so a README in services/ is not a service.
+// Source code no rule claims is a sourceFile.
+
+const CATEGORIES = [
+  "entryPoints",
+  "routes",
+  "controllers",
+  "middleware",
+  "services",
+  "models",
+  "components",
+  "pages",
+  "utilities",
+  "testFiles",
+  "configFiles",
+  "sourceFiles",
+];
+
+const ANY_FILE_CATEGORIES = ["testFiles", "configFiles"];
+
+// Detected languages that are data or prose rather than source code
+const NON_SOURCE_LANGUAGES = [
+  "JSON",
+  "YAML",
+  "TOML",
+  "INI",
+  "Markdown",
+  "Text",
+  "XML",
+  "SVG",
+];
+
+const USER_PRIORITY = 100;
+const PRESET_PRIORITY = 50;
+const DEFAULT_PRIORITY = 0;
+
+const DEFAULT_RULES = [
+  {
+    category: "testFiles",
+    patterns: [
+      "*.test.*",
+      "*.spec.*",
+      "__tests__/",
+      "test/",
+      "tests/",
+      "*_test.go",
+      "test_*.py",
+    ],
+  },
+  {
+    category: "configFiles",
+    patterns: [
+      "*.json",
+      "*.yaml",
+      "*.yml",
+      "*.toml",
+      "*.ini",
+      "*.env",
+      ".env*",
+      "*.config.*",
+      ".*rc",
+      ".*rc.js",
+      "Dockerfile",
+    ],
+  },
+  {
+    category: "entryPoints",
+    patterns: [
+      "/index.*",
+      "/main.*",
+      "/app.*",
+      "/server.*",
+      "/src/index.*",
+      "/src/main.*",
+      "/src/app.*",
+      "/src/server.*",
+      "/bin/",
+    ],
+  },
+  { category: "routes", patterns: ["routes/", "*.routes.*", "*.router.*"] },
+  { category: "controllers", patterns: ["controllers/", "*.controller.*"] },
+  {
+    category: "middleware",
+    patterns: ["middleware/", "middlewares/", "*.middleware.*"],
+  },
+  { category: "services", patterns: ["services/", "*.service.*"] },
+  {
+    category: "models",
+    patterns: ["models/", "*.model.*", "schemas/", "*.schema.*"],
+  },
+  { category: "components", patterns: ["components/"] },
+  {
+    category: "utilities",
+    patterns: ["utils/", "helpers/", "*.util.*", "*.utils.*"],
+  },
+];
+
+// A preset applies when one of its marker files exists anywhere in the
+// tree, or when a package.json depends on one of its packages (which needs
+// the file contents).
+const PRESETS = {
+  express: {
+    name: "Express",
+    markers: [],
+    dependencies: ["express"],
+    rules: [
+      {
+        category: "entryPoints",
+        patterns: ["/bin/www", "/app.js", "/server.js", "/src/app.*"],
+      },
+      { category: "routes", patterns: ["routes/", "routers/", "router/"] },
+      { category: "controllers", patterns: ["controllers/", "handlers/"] },
+      { category: "middleware", patterns: ["middleware/", "middlewares/"] },
+      { category: "models", patterns: ["models/", "schemas/"] },
+      { category: "components", patterns: ["views/"] },
+    ],
+  },
+  nextjs: {
+    name: "Next.js",
+    markers: ["next.config.js", "next.config.mjs", "next.config.ts"],
+    dependencies: ["next"],
+    rules: [
+      {
+        category: "routes",
+        patterns: ["**/pages/api/", "route.js", "route.ts"],
+      },
+      {
+        category: "middleware",
+        patterns: ["/middleware.*", "/src/middleware.*"],
+      },
+      {
+        category: "pages",
+        patterns: [
+          "pages/",
+          "page.jsx",
+          "page.tsx",
+          "page.js",
+          "page.ts",
+          "layout.jsx",
+          "layout.tsx",
+          "layout.js",
+          "layout.ts",
+        ],
+      },
+      { category: "entryPoints", patterns: ["_app.*", "_document.*"] },
+      { category: "components", patterns: ["components/"] },
+      { category: "utilities", patterns: ["/lib/", "/src/lib/", "hooks/"] },
+    ],
+  },
+  nestjs: {
+    name: "NestJS",
+    markers: ["nest-cli.json"],
+    dependencies: ["@nestjs/core"],
+    rules: [
+      { category: "entryPoints", patterns: ["/src/main.ts"] },
+      { category: "controllers", patterns: ["*.controller.ts"] },
+      { category: "services", patterns: ["*.service.ts", "*.repository.ts"] },
+      {
+        category: "models",
+        patterns: [
+          "*.entity.ts",
+          "*.dto.ts",
+          "*.schema.ts",
+          "dto/",
+          "entities/",
+        ],
+      },
+      {
+        category: "middleware",
+        patterns: [
+          "*.middleware.ts",
+          "*.guard.ts",
+          "*.interceptor.ts",
+          "*.pipe.ts",
+          "*.filter.ts",
+        ],
+      },
+      { category: "configFiles", patterns: ["config/"] },
+    ],
+  },
+  django: {
+    name: "Django",
+    markers: ["manage.py"],
+    dependencies: [],
+    rules: [
+      {
+        category: "entryPoints",
+        patterns: ["/manage.py", "wsgi.py", "asgi.py"],
+      },
+      { category: "testFiles", patterns: ["tests.py"] },
+      { category: "configFiles", patterns: ["settings.py", "settings/"] },
+      { category: "routes", patterns: ["urls.py"] },
+      {
+        category: "controllers",
+        patterns: ["views.py", "views/", "viewsets.py"],
+      },
+      {
+        category: "models",
+        patterns: ["models.py", "models/", "serializers.py", "forms.py"],
+      },
+      { category: "middleware", patterns: ["middleware.py", "middleware/"] },
+      {
+        category: "services",
+        patterns: ["services.py", "services/", "tasks.py"],
+      },
+      { category: "components", patterns: ["templates/", "templatetags/"] },
+      { category: "utilities", patterns: ["utils.py", "management/"] },
+    ],
+  },
+  go: {
+    name: "Go",
+    markers: ["go.mod"],
+    dependencies: [],
+    rules: [
+      { category: "entryPoints", patterns: ["/main.go", "/cmd/**/main.go"] },
+      {
+        category: "routes",
+        patterns: ["router/", "routes/", "routers/"],
+      },
+      { category: "controllers", patterns: ["handler/", "handlers/", "api/"] },
+      { category: "middleware", patterns: ["middleware/"] },
+      {
+        category: "services",
+        patterns: ["service/", "services/", "usecase/", "repository/"],
+      },
+      {
+        category: "models",
+        patterns: ["model/", "models/", "entity/", "domain/"],
+      },
+      { category: "utilities", patterns: ["/pkg/", "util/", "utils/"] },
+      { category: "configFiles", patterns: ["config/", "configs/"] },
+    ],
+  },
+};
+
+const CONFIG_FILE = ".treegen.json";
+
+function invalid(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_CATEGORIES";
+  return error;
+}
+
+function compileRule(rule, priority, source) {
+  if (!rule || typeof rule !== "object") {
+    throw invalid(`${source}: every category rule must be an object`);
+  }
+  if (!CATEGORIES.includes(rule.category)) {
+    throw invalid(
+      `${source}: unknown category "${
+        rule.category
+      }", expected one of: ${CATEGORIES.join(", ")}`
+    );
+  }
+  const patterns = normalizePatterns(rule.patterns || rule.pattern);
+  if (patterns.length === 0) {
+    throw invalid(`${source}: the ${rule.category} rule has no patterns`);
+  }
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+    throw invalid(`${source}: rule priorities must be numbers`);
+  }
+
+  return {
+    category: rule.category,
+    patterns,
+    priority: rule.priority ?? priority,
+    source,
+    matchers: patterns.map(compilePattern),
+  };
+}
+
+class FileCategorizer {
+  // rules are user rules, whose optional `source` names where they were
+  // configured; presets are names from PRESETS. detected and
+  // configFile only describe where the setup came from.
+  constructor({
+    rules = [],
+    presets = [],
+    detected = false,
+    configFile = null,
+  } = {}) {
+    presets.forEach((name) => {
+      if (!PRESETS[name]) {
+        throw invalid(
+          `Unknown preset "${name}", expected one of: ${Object.keys(
+            PRESETS
+          ).join(", ")}`
+        );
+      }
+    });
+    this.presets = presets;
+    this.detected = detected;
+    this.configFile = configFile;
+
+    const compiled = [
+      ...rules.map((rule) =>
+        compileRule(rule, USER_PRIORITY, (rule && rule.source) || "categories")
+      ),
+      ...presets.flatMap((name) =>
+        PRESETS[name].rules.map((rule) =>
+          compileRule(rule, PRESET_PRIORITY, name)
+        )
+      ),
+      ...DEFAULT_RULES.map((rule) =>
+        compileRule(rule, DEFAULT_PRIORITY, "default")
+      ),
+    ];
+    // Array#sort is stable, so equal priorities keep their listed order
+    this.rules = compiled.sort((a, b) => b.priority - a.priority);
+  }
+
+  static isSourceFile(fileName, language) {
+    const detected = language || detectLanguage(fileName);
+    return Boolean(detected) && !NON_SOURCE_LANGUAGES.includes(detected);
+  }
+
+  // filePath is relative to the root of the tree; language is the node's
+  // metadata.language when the tree was analyzed. Returns a category or
+  // null for files that are neither source code nor claimed by a rule.
+  categorize(filePath, language) {
+    const fileName = filePath.split("/").pop();
+    const isSource = FileCategorizer.isSourceFile(fileName, language);
+
+    const rule = this.rules.find(
+      (candidate) =>
+        (isSource || ANY_FILE_CATEGORIES.includes(candidate.category)) &&
+        PathFilter.matchesPathOrParent(candidate.matchers, filePath, false)
+    );
+    if (rule) {
+      return rule.category;
+    }
+    return isSource ? "sourceFiles" : null;
+  }
+}
+
+// Paths of every file in the tree, relative to its root, with their nodes
+function listFiles(tree) {
+  const files = [];
+  const visit = (node, nodePath) => {
+    if (node.type === "file") {
+      files.push({ path: nodePath, node });
+      return;
+    }
+    (node.children || []).forEach((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+  };
+  visit(tree, "");
+  return files;
+}
+
+async function readJson(node, readFile, source) {
+  const content = await readFile(node);
+  try {
+    return JSON.parse(content.toString("utf8"));
+  } catch (error) {
+    throw invalid(`${source} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Presets whose markers or dependencies appear in the tree. Dependencies
+// are only checked when readFile is given.
+async function detectPresets(tree, readFile) {
+  const files = listFiles(tree);
+  const names = new Set(files.map(({ path }) => path.split("/").pop()));
+
+  const dependencies = new Set();
+  if (readFile) {
+    const manifests = files.filter(
+      ({ path }) => path.split("/").pop() === "package.json"
+    );
+    for (const { node } of manifests) {
+      try {
+        const manifest = await readJson(node, readFile, "package.json");
+        [
+          manifest.dependencies,
+          manifest.devDependencies,
+          manifest.peerDependencies,
+        ].forEach((list) =>
+          Object.keys(list || {}).forEach((name) => dependencies.add(name))
+        );
+      } catch (error) {
+        // A broken package.json only means its dependencies are unknown
+      }
+    }
+  }
+
+  return Object.entries(PRESETS)
+    .filter(
+      ([, preset]) =>
+        preset.markers.some((marker) => names.has(marker)) ||
+        preset.dependencies.some((name) => dependencies.has(name))
+    )
+    .map(([name]) => name);
+}
+
+// Builds the categorizer for a tree from, in this order of precedence:
+// options.categories ({ preset, rules }, e.g. from an HTTP request), the
+// "categories" section of a .treegen.json at the root of the tree (read
+// with readFile) and preset detection. preset is a preset name, a list of
+// names, "auto" (the default) or "none".
+async function loadFileCategorizer(tree, { readFile, categories = {} } = {}) {
+  const configNode =
+    readFile &&
+    (tree.children || []).find(
+      (child) => child.type === "file" && child.name === CONFIG_FILE
+    );
+  const fileConfig = configNode
+    ? (await readJson(configNode, readFile, CONFIG_FILE)).categories || {}
+    : {};
+
+  [categories.rules, fileConfig.rules].forEach((list) => {
+    if (list !== undefined && !Array.isArray(list)) {
+      throw invalid("Category rules must be a list");
+    }
+  });
+  const rules = [
+    ...(categories.rules || []),
+    ...(fileConfig.rules || []).map((rule) => ({
+      ...rule,
+      source: CONFIG_FILE,
+    })),
+  ];
+
+  const preset = categories.preset ?? fileConfig.preset ?? "auto";
+  let presets;
+  if (preset === "auto") {
+    presets = await detectPresets(tree, readFile);
+  } else if (preset === "none" || preset === false || preset === null) {
+    presets = [];
+  } else {
+    presets = normalizePatterns(preset);
+  }
+
+  return new FileCategorizer({
+    rules,
+    presets,
+    detected: preset === "auto",
+    configFile: configNode ? CONFIG_FILE : null,
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_RULES,
+  PRESETS,
+  FileCategorizer,
+  detectPresets,
+  loadFileCategorizer,
+};
@@ -0,0 +1,195 @@
+// Per-file git history for onboarding docs: when each file last changed,
+// who changed it, how often and by how many people. Local trees read it
+// from `git log`, remote trees from the provider's commits API; both end
+// up as metadata.history on file nodes:
+//
+//   { lastCommit, lastCommitDate, lastAuthor, commits, authors,
+//     complete }
+//
+// complete is false when the commit list was cut short, so commits and
+// authors are lower bounds.
+
+const DEFAULT_MAX_COMMITS = 10000;
+const DEFAULT_HOTSPOT_COUNT = 10;
+const DEFAULT_STALE_MONTHS = 6;
+
+const RECORD_SEPARATOR = "\x1e";
+const FIELD_SEPARATOR = "\x1f";
+
+// commits: [{ sha, date, author, email }] for one file, newest first
+function historyFromCommits(commits, complete = true) {
+  const [last] = commits;
+  return {
+    lastCommit: last ? last.sha : null,
+    lastCommitDate: last ? last.date : null,
+    lastAuthor: last ? last.author : null,
+    commits: commits.length,
+    authors: new Set(
+      commits.map(({ author, email }) => (email || author).toLowerCase())
+    ).size,
+    complete,
+  };
+}
+
+// Reads `git log` once and resolves with a Map from file paths, relative to
+// treePath (the repository root by default), to their history. runGit(args)
+// runs git in the repository and resolves with stdout. At most maxCommits
+// commits are read; merge commits list no files and are not counted.
+async function readGitHistory(runGit, options = {}) {
+  const maxCommits = options.maxCommits || DEFAULT_MAX_COMMITS;
+  const treePath = (options.path || "").replace(/^\/+|\/+$/g, "");
+  const output = await runGit([
+    "-c",
+    "core.quotePath=false",
+    "log",
+    options.ref || "HEAD",
+    `--max-count=${maxCommits}`,
+    "--name-only",
+    `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae`,
+    treePath ? `--relative=${treePath}` : "--relative",
+    "--",
+    treePath || ".",
+  ]);
+
+  const commitsByFile = new Map();
+  const records = output.split(RECORD_SEPARATOR).filter(Boolean);
+  records.forEach((record) => {
+    const [header, ...files] = record.split("\n");
+    const [sha, date, author, email] = header.split(FIELD_SEPARATOR);
+    files.filter(Boolean).forEach((file) => {
+      if (!commitsByFile.has(file)) commitsByFile.set(file, []);
+      commitsByFile.get(file).push({ sha, date, author, email });
+    });
+  });
+
+  const complete = records.length < maxCommits;
+  return new Map(
+    [...commitsByFile].map(([file, commits]) => [
+      file,
+      historyFromCommits(commits, complete),
+    ])
+  );
+}
+
+function listFiles(tree) {
+  const files = [];
+  const visit = (node, nodePath) => {
+    if (node.type === "file") {
+      files.push({ path: nodePath, node });
+    }
+    (node.children || []).forEach((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+  };
+  visit(tree, "");
+  return files;
+}
+
+// Sets metadata.history on the file nodes found in history, a Map from
+// paths relative to the tree root (see readGitHistory)
+function annotateHistory(tree, history) {
+  listFiles(tree).forEach(({ path: filePath, node }) => {
+    const fileHistory = history.get(filePath);
+    if (fileHistory) {
+      node.metadata = { ...node.metadata, history: fileHistory };
+    }
+  });
+  return tree;
+}
+
+// Summary additions for a tree with history, or null without any:
+//
+//   hotspots: the hotspotCount files with the most commits
+//   staleAreas: the outermost directories in which no file has changed
+//     for staleMonths months, with their newest change and file count
+//   staleSince: the cutoff date
+function summarizeHistory(tree, options = {}) {
+  const files = listFiles(tree).filter(({ node }) => node.metadata?.history);
+  if (files.length === 0) {
+    return null;
+  }
+
+  const hotspots = files
+    .map(({ path: filePath, node }) => ({
+      path: filePath,
+      ...node.metadata.history,
+    }))
+    .sort(
+      (a, b) =>
+        b.commits - a.commits ||
+        b.authors - a.authors ||
+        a.path.localeCompare(b.path)
+    )
+    .slice(0, options.hotspotCount ?? DEFAULT_HOTSPOT_COUNT)
+    .map(
+      ({
+        path: filePath,
+        commits,
+        authors,
+        lastCommitDate,
+        lastAuthor,
+        complete,
+      }) => ({
+        path: filePath,
+        commits,
+        authors,
+        lastCommitDate,
+        lastAuthor,
+        complete,
+      })
+    );
+
+  const cutoff = new Date(options.now || Date.now());
+  cutoff.setMonth(
+    cutoff.getMonth() - (options.staleMonths ?? DEFAULT_STALE_MONTHS)
+  );
+
+  // Newest change and file count below a directory; directories without
+  // any history are neither stale nor active
+  const visit = (node, nodePath) => {
+    if (node.type !== "directory") {
+      const history = node.metadata?.history;
+      return history
+        ? { newest: history.lastCommitDate, files: 1, areas: [] }
+        : { newest: null, files: 0, areas: [] };
+    }
+
+    const results = (node.children || []).map((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+    // Dates carry the author's UTC offset, so they compare as dates
+    const newest = results
+      .map((result) => result.newest)
+      .filter(Boolean)
+      .reduce(
+        (latest, date) =>
+          !latest || new Date(date) > new Date(latest) ? date : latest,
+        null
+      );
+    const files = results.reduce((total, result) => total + result.files, 0);
+    const areas = results.flatMap((result) => result.areas);
+
+    if (newest && nodePath && new Date(newest) < cutoff) {
+      return {
+        newest,
+        files,
+        areas: [{ path: `${nodePath}/`, lastCommitDate: newest, files }],
+      };
+    }
+    return { newest, files, areas };
+  };
+  const { areas: staleAreas } = visit(tree, "");
+
+  return {
+    hotspots,
+    staleAreas,
+    staleSince: cutoff.toISOString(),
+  };
+}
+
+module.exports = {
+  historyFromCommits,
+  readGitHistory,
+  annotateHistory,
+  summarizeHistory,
+};
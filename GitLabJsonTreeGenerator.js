@@ -0,0 +1,140 @@
+const { RemoteJsonTreeGenerator } = require("./JsonTreeGenerator");
+const { parseGitLabUrl } = require("./RepositoryUrl");
+
+const DEFAULT_GITLAB_API_URL = "https://gitlab.com/api/v4";
+const PAGE_SIZE = 100;
+
+// GitLab (gitlab.com or self-hosted) through the REST API v4. Nested groups
+// are part of the owner, e.g. owner "group/subgroup" and repo "project".
+class GitLabJsonTreeGenerator extends RemoteJsonTreeGenerator {
+  static providerName = "gitlab";
+  static publicHost = "gitlab.com";
+  static apiPath = "/api/v4";
+
+  static matchesHost(host) {
+    return /(^|\.)gitlab\./.test(host);
+  }
+
+  defaultApiUrl() {
+    return process.env.GITLAB_API_URL || DEFAULT_GITLAB_API_URL;
+  }
+
+  requestHeaders() {
+    const token = this.token || this.serverToken("GITLAB_TOKEN");
+    return token ? { "PRIVATE-TOKEN": token } : {};
+  }
+
+  parseRepositoryUrl(repoUrl) {
+    return parseGitLabUrl(repoUrl);
+  }
+
+  projectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+  }
+
+  async getRepositoryDetails(owner, repo) {
+    const project = await this.makeRequest(
+      `/projects/${this.projectId(owner, repo)}`
+    );
+    return {
+      defaultBranch: project.default_branch,
+      description: project.description,
+      stars: project.star_count,
+      forks: project.forks_count,
+      url: project.web_url,
+    };
+  }
+
+  async getCommit(owner, repo, ref) {
+    const commit = await this.makeRequest(
+      `/projects/${this.projectId(
+        owner,
+        repo
+      )}/repository/commits/${encodeURIComponent(ref)}`
+    );
+    return { sha: commit.id };
+  }
+
+  async getBlob(owner, repo, sha) {
+    const blob = await this.makeRequest(
+      `/projects/${this.projectId(owner, repo)}/repository/blobs/${sha}`
+    );
+    return Buffer.from(blob.content || "", blob.encoding || "base64");
+  }
+
+  async getFile(owner, repo, commitSha, filePath) {
+    try {
+      const file = await this.makeRequest(
+        `/projects/${this.projectId(
+          owner,
+          repo
+        )}/repository/files/${encodeURIComponent(filePath)}?ref=${commitSha}`
+      );
+      return Buffer.from(file.content || "", file.encoding || "base64");
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async getFileCommits(owner, repo, commitSha, filePath) {
+    const query = new URLSearchParams({
+      ref_name: commitSha,
+      path: filePath,
+      per_page: String(PAGE_SIZE),
+    });
+    const { headers, body } = await this.request(
+      `/projects/${this.projectId(owner, repo)}/repository/commits?${query}`
+    );
+    return {
+      commits: body.map((commit) => ({
+        sha: commit.id,
+        date: commit.authored_date,
+        author: commit.author_name,
+        email: commit.author_email,
+      })),
+      complete: !headers["x-next-page"],
+    };
+  }
+
+  // The tree endpoint is paginated and reports paths from the repository
+  // root, so they are made relative to treePath here. GitLab does not
+  // return blob sizes.
+  async getTreeItems(owner, repo, commit, treePath) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+      const query = new URLSearchParams({
+        ref: commit.sha,
+        recursive: "true",
+        per_page: String(PAGE_SIZE),
+        page: String(page),
+        ...(treePath && { path: treePath }),
+      });
+      const { headers, body } = await this.request(
+        `/projects/${this.projectId(owner, repo)}/repository/tree?${query}`
+      );
+
+      body.forEach((entry) => {
+        items.push({
+          path: treePath ? entry.path.slice(treePath.length + 1) : entry.path,
+          type: entry.type,
+          sha: entry.id,
+          mode: entry.mode,
+        });
+      });
+
+      // x-next-page is left out on very large listings; keep going while
+      // pages come back full
+      const nextPage = Number(headers["x-next-page"]);
+      page = nextPage || (body.length === PAGE_SIZE ? page + 1 : 0);
+    }
+
+    return { tree: items, truncated: false };
+  }
+}
+
+module.exports = {
+  GitLabJsonTreeGenerator,
+};
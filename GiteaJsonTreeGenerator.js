@@ -0,0 +1,95 @@
+const { GitHubJsonTreeGenerator } = require("./JsonTreeGenerator");
+const { parseGiteaUrl } = require("./RepositoryUrl");
+
+const DEFAULT_GITEA_API_URL = "https://gitea.com/api/v1";
+const PAGE_SIZE = 1000;
+const COMMITS_PAGE_SIZE = 100;
+
+// Gitea and Forgejo (including Codeberg). Their API mirrors GitHub's git
+// data endpoints closely enough to reuse the GitHub generator; the
+// differences are URLs, auth, commit lookup and tree pagination.
+class GiteaJsonTreeGenerator extends GitHubJsonTreeGenerator {
+  static providerName = "gitea";
+  static publicHost = "gitea.com";
+  static apiPath = "/api/v1";
+
+  static matchesHost(host) {
+    return /(^|\.)(gitea|forgejo)\./.test(host) || host === "codeberg.org";
+  }
+
+  defaultApiUrl() {
+    return process.env.GITEA_API_URL || DEFAULT_GITEA_API_URL;
+  }
+
+  requestHeaders() {
+    const token = this.token || this.serverToken("GITEA_TOKEN");
+    return token ? { Authorization: `token ${token}` } : {};
+  }
+
+  parseRepositoryUrl(repoUrl) {
+    return parseGiteaUrl(repoUrl);
+  }
+
+  async getRepositoryDetails(owner, repo) {
+    const repoInfo = await this.getRepositoryInfo(owner, repo);
+    return {
+      defaultBranch: repoInfo.default_branch,
+      description: repoInfo.description,
+      stars: repoInfo.stars_count,
+      forks: repoInfo.forks_count,
+      url: repoInfo.html_url,
+    };
+  }
+
+  // git/commits accepts branch and tag names as well as SHAs
+  async getCommit(owner, repo, ref) {
+    const encodedRef = encodeURIComponent(ref);
+    const commit = await this.makeRequest(
+      `${this.repositoryPath(owner, repo)}/git/commits/${encodedRef}`
+    );
+    return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+  }
+
+  // Same as GitHub's commits endpoint, but pages are sized with "limit"
+  async getFileCommits(owner, repo, commitSha, filePath) {
+    const query = new URLSearchParams({
+      sha: commitSha,
+      path: filePath,
+      limit: String(COMMITS_PAGE_SIZE),
+    });
+    const { headers, body } = await this.request(
+      `${this.repositoryPath(owner, repo)}/commits?${query}`
+    );
+    return {
+      commits: body.map(({ sha, commit }) => ({
+        sha,
+        date: commit.author.date,
+        author: commit.author.name,
+        email: commit.author.email,
+      })),
+      complete: headers["x-hasmore"] !== "true",
+    };
+  }
+
+  // Gitea pages recursive listings instead of truncating them
+  async getTreeData(owner, repo, treeSha) {
+    const repositoryPath = this.repositoryPath(owner, repo);
+    const items = [];
+    let page = 1;
+    let treeData;
+
+    do {
+      treeData = await this.makeRequest(
+        `${repositoryPath}/git/trees/${treeSha}?recursive=true&per_page=${PAGE_SIZE}&page=${page}`
+      );
+      items.push(...(treeData.tree || []));
+      page++;
+    } while (treeData.truncated && (treeData.tree || []).length > 0);
+
+    return { sha: treeData.sha, tree: items, truncated: false };
+  }
+}
+
+module.exports = {
+  GiteaJsonTreeGenerator,
+};
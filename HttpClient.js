@@ -0,0 +1,444 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), ".cache", "tree-gen", "http");
+const DEFAULT_CACHE_MAX_SIZE = 100 * 1024 * 1024;
+// Pruning goes below the limit, so the next few writes do not scan again
+const PRUNE_TARGET = 0.9;
+
+// Bytes held by each cache directory, shared by every client of the
+// process; counted on first use and then kept up to date by the writes
+const directorySizes = new Map();
+
+// Rejects with signal.reason when the signal aborts first
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Conditional-request cache on disk. Entries are keyed by URL and request
+// headers (so responses for different tokens never mix) and hold the
+// validators plus the raw response, which is replayed on a 304. The files
+// stay under maxSize bytes in total by removing the least recently used,
+// with modification times recording last use.
+class ResponseCache {
+  constructor(directory, maxSize = DEFAULT_CACHE_MAX_SIZE) {
+    this.directory = directory;
+    this.maxSize = maxSize;
+  }
+
+  key(url, headers) {
+    const sortedHeaders = Object.keys(headers)
+      .sort()
+      .map((name) => `${name.toLowerCase()}:${headers[name]}`);
+    return crypto
+      .createHash("sha256")
+      .update([url, ...sortedHeaders].join("\n"))
+      .digest("hex");
+  }
+
+  filePath(key) {
+    return path.join(this.directory, key.slice(0, 2), `${key}.json`);
+  }
+
+  read(key) {
+    const filePath = this.filePath(key);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      return null;
+    }
+    const now = new Date();
+    fs.promises.utimes(filePath, now, now).catch(() => {});
+    return entry;
+  }
+
+  // A cache that cannot be written (read-only home, full disk) only costs
+  // quota, so write errors are ignored
+  write(key, entry) {
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const content = JSON.stringify(entry);
+    const size = Buffer.byteLength(content);
+    if (size > this.maxSize) {
+      return;
+    }
+    try {
+      const previous = fileSize(filePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, filePath);
+      this.track(size - previous);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  track(change) {
+    if (!directorySizes.has(this.directory)) {
+      directorySizes.set(
+        this.directory,
+        this.files().reduce((total, file) => total + file.size, 0)
+      );
+    } else {
+      directorySizes.set(
+        this.directory,
+        directorySizes.get(this.directory) + change
+      );
+    }
+    if (directorySizes.get(this.directory) > this.maxSize) {
+      this.prune();
+    }
+  }
+
+  // Every entry as { filePath, size, used }
+  files() {
+    return listDirectory(this.directory).flatMap((prefix) =>
+      listDirectory(path.join(this.directory, prefix))
+        .filter((file) => /^[0-9a-f]{64}\.json$/.test(file))
+        .map((file) => {
+          const filePath = path.join(this.directory, prefix, file);
+          try {
+            const stats = fs.statSync(filePath);
+            return { filePath, size: stats.size, used: stats.mtimeMs };
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+    );
+  }
+
+  // Removes the least recently used entries until the cache is back under
+  // its limit; returns how many were removed
+  prune() {
+    const files = this.files().sort((a, b) => a.used - b.used);
+    let size = files.reduce((total, file) => total + file.size, 0);
+    let removed = 0;
+    for (const file of files) {
+      if (size <= this.maxSize * PRUNE_TARGET) break;
+      fs.rmSync(file.filePath, { force: true });
+      size -= file.size;
+      removed++;
+    }
+    directorySizes.set(this.directory, size);
+    return removed;
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function listDirectory(directory) {
+  try {
+    return fs.readdirSync(directory);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Reads the rate limit headers sent by GitHub and Gitea (X-RateLimit-*)
+// and GitLab (RateLimit-*). Returns null when a response carries none.
+function parseRateLimit(headers) {
+  const header = (name) =>
+    headers[`x-ratelimit-${name}`] ?? headers[`ratelimit-${name}`];
+
+  const remaining = header("remaining");
+  if (remaining === undefined) {
+    return null;
+  }
+
+  const reset = Number(header("reset"));
+  return {
+    limit: Number(header("limit")),
+    remaining: Number(remaining),
+    used: header("used") !== undefined ? Number(header("used")) : undefined,
+    reset: reset ? new Date(reset * 1000).toISOString() : undefined,
+    resource: headers["x-ratelimit-resource"],
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// GET-only JSON client shared by the remote generators. It retries network
+// errors, timeouts, 5xx and rate-limited responses with exponential
+// backoff (or whatever Retry-After / X-RateLimit-Reset asks for), waits
+// out an exhausted quota when the reset is near, and revalidates cached
+// responses with If-None-Match / If-Modified-Since, which GitHub does not
+// count against the quota when they come back 304.
+class HttpClient {
+  constructor(options = {}) {
+    this.name = options.name || "HTTP";
+    this.timeout = options.timeout ?? 30000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 60000;
+    const cacheMaxSize =
+      options.cacheMaxSize ??
+      (process.env.TREE_GEN_CACHE_MAX_MB
+        ? Number(process.env.TREE_GEN_CACHE_MAX_MB) * 1024 * 1024
+        : DEFAULT_CACHE_MAX_SIZE);
+    this.cache =
+      options.cache === false || !(cacheMaxSize > 0)
+        ? null
+        : new ResponseCache(
+            options.cacheDir ||
+              process.env.TREE_GEN_CACHE_DIR ||
+              DEFAULT_CACHE_DIR,
+            cacheMaxSize
+          );
+
+    this.rateLimit = null;
+    this.stats = { requests: 0, cached: 0, retries: 0 };
+  }
+
+  // Resolves with { statusCode, headers, body, cached } where body is the
+  // parsed JSON. Non-2xx responses reject with an error carrying
+  // statusCode, the client's name as provider, whether the request was
+  // rate limited and the last known rateLimit. options.signal cancels the
+  // request, including retries and waits, and rejects with its reason.
+  async get(url, headers = {}, options = {}) {
+    const { signal } = options;
+    const cacheKey = this.cache && this.cache.key(url, headers);
+    const cached = cacheKey && this.cache.read(cacheKey);
+    const conditionalHeaders = {
+      ...headers,
+      ...(cached && cached.etag && { "If-None-Match": cached.etag }),
+      ...(cached &&
+        cached.lastModified && { "If-Modified-Since": cached.lastModified }),
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal) signal.throwIfAborted();
+      await this.waitForQuota(signal);
+
+      let response;
+      try {
+        response = await this.send(url, conditionalHeaders, signal);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        if (attempt >= this.maxRetries) {
+          throw error;
+        }
+        this.stats.retries++;
+        await sleep(this.backoff(attempt), signal);
+        continue;
+      }
+
+      this.rateLimit = parseRateLimit(response.headers) || this.rateLimit;
+
+      if (response.statusCode === 304 && cached) {
+        this.stats.cached++;
+        return {
+          statusCode: cached.statusCode,
+          headers: cached.headers,
+          body: JSON.parse(cached.body),
+          cached: true,
+        };
+      }
+
+      const delay = this.retryDelayFor(response, attempt);
+      if (delay !== null && attempt < this.maxRetries) {
+        this.stats.retries++;
+        await sleep(delay, signal);
+        continue;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(response.body);
+      } catch (error) {
+        throw this.createError(
+          response,
+          `${this.name} API returned invalid JSON`
+        );
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw this.createError(
+          response,
+          body.message || body.error || `${this.name} API request failed`
+        );
+      }
+
+      const { etag } = response.headers;
+      const lastModified = response.headers["last-modified"];
+      if (this.cache && (etag || lastModified)) {
+        this.cache.write(cacheKey, {
+          url,
+          etag,
+          lastModified,
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: response.body,
+        });
+      }
+
+      return {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body,
+        cached: false,
+      };
+    }
+  }
+
+  send(url, headers, signal) {
+    const target = new URL(url);
+    const client = target.protocol === "http:" ? http : https;
+    this.stats.requests++;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(target, { headers, signal }, (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: data,
+          })
+        );
+        res.on("error", reject);
+      });
+
+      request.setTimeout(this.timeout, () => {
+        const error = new Error(
+          `${this.name} API request timed out after ${this.timeout}ms`
+        );
+        error.code = "ETIMEDOUT";
+        request.destroy(error);
+      });
+      request.on("error", reject);
+    });
+  }
+
+  backoff(attempt) {
+    const delay = this.retryDelay * 2 ** attempt;
+    // Jitter keeps concurrent requests from retrying in lockstep
+    return Math.min(this.maxRetryDelay, delay + Math.random() * delay * 0.25);
+  }
+
+  isRateLimited(response) {
+    if (response.statusCode === 429) {
+      return true;
+    }
+    if (response.statusCode !== 403) {
+      return false;
+    }
+    const rateLimit = parseRateLimit(response.headers);
+    return (
+      response.headers["retry-after"] !== undefined ||
+      (rateLimit && rateLimit.remaining === 0) ||
+      /rate limit/i.test(response.body)
+    );
+  }
+
+  // How long to wait before retrying a response, or null when it should
+  // not be retried (including waits longer than maxRetryDelay, which are
+  // reported to the caller instead of blocking it)
+  retryDelayFor(response, attempt) {
+    const rateLimited = this.isRateLimited(response);
+    if (!rateLimited && response.statusCode < 500) {
+      return null;
+    }
+
+    let delay = parseRetryAfter(response.headers["retry-after"]);
+    const rateLimit = parseRateLimit(response.headers);
+    if (
+      delay === null &&
+      rateLimited &&
+      rateLimit &&
+      rateLimit.remaining === 0
+    ) {
+      delay = rateLimit.reset
+        ? Math.max(0, Date.parse(rateLimit.reset) - Date.now()) + 1000
+        : null;
+    }
+    if (delay === null) {
+      delay = this.backoff(attempt);
+    }
+
+    return delay <= this.maxRetryDelay ? delay : null;
+  }
+
+  // Before sending, wait for an exhausted quota to reset if that happens
+  // soon; otherwise fail now instead of burning a request on a 403
+  async waitForQuota(signal) {
+    const rateLimit = this.rateLimit;
+    if (!rateLimit || rateLimit.remaining > 0 || !rateLimit.reset) {
+      return;
+    }
+
+    const wait = Date.parse(rateLimit.reset) - Date.now();
+    if (wait <= 0) {
+      return;
+    }
+    if (wait > this.maxRetryDelay) {
+      const error = new Error(
+        `${this.name} API rate limit exhausted until ${rateLimit.reset}`
+      );
+      error.statusCode = 429;
+      error.provider = this.name;
+      error.rateLimited = true;
+      error.rateLimit = rateLimit;
+      throw error;
+    }
+
+    await sleep(wait + 1000, signal);
+    this.rateLimit = { ...rateLimit, remaining: rateLimit.limit };
+  }
+
+  createError(response, message) {
+    const rateLimited = this.isRateLimited(response);
+    const error = new Error(
+      rateLimited && this.rateLimit && this.rateLimit.reset
+        ? `${message} (rate limit resets at ${this.rateLimit.reset})`
+        : message
+    );
+    error.statusCode = response.statusCode;
+    error.provider = this.name;
+    error.rateLimited = rateLimited;
+    error.rateLimit = this.rateLimit;
+    return error;
+  }
+}
+
+module.exports = {
+  HttpClient,
+  ResponseCache,
+  parseRateLimit,
+  parseRetryAfter,
+};
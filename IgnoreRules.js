@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+
+// Convert a single gitignore-style glob into a regular expression source.
+// "*" and "?" never cross a "/", "**" spans directories when it stands
+// between slashes, and "[...]" classes and "\" escapes work as in git.
+function globToRegExp(pattern) {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        const atSegmentStart = i === 0 || pattern[i - 1] === "/";
+        const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === "/";
+
+        if (atSegmentStart && atSegmentEnd) {
+          if (i + 2 === pattern.length) {
+            source += ".*";
+            i += 1;
+          } else {
+            source += "(?:.*/)?";
+            i += 2;
+          }
+          continue;
+        }
+
+        // "**" inside a segment behaves like a plain "*"
+        i += 1;
+      }
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 2);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      let body = pattern.slice(i + 1, end);
+      if (body[0] === "!" || body[0] === "^") {
+        body = "^" + body.slice(1);
+      }
+      source += `[${body}]`;
+      i = end;
+    } else if (char === "\\" && i + 1 < pattern.length) {
+      i += 1;
+      source += escapeRegExp(pattern[i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+function isRegularFile(filePath) {
+  try {
+    return fs.lstatSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+// Parse one line of a .gitignore file. Returns null for blanks and comments.
+function parseRule(line, base) {
+  let pattern = line.replace(/\r$/, "");
+
+  // Trailing spaces are ignored unless escaped with a backslash
+  pattern = pattern.replace(/(^|[^\\]) +$/, "$1");
+
+  if (!pattern || pattern.startsWith("#")) {
+    return null;
+  }
+
+  let negate = false;
+  if (pattern.startsWith("!")) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith("/")) {
+    directoryOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  if (!pattern) {
+    return null;
+  }
+
+  // A slash anywhere but the end anchors the pattern to the file's directory
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) {
+    pattern = pattern.slice(1);
+  }
+
+  const source = globToRegExp(pattern);
+
+  return {
+    base,
+    negate,
+    directoryOnly,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+  };
+}
+
+// Ordered set of gitignore rules collected while walking a directory tree.
+// Rules from deeper .gitignore files are appended after their parents, so
+// the usual "last matching rule wins" evaluation gives them precedence.
+class IgnoreRules {
+  constructor(root, rules = []) {
+    this.root = root;
+    this.rules = rules;
+  }
+
+  static readIgnoreFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rules for the root of a walk: the implicit ".git" and the project-level
+  // .treeignore. Walkers pick up each directory's .gitignore, the root one
+  // included, through forDirectory as they enter it.
+  //
+  // options.treeignoreFile names a file in the root; a path is refused, and
+  // like the walkers' .gitignore files, a symlink is not read.
+  static forRoot(rootPath, options = {}) {
+    const root = path.resolve(rootPath);
+    const rules = new IgnoreRules(root).add(".git/");
+
+    const treeignoreFile = options.treeignoreFile || ".treeignore";
+    if (
+      path.basename(treeignoreFile) !== treeignoreFile ||
+      treeignoreFile === "." ||
+      treeignoreFile === ".."
+    ) {
+      const error = new Error(
+        `treeignoreFile must be a file name, not a path: "${treeignoreFile}"`
+      );
+      error.statusCode = 400;
+      error.code = "VALIDATION_ERROR";
+      throw error;
+    }
+
+    const treeignorePath = path.join(root, treeignoreFile);
+    const treeignore = isRegularFile(treeignorePath)
+      ? IgnoreRules.readIgnoreFile(treeignorePath)
+      : null;
+    if (treeignore !== null) {
+      rules.add(treeignore);
+    }
+
+    return rules;
+  }
+
+  add(content, base = "") {
+    content.split("\n").forEach((line) => {
+      const rule = parseRule(line, base);
+      if (rule) {
+        this.rules.push(rule);
+      }
+    });
+    return this;
+  }
+
+  // Returns the rules that apply inside dirPath, extended with its
+  // .gitignore if it has one. The receiver is left untouched.
+  forDirectory(dirPath) {
+    return this.withIgnoreFile(
+      dirPath,
+      IgnoreRules.readIgnoreFile(path.join(dirPath, ".gitignore"))
+    );
+  }
+
+  // Same as forDirectory for callers that have already read the
+  // directory's .gitignore (null when there is none)
+  withIgnoreFile(dirPath, content) {
+    if (content === null) {
+      return this;
+    }
+
+    const base = toPosixPath(path.relative(this.root, dirPath));
+    return new IgnoreRules(this.root, [...this.rules]).add(content, base);
+  }
+
+  matches(relativePath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of this.rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      let candidate = relativePath;
+      if (rule.base) {
+        if (!relativePath.startsWith(`${rule.base}/`)) continue;
+        candidate = relativePath.slice(rule.base.length + 1);
+      }
+
+      if (rule.regex.test(candidate)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+
+  // relativePath uses "/" separators and is relative to the walk root.
+  // A path is also ignored when any of its parent directories is, since
+  // git never looks inside an excluded directory.
+  ignores(relativePath, isDirectory = false) {
+    const parts = relativePath.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (this.matches(parts.slice(0, i).join("/"), true)) {
+        return true;
+      }
+    }
+    return this.matches(relativePath, isDirectory);
+  }
+
+  ignoresPath(absolutePath, isDirectory = false) {
+    const relativePath = toPosixPath(path.relative(this.root, absolutePath));
+    if (!relativePath || relativePath.startsWith("..")) {
+      return false;
+    }
+    return this.ignores(relativePath, isDirectory);
+  }
+}
+
+module.exports = {
+  IgnoreRules,
+  globToRegExp,
+  toPosixPath,
+};
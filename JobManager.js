@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { createLimiter } = require("./JsonTreeGenerator");
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 2;
+// Progress arrives once per directory or API request; listeners get at
+// most one event per interval
+const PROGRESS_INTERVAL = 250;
+
+const FINISHED = ["succeeded", "failed", "cancelled"];
+
+// In-memory store for long-running tree generations. A job is queued,
+// then running, and ends as succeeded, failed or cancelled. At most
+// `concurrency` jobs run at once; finished jobs are dropped `ttl`
+// milliseconds after they end.
+//
+// Each job emits "progress" with its progress object and "done" when it
+// ends; subscribe() attaches to both.
+class JobManager {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this.jobs = new Map();
+    this.limit = createLimiter(options.concurrency || DEFAULT_CONCURRENCY);
+  }
+
+  // Queues run({ id, signal, onProgress }), which resolves with the job's
+  // result. onProgress(update) merges update into the job's progress.
+  // owner identifies who created the job; only they can get it. Returns
+  // the job.
+  create(type, run, owner = null) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      owner,
+      status: "queued",
+      progress: { phase: "queued" },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+      lastProgressAt: 0,
+      progressTimer: null,
+    };
+    this.jobs.set(job.id, job);
+
+    this.limit(async () => {
+      if (job.status !== "queued") return;
+      job.status = "running";
+      job.startedAt = new Date().toISOString();
+
+      try {
+        const result = await run({
+          id: job.id,
+          signal: job.controller.signal,
+          onProgress: (update) => this.updateProgress(job, update),
+        });
+        this.finish(job, "succeeded", { result });
+      } catch (error) {
+        this.finish(job, "failed", {
+          error: {
+            message: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.statusCode && { statusCode: error.statusCode }),
+          },
+        });
+      }
+    });
+
+    return job;
+  }
+
+  // The job, or null when there is none or it belongs to someone else
+  get(id, owner = null) {
+    const job = this.jobs.get(id);
+    return job && job.owner === owner ? job : null;
+  }
+
+  // Stops a queued or running job. Returns false when it had already
+  // ended.
+  cancel(job) {
+    if (FINISHED.includes(job.status)) {
+      return false;
+    }
+    const error = new Error("Job was cancelled");
+    error.name = "AbortError";
+    error.code = "JOB_CANCELLED";
+    job.controller.abort(error);
+    this.finish(job, "cancelled", {});
+    return true;
+  }
+
+  remove(job) {
+    this.cancel(job);
+    this.jobs.delete(job.id);
+  }
+
+  // Calls onProgress(progress) and onDone(job) as the job advances;
+  // returns a function that detaches both
+  subscribe(job, onProgress, onDone) {
+    job.events.on("progress", onProgress);
+    job.events.on("done", onDone);
+    return () => {
+      job.events.off("progress", onProgress);
+      job.events.off("done", onDone);
+    };
+  }
+
+  updateProgress(job, update) {
+    if (FINISHED.includes(job.status)) return;
+    Object.assign(job.progress, update);
+
+    const wait = job.lastProgressAt + PROGRESS_INTERVAL - Date.now();
+    if (wait <= 0) {
+      this.emitProgress(job);
+    } else if (!job.progressTimer) {
+      job.progressTimer = setTimeout(() => this.emitProgress(job), wait);
+    }
+  }
+
+  emitProgress(job) {
+    clearTimeout(job.progressTimer);
+    job.progressTimer = null;
+    job.lastProgressAt = Date.now();
+    job.events.emit("progress", { ...job.progress });
+  }
+
+  // Only the first outcome counts: a cancelled job's run() still settles
+  // later, usually with the abort error
+  finish(job, status, { result = null, error = null }) {
+    if (FINISHED.includes(job.status)) return;
+    clearTimeout(job.progressTimer);
+    job.progressTimer = null;
+
+    const finishedAt = new Date();
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.progress.phase = status;
+    job.finishedAt = finishedAt.toISOString();
+    job.expiresAt = new Date(finishedAt.getTime() + this.ttl).toISOString();
+    job.events.emit("done", job);
+
+    setTimeout(() => {
+      this.jobs.delete(job.id);
+      job.events.removeAllListeners();
+    }, this.ttl).unref();
+  }
+
+  // What the API shows of a job; the result is left out unless asked for
+  static toJSON(job, { includeResult = false } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt,
+      ...(job.error && { error: job.error }),
+      ...(includeResult &&
+        job.status === "succeeded" && { result: job.result }),
+    };
+  }
+}
+
+module.exports = {
+  JobManager,
+};
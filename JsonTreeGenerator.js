@@ -1,6 +1,62 @@
+const crypto = require("crypto");
 const fs = require("fs");
+const fsp = require("fs/promises");
 const path = require("path");
-const https = require("https");
+const { execFile } = require("child_process");
+const { loadCodeOwners } = require("./CodeOwners");
+const {
+  annotateHistory,
+  historyFromCommits,
+  readGitHistory,
+  summarizeHistory,
+} = require("./GitHistory");
+const { IgnoreRules, toPosixPath } = require("./IgnoreRules");
+const { PathFilter } = require("./PathFilter");
+const { HttpClient } = require("./HttpClient");
+const { isPathInside } = require("./Sandbox");
+const {
+  analyzeContent,
+  detectLanguage,
+  summarizeAnalysis,
+} = require("./FileAnalysis");
+const { parseGitHubUrl } = require("./RepositoryUrl");
+
+const DEFAULT_GITHUB_API_URL = "https://api.github.com";
+const GIT_MAX_BUFFER = 512 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 32;
+const DEFAULT_MAX_ENTRIES = 500000;
+const DEFAULT_MAX_ANALYZE_BYTES = 1024 * 1024;
+const COMMITS_PAGE_SIZE = 100;
+
+function inodeKey(stats) {
+  return `${stats.dev}:${stats.ino}`;
+}
+
+// Returns run(task), which starts task() once fewer than `concurrency`
+// tasks are running and resolves with its result
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+}
 
 class BaseJsonTreeGenerator {
   constructor(options = {}) {
@@ -8,8 +64,12 @@ class BaseJsonTreeGenerator {
       includeMetadata: true,
       maxDepth: Infinity,
       excludePatterns: ["node_modules", "package-lock.json", ".git"],
+      includePatterns: [],
+      respectGitignore: true,
+      treeignoreFile: ".treeignore",
       ...options,
     };
+    this.pathFilter = new PathFilter(this.options);
   }
 
   formatSize(bytes) {
@@ -19,20 +79,43 @@ class BaseJsonTreeGenerator {
     return Math.round(bytes / Math.pow(1024, i), 2) + " " + sizes[i];
   }
 
+  // Sets metadata.size (bytes of all files below), fileCount and
+  // descendantCount (entries of any type below) on every directory node and
+  // returns the node's size. Symlinks that were not followed count as
+  // entries without bytes.
   calculateTotalSize(node) {
+    return this.aggregateNode(node).size;
+  }
+
+  aggregateNode(node) {
     if (node.type === "file") {
-      return node.size || 0;
+      return { size: node.metadata?.size || 0, files: 1, descendants: 0 };
     }
-    return node.children.reduce(
-      (total, child) => total + this.calculateTotalSize(child),
-      0
-    );
+    if (node.type !== "directory") {
+      return { size: 0, files: 0, descendants: 0 };
+    }
+
+    const totals = { size: 0, files: 0, descendants: 0 };
+    (node.children || []).forEach((child) => {
+      const childTotals = this.aggregateNode(child);
+      totals.size += childTotals.size;
+      totals.files += childTotals.files;
+      totals.descendants += childTotals.descendants + 1;
+    });
+    node.metadata = {
+      ...node.metadata,
+      size: totals.size,
+      fileCount: totals.files,
+      descendantCount: totals.descendants,
+    };
+    return totals;
   }
 
   generateSummary(treeData) {
     const summary = {
       totalFiles: 0,
       totalDirectories: 0,
+      totalSymlinks: 0,
       totalSize: 0,
       maxDepth: 0,
       fileTypes: {},
@@ -46,6 +129,8 @@ class BaseJsonTreeGenerator {
         summary.totalSize += node.metadata?.size || node.size || 0;
         const ext = path.extname(node.name).toLowerCase() || "no extension";
         summary.fileTypes[ext] = (summary.fileTypes[ext] || 0) + 1;
+      } else if (node.type === "symlink") {
+        summary.totalSymlinks++;
       } else {
         summary.totalDirectories++;
       }
@@ -57,7 +142,11 @@ class BaseJsonTreeGenerator {
 
     processNode(treeData);
     summary.totalSize = this.formatSize(summary.totalSize);
-    return summary;
+    return {
+      ...summary,
+      ...summarizeAnalysis(treeData),
+      ...summarizeHistory(treeData, this.options),
+    };
   }
 
   async saveTreeData(treeData, outputPath) {
@@ -77,135 +166,107 @@ class BaseJsonTreeGenerator {
     return output;
   }
 
-  sortChildren(node) {
+  // Remove directory nodes whose children were all filtered out
+  pruneEmptyDirectories(node) {
     if (node.children) {
-      node.children.sort((a, b) => {
-        if (a.type === b.type) {
-          return a.name.localeCompare(b.name);
-        }
-        return a.type === "directory" ? -1 : 1;
+      node.children = node.children.filter((child) => {
+        if (child.type !== "directory") return true;
+        this.pruneEmptyDirectories(child);
+        return child.children.length > 0;
       });
     }
     return node;
   }
-}
-
-class FileSystemJsonTreeGenerator extends BaseJsonTreeGenerator {
-  async generateTreeData(startPath, currentDepth = 0) {
-    const stats = fs.statSync(startPath);
-    const baseName = path.basename(startPath);
 
-    const treeNode = {
-      name: baseName,
-      type: stats.isDirectory() ? "directory" : "file",
-      path: startPath,
-      children: [],
-      metadata: this.options.includeMetadata
-        ? {
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime,
-            permissions: stats.mode,
-          }
-        : undefined,
-    };
-
-    if (!stats.isDirectory() || currentDepth >= this.options.maxDepth) {
-      return treeNode;
-    }
-
-    try {
-      const files = fs
-        .readdirSync(startPath)
-        .filter(
-          (file) =>
-            !this.options.excludePatterns.some((pattern) =>
-              file.includes(pattern)
-            )
+  // Keep directory nodes below maxDepth but drop their children
+  limitDepth(node, remainingDepth = this.options.maxDepth) {
+    if (node.children) {
+      if (remainingDepth <= 0) {
+        node.children = [];
+      } else {
+        node.children.forEach((child) =>
+          this.limitDepth(child, remainingDepth - 1)
         );
-
-      for (const file of files) {
-        const filePath = path.join(startPath, file);
-        try {
-          const childNode = await this.generateTreeData(
-            filePath,
-            currentDepth + 1
-          );
-          treeNode.children.push(childNode);
-        } catch (error) {
-          console.warn(
-            `Warning: Could not process ${filePath}: ${error.message}`
-          );
-        }
       }
-
-      this.sortChildren(treeNode);
-    } catch (error) {
-      console.error(`Error reading directory ${startPath}: ${error.message}`);
     }
-
-    return treeNode;
+    return node;
   }
-}
 
-class GitHubJsonTreeGenerator extends BaseJsonTreeGenerator {
-  constructor(options = {}) {
-    super(options);
-    this.token = options.token || process.env.GITHUB_TOKEN;
-    this.baseUrl = "api.github.com";
-  }
-
-  async makeGitHubRequest(path) {
-    const options = {
-      hostname: this.baseUrl,
-      path: path,
-      headers: {
-        "User-Agent": "GitHub-JSON-Tree-Generator",
-        Accept: "application/vnd.github.v3+json",
-        ...(this.token && { Authorization: `Bearer ${this.token}` }),
-      },
-    };
+  sortChildren(node) {
+    if (node.children) {
+      node.children.sort((a, b) => {
+        const aIsDirectory = a.type === "directory";
+        if (aIsDirectory === (b.type === "directory")) {
+          return a.name.localeCompare(b.name);
+        }
+        return aIsDirectory ? -1 : 1;
+      });
+    }
+    return node;
+  }
 
-    return new Promise((resolve, reject) => {
-      https
-        .get(options, (res) => {
-          let data = "";
-          res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => {
-            try {
-              const jsonData = JSON.parse(data);
-              if (res.statusCode !== 200) {
-                reject(
-                  new Error(jsonData.message || "GitHub API request failed")
-                );
-                return;
-              }
-              resolve(jsonData);
-            } catch (error) {
-              reject(error);
-            }
-          });
-        })
-        .on("error", reject);
-    });
+  // Returns (fileNode) => Promise<Buffer> for the files of a tree this
+  // generator produced; `repository` is what generate() returned with it
+  contentReader() {
+    throw new Error(`${this.constructor.name} cannot read file contents`);
   }
 
-  async getRepositoryInfo(owner, repo) {
-    return this.makeGitHubRequest(`/repos/${owner}/${repo}`);
+  // Sets `owners` on every node from the repository's CODEOWNERS file and
+  // records which file that was in the root's metadata.codeOwners.
+  // readFile(location) resolves with the file at a path from the repository
+  // root, or null; pathPrefix is the tree root's path in the repository.
+  async applyCodeOwners(tree, readFile, pathPrefix = "") {
+    if (this.options.codeOwners === false) {
+      return tree;
+    }
+    const codeOwners = await loadCodeOwners(readFile);
+    if (codeOwners) {
+      codeOwners.annotate(tree, pathPrefix);
+      tree.metadata = { ...tree.metadata, codeOwners: codeOwners.summary() };
+    }
+    return tree;
   }
 
-  async getDefaultBranch(owner, repo) {
-    const repoInfo = await this.getRepositoryInfo(owner, repo);
-    return repoInfo.default_branch;
+  // Whether a file's content should be read for analysis. Larger files
+  // only get a language from their name.
+  shouldAnalyzeContent(size) {
+    const maxBytes = this.options.maxAnalyzeBytes ?? DEFAULT_MAX_ANALYZE_BYTES;
+    return size === undefined || size <= maxBytes;
   }
 
-  async getTreeData(owner, repo, branch) {
-    return this.makeGitHubRequest(
-      `/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`
+  // Adds FileAnalysis results to every file node of a tree whose content
+  // lives elsewhere (a git object database or a provider API). readBlob
+  // receives the node's blob SHA and resolves with a Buffer.
+  async analyzeBlobs(tree, readBlob, concurrency = 8) {
+    const limit = createLimiter(concurrency);
+    const files = [];
+    const collect = (node) => {
+      if (node.type === "file") files.push(node);
+      (node.children || []).forEach(collect);
+    };
+    collect(tree);
+
+    await Promise.all(
+      files.map(async (node) => {
+        const metadata = node.metadata || {};
+        node.metadata = metadata;
+        if (!metadata.sha || !this.shouldAnalyzeContent(metadata.size)) {
+          metadata.language = detectLanguage(node.name) || null;
+          return;
+        }
+        const content = await limit(() => readBlob(metadata.sha));
+        Object.assign(metadata, analyzeContent(node.name, content), {
+          size: content.length,
+        });
+      })
     );
+
+    return tree;
   }
 
-  processGitHubTree(items) {
+  // Builds the node model from a flat, GitHub-shaped item list:
+  // [{ path, type: "blob" | "tree", sha, size, mode }]
+  processTreeItems(items) {
     const root = {
       name: "root",
       type: "directory",
@@ -217,11 +278,9 @@ class GitHubJsonTreeGenerator extends BaseJsonTreeGenerator {
 
     // First pass: create all nodes
     items
-      .filter(
-        (item) =>
-          !this.options.excludePatterns.some((pattern) =>
-            item.path.includes(pattern)
-          )
+      .filter((item) => item.type === "blob" || item.type === "tree")
+      .filter((item) =>
+        this.pathFilter.accepts(item.path, item.type === "tree")
       )
       .forEach((item) => {
         const parts = item.path.split("/");
@@ -265,417 +324,1321 @@ class GitHubJsonTreeGenerator extends BaseJsonTreeGenerator {
       return node;
     };
 
-    return sortRecursively(root);
+    const tree = this.pruneEmptyDirectories(root);
+    // Before limitDepth, so directories it empties keep their full size
+    this.calculateTotalSize(tree);
+    return sortRecursively(this.limitDepth(tree));
   }
+}
 
-  async generate(repoUrl) {
-    const repoUrlPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
-    const match = repoUrl.match(repoUrlPattern);
-
-    if (!match) {
-      throw new Error("Invalid GitHub repository URL");
+class FileSystemJsonTreeGenerator extends BaseJsonTreeGenerator {
+  loadIgnoreRules(startPath) {
+    if (!this.options.respectGitignore) {
+      return null;
     }
+    return IgnoreRules.forRoot(startPath, {
+      treeignoreFile: this.options.treeignoreFile,
+    });
+  }
 
-    const [, owner, repo] = match;
-    const branch = await this.getDefaultBranch(owner, repo);
-    const repoInfo = await this.getRepositoryInfo(owner, repo);
-    const treeData = await this.getTreeData(owner, repo, branch);
-
-    const processedTree = this.processGitHubTree(treeData.tree);
-
+  // State shared by every directory of one walk. The counters are the
+  // progress reported to onProgress; `stopped` holds the error (abort or
+  // entry cap) that ends the whole walk, which per-entry error handling
+  // must not swallow. Walks that are not `counted` report no progress and
+  // do not count against maxEntries.
+  createWalkContext(startPath, { counted = true } = {}) {
     return {
-      repository: {
-        name: repo,
-        owner: owner,
-        branch: branch,
-        description: repoInfo.description,
-        stars: repoInfo.stargazers_count,
-        forks: repoInfo.forks_count,
-        url: repoInfo.html_url,
+      root: path.resolve(startPath),
+      counted,
+      ignoreRules: this.loadIgnoreRules(startPath),
+      limit: createLimiter(this.options.concurrency || DEFAULT_CONCURRENCY),
+      signal: this.options.signal,
+      ancestors: new Set(),
+      walk: {
+        entries: 0,
+        directories: 0,
+        files: 0,
+        symlinks: 0,
+        stopped: null,
       },
-      tree: processedTree,
     };
   }
-}
-async function generateDevDocs(tree, repoInfo) {
-  const timestamp = new Date().toISOString();
-  const docTemplate = {
-    metadata: {
-      generatedAt: timestamp,
-      repository: repoInfo,
-      lastUpdated: repoInfo.repository?.updated_at || timestamp,
-    },
-    projectStructure: {
-      overview: {
-        sourceFiles: [],
-        testFiles: [],
-        configFiles: [],
-        components: [],
-        utilities: [],
-        services: [],
-        models: [],
-        routes: [],
-      },
-      dataFlow: {
-        entryPoints: [],
-        services: [],
-        dataModels: [],
-        utilities: [],
-      },
-    },
-  };
 
-  function categorizeFile(filePath, fileName) {
-    if (fileName.includes(".test.") || fileName.includes(".spec."))
-      return "testFiles";
-    if (fileName.match(/\.(js|ts|jsx|tsx)$/)) {
-      if (filePath.includes("/components/")) return "components";
-      if (filePath.includes("/services/")) return "services";
-      if (filePath.includes("/utils/")) return "utilities";
-      if (filePath.includes("/models/")) return "models";
-      if (filePath.includes("/routes/")) return "routes";
-      return "sourceFiles";
+  // Runs one filesystem call through the concurrency limiter, after
+  // checking that the walk has not been cancelled or stopped
+  async fsCall(context, operation) {
+    return context.limit(() => {
+      this.checkWalk(context);
+      return operation();
+    });
+  }
+
+  checkWalk(context) {
+    if (context.walk.stopped) {
+      throw context.walk.stopped;
+    }
+    if (context.signal && context.signal.aborted) {
+      context.walk.stopped =
+        context.signal.reason instanceof Error
+          ? context.signal.reason
+          : Object.assign(new Error("Tree generation was aborted"), {
+              name: "AbortError",
+            });
+      throw context.walk.stopped;
     }
-    if (fileName.match(/\.(json|yaml|yml|env|config)$/)) return "configFiles";
-    return null;
   }
 
-  function processNode(node, parentPath = "") {
-    const currentPath = parentPath ? `${parentPath}/${node.name}` : node.name;
+  countEntries(context, count, dirPath) {
+    const { walk } = context;
+    const maxEntries = this.options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+
+    walk.entries += count;
+    if (walk.entries > maxEntries) {
+      const error = new Error(
+        `Stopped after ${maxEntries} entries; narrow the tree with excludePatterns or maxDepth, or raise maxEntries`
+      );
+      error.code = "MAX_ENTRIES_EXCEEDED";
+      error.statusCode = 413;
+      walk.stopped = walk.stopped || error;
+      throw walk.stopped;
+    }
 
-    if (node.type === "file") {
-      const category = categorizeFile(currentPath, node.name);
-      if (category) {
-        docTemplate.projectStructure.overview[category].push({
-          name: node.name,
-          path: currentPath,
-          size: node.metadata?.size ? formatSize(node.metadata.size) : "N/A",
-          lastModified: node.metadata?.modified || "N/A",
-        });
+    if (this.options.onProgress) {
+      this.options.onProgress({
+        entries: walk.entries,
+        directories: walk.directories,
+        files: walk.files,
+        symlinks: walk.symlinks,
+        path: dirPath,
+      });
+    }
+  }
 
-        // Add to data flow if relevant
-        if (node.name.includes("service") || node.name.includes("api")) {
-          docTemplate.projectStructure.dataFlow.services.push({
-            name: node.name,
-            path: currentPath,
-            dependencies: findDependencies(node),
-          });
-        } else if (
-          node.name.includes("model") ||
-          node.name.includes("schema")
-        ) {
-          docTemplate.projectStructure.dataFlow.dataModels.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (currentPath.includes("/utils/")) {
-          docTemplate.projectStructure.dataFlow.utilities.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (
-          currentPath.includes("index.") ||
-          currentPath.includes("main.") ||
-          currentPath.includes("app.")
-        ) {
-          docTemplate.projectStructure.dataFlow.entryPoints.push({
-            name: node.name,
-            path: currentPath,
-          });
+  nodeMetadata(stats) {
+    return this.options.includeMetadata
+      ? {
+          size: stats.size,
+          created: stats.birthtime,
+          modified: stats.mtime,
+          permissions: stats.mode,
         }
+      : undefined;
+  }
+
+  contentReader() {
+    return (node) => fsp.readFile(node.path);
+  }
+
+  // Resolves to null for a directory that filtering left empty; the root
+  // node is always returned. Directories are read in parallel, with at most
+  // `concurrency` filesystem calls in flight. Entries are lstat'ed, so
+  // symlinks are only followed with followSymlinks, and with allowedRoots
+  // only into them; the root is always followed since it was asked for by
+  // name.
+  async generateTreeData(
+    startPath,
+    currentDepth = 0,
+    context = this.createWalkContext(startPath)
+  ) {
+    const stats = await this.fsCall(context, () =>
+      currentDepth === 0 ? fsp.stat(startPath) : fsp.lstat(startPath)
+    );
+
+    if (stats.isSymbolicLink()) {
+      return this.generateSymlinkNode(startPath, stats, currentDepth, context);
+    }
+    const treeNode = await this.generateNode(
+      startPath,
+      stats,
+      currentDepth,
+      context
+    );
+    if (currentDepth === 0) {
+      await this.applyCodeOwners(treeNode, (location) =>
+        this.readOptionalFile(context, path.join(startPath, location))
+      );
+      if (this.options.history) {
+        await this.applyGitHistory(treeNode, startPath);
+      }
+      if (this.options.includeMetadata) {
+        this.calculateTotalSize(treeNode);
       }
     }
+    return treeNode;
+  }
 
-    if (node.children) {
-      node.children.forEach((child) => processNode(child, currentPath));
+  // Hash of the relative path, size and modification time of every entry
+  // generateTreeData() could list, for caching what is generated from the
+  // directory: adding, removing or changing a file changes it. The walk is
+  // the same: entries are filtered by the include and exclude patterns,
+  // maxDepth and the .gitignore and .treeignore rules, whose content counts
+  // as well, and symlinks are followed where the walk follows them. With
+  // history, the checked-out commit counts too. It runs before every cached
+  // generation, so it is not part of the generation's progress or its
+  // maxEntries.
+  async fingerprint(startPath) {
+    const context = this.createWalkContext(startPath, { counted: false });
+    const lines = [];
+    const relative = (entryPath) =>
+      toPosixPath(path.relative(context.root, entryPath));
+
+    if (context.ignoreRules) {
+      lines.push(
+        `\0rules\0${context.ignoreRules.rules
+          .map((rule) => `${rule.base}\0${rule.negate}\0${rule.regex}`)
+          .join("\n")}`
+      );
     }
+
+    const visit = async (entryPath, stats, depth, entryContext) => {
+      if (!stats.isDirectory()) {
+        lines.push(`${relative(entryPath)}\0${stats.size}\0${stats.mtimeMs}`);
+        return;
+      }
+      // A directory's own times also change with the entries it ignores;
+      // the entries it keeps have lines of their own
+      lines.push(`${relative(entryPath)}\0directory`);
+      if (depth >= this.options.maxDepth) {
+        return;
+      }
+
+      const ancestors = new Set(entryContext.ancestors).add(inodeKey(stats));
+      let listing;
+      try {
+        listing = await this.readDirectory(entryPath, entryContext);
+      } catch (error) {
+        if (context.walk.stopped) throw error;
+        lines.push(`${relative(entryPath)}\0unreadable`);
+        return;
+      }
+      if (listing.ignoreFile !== null) {
+        lines.push(`${relative(entryPath)}\0rules\0${listing.ignoreFile}`);
+      }
+
+      const childContext = {
+        ...entryContext,
+        ignoreRules: listing.ignoreRules,
+        ancestors,
+      };
+      await Promise.all(
+        listing.names.map(async (name) => {
+          const childPath = path.join(entryPath, name);
+          try {
+            const childStats = await this.fsCall(context, () =>
+              fsp.lstat(childPath)
+            );
+            if (!childStats.isSymbolicLink()) {
+              return await visit(
+                childPath,
+                childStats,
+                depth + 1,
+                childContext
+              );
+            }
+            const target = await this.fsCall(context, () =>
+              fsp.readlink(childPath)
+            );
+            const link = await this.resolveSymlink(childPath, childContext);
+            lines.push(
+              `${relative(childPath)}\0->\0${target}\0${Boolean(link.followed)}`
+            );
+            if (link.followed) {
+              await visit(childPath, link.stats, depth + 1, childContext);
+            }
+          } catch (error) {
+            if (context.walk.stopped) throw error;
+            lines.push(`${relative(childPath)}\0unreadable`);
+          }
+        })
+      );
+    };
+
+    const rootStats = await this.fsCall(context, () => fsp.stat(startPath));
+    await visit(startPath, rootStats, 0, context);
+    if (this.options.history) {
+      const git = new GitJsonTreeGenerator(this.options);
+      lines.push(
+        await git.git(startPath, ["rev-parse", "HEAD"]).catch(() => "")
+      );
+    }
+
+    return crypto
+      .createHash("sha256")
+      .update(lines.sort().join("\n"))
+      .digest("hex");
   }
 
-  function formatSize(bytes) {
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    if (bytes === 0) return "0 Bytes";
-    const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
-    return Math.round(bytes / Math.pow(1024, i), 2) + " " + sizes[i];
+  // File history from the git repository the walk started in, if any
+  async applyGitHistory(treeNode, startPath) {
+    const git = new GitJsonTreeGenerator(this.options);
+    try {
+      const history = await readGitHistory((args) => git.git(startPath, args), {
+        maxCommits: this.options.historyMaxCommits,
+      });
+      annotateHistory(treeNode, history);
+    } catch (error) {
+      if (this.options.signal && this.options.signal.aborted) throw error;
+      console.warn(
+        `Warning: No git history for ${startPath}: ${error.message}`
+      );
+    }
   }
 
-  // Process the tree to populate the documentation
-  processNode(tree);
-
-  // Generate markdown documentation
-  const markdown = `# Project Structure Documentation
-Generated on: ${new Date().toLocaleString()}
-
-## Repository Information
-- Name: ${repoInfo.repository.name}
-- Owner: ${repoInfo.repository.owner}
-- Branch: ${repoInfo.repository.branch}
-
-## Project Overview
-
-### Entry Points
-${docTemplate.projectStructure.dataFlow.entryPoints
-  .map((entry) => `- \`${entry.path}\``)
-  .join("\n")}
-
-### Services
-${docTemplate.projectStructure.dataFlow.services
-  .map((service) => `- \`${service.path}\``)
-  .join("\n")}
-
-### Data Models
-${docTemplate.projectStructure.dataFlow.dataModels
-  .map((model) => `- \`${model.path}\``)
-  .join("\n")}
-
-### Components
-${docTemplate.projectStructure.overview.components
-  .map((comp) => `- \`${comp.path}\``)
-  .join("\n")}
-
-### Utilities
-${docTemplate.projectStructure.overview.utilities
-  .map((util) => `- \`${util.path}\``)
-  .join("\n")}
-
-## Data Flow Diagram
-\`\`\`mermaid
-flowchart TD
-    ${docTemplate.projectStructure.dataFlow.entryPoints
-      .map((entry) => `Entry[${entry.name}]`)
-      .join("\n    ")}
-    ${docTemplate.projectStructure.dataFlow.services
-      .map((service) => `Service[${service.name}]`)
-      .join("\n    ")}
-    ${docTemplate.projectStructure.dataFlow.dataModels
-      .map((model) => `Model[${model.name}]`)
-      .join("\n    ")}
-    
-    Entry --> Service
-    Service --> Model
-\`\`\`
-
-## Directory Structure
-\`\`\`
-[Tree structure will be added here]
-\`\`\`
-`;
-
-  return {
-    markdown,
-    documentation: docTemplate,
-  };
+  // With the allowedRoots option (a list of real paths), whether filePath
+  // resolves, through any symlinks, to somewhere inside one of them
+  async isAllowedPath(context, filePath) {
+    if (!this.options.allowedRoots) {
+      return true;
+    }
+    const realPath = await this.fsCall(context, () => fsp.realpath(filePath));
+    return this.options.allowedRoots.some((root) =>
+      isPathInside(root, realPath)
+    );
+  }
+
+  // The file's content, or null when it does not exist or lies outside the
+  // allowed roots
+  async readOptionalFile(context, filePath) {
+    try {
+      if (!(await this.isAllowedPath(context, filePath))) {
+        return null;
+      }
+      return await this.fsCall(context, () => fsp.readFile(filePath));
+    } catch (error) {
+      if (["ENOENT", "ENOTDIR", "EISDIR"].includes(error.code)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // A link that is not followed, or cannot be, becomes a "symlink" node
+  // with its target; broken links and links back into one of their own
+  // parent directories are flagged instead of being walked.
+  async generateSymlinkNode(linkPath, linkStats, currentDepth, context) {
+    const target = await this.fsCall(context, () => fsp.readlink(linkPath));
+    const symlinkNode = {
+      name: path.basename(linkPath),
+      type: "symlink",
+      path: linkPath,
+      target,
+      metadata: this.nodeMetadata(linkStats),
+    };
+    context.walk.symlinks++;
+
+    const link = await this.resolveSymlink(linkPath, context);
+    if (link.broken) {
+      return { ...symlinkNode, broken: true };
+    }
+    if (link.cycle) {
+      return { ...symlinkNode, cycle: true };
+    }
+    if (!link.followed) {
+      return symlinkNode;
+    }
+
+    const followed = await this.generateNode(
+      linkPath,
+      link.stats,
+      currentDepth,
+      context
+    );
+    return followed && { ...followed, target };
+  }
+
+  // What the walk does with a symlink: { broken: true } when its target is
+  // missing, { cycle: true } when it leads back into one of its parent
+  // directories, { followed: true, stats } with the target's stats when it
+  // is walked into, and { followed: false } when it is only listed
+  async resolveSymlink(linkPath, context) {
+    let stats;
+    try {
+      stats = await this.fsCall(context, () => fsp.stat(linkPath));
+    } catch (error) {
+      if (context.walk.stopped) throw error;
+      return { broken: true };
+    }
+
+    // Links that lead out of the allowed roots are listed, never followed
+    if (
+      !this.options.followSymlinks ||
+      !(await this.isAllowedPath(context, linkPath))
+    ) {
+      return { followed: false };
+    }
+    if (stats.isDirectory() && context.ancestors.has(inodeKey(stats))) {
+      return { cycle: true };
+    }
+    return { followed: true, stats };
+  }
+
+  // The entries of a directory the walk keeps: those the include and
+  // exclude patterns accept and the .gitignore rules, extended with the
+  // directory's own .gitignore, do not ignore. Resolves with { names,
+  // ignoreRules, ignoreFile, filtered }: the rules for the entries, that
+  // .gitignore's content (null without one) and whether anything was
+  // left out.
+  async readDirectory(dirPath, context) {
+    const entries = await this.fsCall(context, () =>
+      fsp.readdir(dirPath, { withFileTypes: true })
+    );
+
+    let ignoreRules = context.ignoreRules;
+    let ignoreFile = null;
+    if (
+      ignoreRules &&
+      entries.some((entry) => entry.name === ".gitignore" && entry.isFile())
+    ) {
+      ignoreFile = await this.fsCall(context, () =>
+        fsp.readFile(path.join(dirPath, ".gitignore"), "utf8")
+      ).catch((error) => {
+        if (context.walk.stopped) throw error;
+        return null;
+      });
+      ignoreRules = ignoreRules.withIgnoreFile(dirPath, ignoreFile);
+    }
+
+    let filtered = false;
+    const names = entries
+      .filter((entry) => {
+        const relativePath = toPosixPath(
+          path.relative(context.root, path.join(dirPath, entry.name))
+        );
+        const accepted =
+          this.pathFilter.accepts(relativePath, entry.isDirectory()) &&
+          !(
+            ignoreRules &&
+            ignoreRules.ignores(relativePath, entry.isDirectory())
+          );
+        filtered = filtered || !accepted;
+        return accepted;
+      })
+      .map((entry) => entry.name);
+
+    if (context.counted) {
+      this.countEntries(context, names.length, dirPath);
+    }
+    return { names, ignoreRules, ignoreFile, filtered };
+  }
+
+  // Reads the file and merges FileAnalysis results into its metadata. A
+  // file that cannot be read is still listed, just without the analysis.
+  async analyzeFile(treeNode, stats, context) {
+    const metadata = treeNode.metadata || {};
+    treeNode.metadata = metadata;
+
+    if (!this.shouldAnalyzeContent(stats.size)) {
+      metadata.language = detectLanguage(treeNode.name) || null;
+      return;
+    }
+
+    try {
+      const content = await this.fsCall(context, () =>
+        fsp.readFile(treeNode.path)
+      );
+      Object.assign(metadata, analyzeContent(treeNode.name, content));
+    } catch (error) {
+      if (context.walk.stopped) throw error;
+      metadata.language = detectLanguage(treeNode.name) || null;
+    }
+  }
+
+  async generateNode(startPath, stats, currentDepth, context) {
+    const baseName = path.basename(startPath);
+
+    const treeNode = {
+      name: baseName,
+      type: stats.isDirectory() ? "directory" : "file",
+      path: startPath,
+      children: [],
+      metadata: this.nodeMetadata(stats),
+    };
+
+    if (stats.isDirectory()) {
+      context.walk.directories++;
+    } else {
+      context.walk.files++;
+      if (this.options.analyzeFiles !== false) {
+        await this.analyzeFile(treeNode, stats, context);
+      }
+    }
+
+    if (!stats.isDirectory() || currentDepth >= this.options.maxDepth) {
+      return treeNode;
+    }
+
+    // Device and inode identify a directory however it was reached, which
+    // is what catches symlink loops
+    const ancestors = new Set(context.ancestors).add(inodeKey(stats));
+
+    let filtered = false;
+
+    try {
+      const listing = await this.readDirectory(startPath, context);
+      const files = listing.names;
+      const directoryRules = listing.ignoreRules;
+      filtered = listing.filtered;
+
+      const childNodes = await Promise.all(
+        files.map(async (file) => {
+          const filePath = path.join(startPath, file);
+          try {
+            return await this.generateTreeData(filePath, currentDepth + 1, {
+              ...context,
+              ignoreRules: directoryRules,
+              ancestors,
+            });
+          } catch (error) {
+            if (context.walk.stopped) throw error;
+            console.warn(
+              `Warning: Could not process ${filePath}: ${error.message}`
+            );
+            return undefined;
+          }
+        })
+      );
+
+      childNodes.forEach((childNode) => {
+        if (childNode === null) {
+          filtered = true;
+        } else if (childNode) {
+          treeNode.children.push(childNode);
+        }
+      });
+
+      this.sortChildren(treeNode);
+    } catch (error) {
+      if (context.walk.stopped) throw error;
+      console.error(`Error reading directory ${startPath}: ${error.message}`);
+    }
+
+    if (filtered && currentDepth > 0 && treeNode.children.length === 0) {
+      return null;
+    }
+    return treeNode;
+  }
 }
-async function generateDevDocs(tree, repoInfo) {
-  const timestamp = new Date().toISOString();
-  const docTemplate = {
-    metadata: {
-      generatedAt: timestamp,
-      repository: repoInfo,
-      lastUpdated: repoInfo.repository?.updated_at || timestamp,
-    },
-    projectStructure: {
-      overview: {
-        sourceFiles: [],
-        testFiles: [],
-        configFiles: [],
-        components: [],
-        utilities: [],
-        services: [],
-        models: [],
-        routes: [],
+
+// Reads a local repository's object database through the git CLI, so the
+// tree reflects what is committed at a ref (tracked files only) and needs
+// no network. Nodes carry the same blob SHA, mode and size as the remote
+// generators produce.
+class GitJsonTreeGenerator extends BaseJsonTreeGenerator {
+  constructor(options = {}) {
+    super(options);
+    this.gitBinary = options.gitBinary || "git";
+  }
+
+  // repoPath may be a working tree, a bare repository or a .git directory.
+  // Resolves with stdout as a string, or a Buffer with encoding "buffer".
+  // options.signal kills git and rejects with the signal's reason.
+  git(repoPath, args, encoding = "utf8") {
+    const { signal } = this.options;
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+      execFile(
+        this.gitBinary,
+        ["-C", repoPath, ...args],
+        { maxBuffer: GIT_MAX_BUFFER, encoding, signal },
+        (error, stdout, stderr) => {
+          if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+          }
+          if (error) {
+            if (error.code === "ENOENT") {
+              reject(new Error(`git executable "${this.gitBinary}" not found`));
+              return;
+            }
+            reject(new Error(String(stderr).trim() || error.message));
+            return;
+          }
+          resolve(stdout);
+        }
+      );
+    });
+  }
+
+  async resolveCommit(repoPath, ref) {
+    try {
+      const sha = await this.git(repoPath, [
+        "rev-parse",
+        "--verify",
+        "--quiet",
+        `${ref}^{commit}`,
+      ]);
+      return sha.trim();
+    } catch (error) {
+      if (/not a git repository/i.test(error.message)) {
+        const invalid = new Error(`${repoPath} is not a git repository`);
+        invalid.statusCode = 400;
+        invalid.code = "NOT_A_GIT_REPOSITORY";
+        throw invalid;
+      }
+      const notFound = new Error(
+        `No branch, tag or commit matches "${ref}" in ${repoPath}`
+      );
+      notFound.statusCode = 404;
+      notFound.code = "REF_NOT_FOUND";
+      throw notFound;
+    }
+  }
+
+  getBlob(repoPath, sha) {
+    return this.git(repoPath, ["cat-file", "blob", sha], "buffer");
+  }
+
+  contentReader(repository) {
+    return (node) => this.getBlob(repository.url, node.metadata.sha);
+  }
+
+  // The blob at a path from the repository root, or null when the commit
+  // has no such file
+  async readOptionalFile(repoPath, commit, filePath) {
+    const items = await this.getTreeItems(repoPath, commit, "", [filePath]);
+    const entry = items.find((item) => item.path === filePath);
+    return entry && entry.type === "blob"
+      ? this.getBlob(repoPath, entry.sha)
+      : null;
+  }
+
+  static repositoryName(repoPath) {
+    const resolved = path.resolve(repoPath);
+    const base = path.basename(resolved);
+    return base === ".git"
+      ? path.basename(path.dirname(resolved))
+      : base.replace(/\.git$/, "");
+  }
+
+  // `git ls-tree -r -t -l -z` lists every blob and tree below treeIsh as
+  // "<mode> <type> <sha> <size>\t<path>\0", with "-" as the size of trees.
+  // Given paths, only those entries are listed.
+  async getTreeItems(repoPath, commit, treePath, paths = []) {
+    const treeIsh = treePath ? `${commit}:${treePath}` : commit;
+    let output;
+    try {
+      output = await this.git(repoPath, [
+        "ls-tree",
+        "-r",
+        "-t",
+        "-l",
+        "-z",
+        treeIsh,
+        ...(paths.length > 0 ? ["--", ...paths] : []),
+      ]);
+    } catch (error) {
+      if (treePath) {
+        const notFound = new Error(
+          `"${treePath}" is not a directory at ${commit.slice(0, 12)}`
+        );
+        notFound.statusCode = 404;
+        notFound.code = "PATH_NOT_FOUND";
+        throw notFound;
+      }
+      throw error;
+    }
+
+    return output
+      .split("\0")
+      .filter(Boolean)
+      .map((line) => {
+        const tab = line.indexOf("\t");
+        const [mode, type, sha, size] = line.slice(0, tab).trim().split(/\s+/);
+        return {
+          path: line.slice(tab + 1),
+          type,
+          sha,
+          mode,
+          ...(size !== "-" && { size: Number(size) }),
+        };
+      });
+  }
+
+  async generateTreeData(repoPath, ref = this.options.ref || "HEAD") {
+    const { tree } = await this.generate(repoPath, ref);
+    return tree;
+  }
+
+  // resolvedCommit is what resolveCommit() returned for ref, when that
+  // already ran
+  async generate(
+    repoPath,
+    ref = this.options.ref || "HEAD",
+    resolvedCommit = null
+  ) {
+    const commit = resolvedCommit || (await this.resolveCommit(repoPath, ref));
+    const treePath = (this.options.path || "").replace(/^\/+|\/+$/g, "");
+    const items = await this.getTreeItems(repoPath, commit, treePath);
+    const name = GitJsonTreeGenerator.repositoryName(repoPath);
+
+    const tree = this.processTreeItems(items);
+    tree.name = treePath ? treePath.split("/").pop() : name;
+
+    if (this.options.analyzeFiles) {
+      await this.analyzeBlobs(tree, (sha) => this.getBlob(repoPath, sha));
+    }
+    await this.applyCodeOwners(
+      tree,
+      (location) => this.readOptionalFile(repoPath, commit, location),
+      treePath
+    );
+    if (this.options.history) {
+      const history = await readGitHistory((args) => this.git(repoPath, args), {
+        ref: commit,
+        path: treePath,
+        maxCommits: this.options.historyMaxCommits,
+      });
+      annotateHistory(tree, history);
+    }
+
+    return {
+      repository: {
+        provider: "git",
+        name,
+        owner: "local",
+        branch: ref,
+        ref,
+        commit,
+        path: treePath,
+        url: path.resolve(repoPath),
       },
-      dataFlow: {
-        entryPoints: [],
-        services: [],
-        dataModels: [],
-        utilities: [],
+      tree,
+      stats: {
+        requests: 0,
+        truncated: false,
+        complete: true,
       },
-    },
-  };
+    };
+  }
+}
+
+// Providers answer a commit lookup for an unknown ref with 400, 404 or 422
+function isMissingRef(error) {
+  return [400, 404, 422].includes(error.statusCode);
+}
+
+function refNotFound(ref) {
+  const error = new Error(`No branch, tag or commit matches "${ref}"`);
+  error.statusCode = 404;
+  error.code = "REF_NOT_FOUND";
+  return error;
+}
+
+// Base class for generators that read a hosted git provider's API. A
+// provider subclass implements:
+//
+//   static providerName, static apiPath, static matchesHost(host)
+//   parseRepositoryUrl(url)     -> { protocol, host, owner, repo, ref, path,
+//                                    treeSegments } or null
+//   defaultApiUrl()             -> API base URL of the public instance
+//   requestHeaders()            -> headers for every API request
+//   getRepositoryDetails(o, r)  -> { defaultBranch, description, stars,
+//                                    forks, url }
+//   getCommit(o, r, ref)        -> { sha, treeSha? }
+//   getTreeItems(o, r, commit, treePath)
+//                               -> { tree: [{ path, type, sha, size, mode }],
+//                                    truncated } with paths relative to
+//                                    treePath
+//   getBlob(o, r, sha)          -> Buffer with the blob's content
+//   getFile(o, r, commitSha, filePath)
+//                               -> Buffer with the file at a path from the
+//                                    repository root, or null when missing
+//   getFileCommits(o, r, commitSha, filePath)
+//                               -> { commits: [{ sha, date, author, email }],
+//                                    complete }, newest first, with the
+//                                    first page of commits touching the file
+//
+// and gets URL/ref resolution, tree building and generate() from here.
+class RemoteJsonTreeGenerator extends BaseJsonTreeGenerator {
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (options.apiUrl || this.defaultApiUrl()).replace(/\/$/, "");
+    // The client's own token, sent wherever the repository is
+    this.token = options.token;
+    this.requestCount = 0;
+    this.http =
+      options.httpClient ||
+      new HttpClient({
+        name: this.constructor.providerName,
+        timeout: options.timeout,
+        maxRetries: options.maxRetries,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        cacheMaxSize: options.cacheMaxSize,
+      });
+  }
+
+  static matchesHost() {
+    return false;
+  }
 
-  function categorizeFile(filePath, fileName) {
-    if (fileName.includes(".test.") || fileName.includes(".spec."))
-      return "testFiles";
-    if (fileName.match(/\.(js|ts|jsx|tsx)$/)) {
-      if (filePath.includes("/components/")) return "components";
-      if (filePath.includes("/services/")) return "services";
-      if (filePath.includes("/utils/")) return "utilities";
-      if (filePath.includes("/models/")) return "models";
-      if (filePath.includes("/routes/")) return "routes";
-      return "sourceFiles";
+  // The token in the environment variable `name`, for requests to the
+  // provider's default API only: an apiUrl option or a self-hosted host
+  // from the repository URL never gets it. The serverToken option turns it
+  // off entirely; the HTTP service does that so clients spend their own
+  // API quota.
+  serverToken(name) {
+    if (
+      this.options.serverToken === false ||
+      this.baseUrl !== this.defaultApiUrl().replace(/\/$/, "")
+    ) {
+      return undefined;
     }
-    if (fileName.match(/\.(json|yaml|yml|env|config)$/)) return "configFiles";
-    return null;
+    return process.env[name];
   }
 
-  function processNode(node, parentPath = "") {
-    const currentPath = parentPath ? `${parentPath}/${node.name}` : node.name;
+  // With the allowedHosts option, the API hosts requests may go to besides
+  // the default API's
+  checkHost(url) {
+    if (!this.options.allowedHosts) {
+      return;
+    }
+    const { host } = new URL(url);
+    if (
+      host !== new URL(this.defaultApiUrl()).host &&
+      !this.options.allowedHosts.includes(host)
+    ) {
+      const error = new Error(`Requests to ${host} are not allowed`);
+      error.statusCode = 403;
+      error.code = "HOST_NOT_ALLOWED";
+      throw error;
+    }
+  }
 
-    if (node.type === "file") {
-      const category = categorizeFile(currentPath, node.name);
-      if (category) {
-        docTemplate.projectStructure.overview[category].push({
-          name: node.name,
-          path: currentPath,
-          size: node.metadata?.size ? formatSize(node.metadata.size) : "N/A",
-          lastModified: node.metadata?.modified || "N/A",
-        });
+  defaultApiUrl() {
+    throw new Error(`${this.constructor.name} must implement defaultApiUrl`);
+  }
 
-        // Add to data flow if relevant
-        if (node.name.includes("service") || node.name.includes("api")) {
-          docTemplate.projectStructure.dataFlow.services.push({
-            name: node.name,
-            path: currentPath,
-            dependencies: findDependencies(node),
-          });
-        } else if (
-          node.name.includes("model") ||
-          node.name.includes("schema")
-        ) {
-          docTemplate.projectStructure.dataFlow.dataModels.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (currentPath.includes("/utils/")) {
-          docTemplate.projectStructure.dataFlow.utilities.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (
-          currentPath.includes("index.") ||
-          currentPath.includes("main.") ||
-          currentPath.includes("app.")
-        ) {
-          docTemplate.projectStructure.dataFlow.entryPoints.push({
-            name: node.name,
-            path: currentPath,
-          });
+  requestHeaders() {
+    return {};
+  }
+
+  parseRepositoryUrl() {
+    throw new Error(
+      `${this.constructor.name} must implement parseRepositoryUrl`
+    );
+  }
+
+  async getRepositoryDetails() {
+    throw new Error(
+      `${this.constructor.name} must implement getRepositoryDetails`
+    );
+  }
+
+  async getCommit() {
+    throw new Error(`${this.constructor.name} must implement getCommit`);
+  }
+
+  async getTreeItems() {
+    throw new Error(`${this.constructor.name} must implement getTreeItems`);
+  }
+
+  async getBlob() {
+    throw new Error(`${this.constructor.name} must implement getBlob`);
+  }
+
+  async getFile() {
+    throw new Error(`${this.constructor.name} must implement getFile`);
+  }
+
+  async getFileCommits() {
+    throw new Error(`${this.constructor.name} must implement getFileCommits`);
+  }
+
+  // Sets metadata.history on every file node, one API request per file.
+  // Only the first page of each file's commits is read, so counts for busy
+  // files are lower bounds (complete: false).
+  async applyFileHistory(tree, owner, repo, commitSha, treePath) {
+    const limit = createLimiter(this.options.concurrency || 8);
+    const files = [];
+    const collect = (node, nodePath) => {
+      if (node.type === "file") files.push({ node, nodePath });
+      (node.children || []).forEach((child) =>
+        collect(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+      );
+    };
+    collect(tree, treePath);
+
+    await Promise.all(
+      files.map(async ({ node, nodePath }) => {
+        const { commits, complete } = await limit(() =>
+          this.getFileCommits(owner, repo, commitSha, nodePath)
+        );
+        if (commits.length > 0) {
+          node.metadata = {
+            ...node.metadata,
+            history: historyFromCommits(commits, complete),
+          };
+        }
+      })
+    );
+    return tree;
+  }
+
+  contentReader(repository) {
+    return (node) =>
+      this.getBlob(repository.owner, repository.name, node.metadata.sha);
+  }
+
+  // Self-hosted instances serve their API from the host in the URL, unless
+  // apiUrl says otherwise
+  apiUrlFor(source) {
+    if (
+      this.options.apiUrl ||
+      this.constructor.matchesPublicHost(source.host)
+    ) {
+      return this.baseUrl;
+    }
+    return `${source.protocol}//${source.host}${this.constructor.apiPath}`;
+  }
+
+  static matchesPublicHost(host) {
+    return host === this.publicHost;
+  }
+
+  // Resolves with the status code, headers and parsed JSON body. Non-2xx
+  // responses reject with an error carrying statusCode. Each finished
+  // request is reported to onProgress with the counts so far. The signal
+  // defaults to the generator's.
+  async request(path, { signal = this.options.signal } = {}) {
+    this.checkHost(this.baseUrl);
+    this.requestCount++;
+    const response = await this.http.get(
+      `${this.baseUrl}${path}`,
+      {
+        "User-Agent": "JSON-Tree-Generator",
+        Accept: "application/json",
+        ...this.requestHeaders(),
+      },
+      { signal }
+    );
+    if (this.options.onProgress) {
+      this.options.onProgress({
+        requests: this.requestCount,
+        cached: this.http.stats.cached,
+        retries: this.http.stats.retries,
+        path,
+      });
+    }
+    return response;
+  }
+
+  async makeRequest(path, options) {
+    const { body } = await this.request(path, options);
+    return body;
+  }
+
+  // Splits the segments after the ref marker of a URL into a ref and a
+  // path by trying the shortest prefix first. Git does not allow both
+  // "feature" and "feature/login" to exist, so the first hit is the ref.
+  async resolveRefAndPath(owner, repo, segments) {
+    for (let i = 1; i <= segments.length; i++) {
+      const ref = segments.slice(0, i).join("/");
+      try {
+        const commit = await this.getCommit(owner, repo, ref);
+        return { ref, path: segments.slice(i).join("/"), commit };
+      } catch (error) {
+        if (!isMissingRef(error)) {
+          throw error;
         }
       }
     }
+    throw refNotFound(segments.join("/"));
+  }
 
-    if (node.children) {
-      node.children.forEach((child) => processNode(child, currentPath));
+  // getCommit() for a ref the caller named, or the default branch
+  async getRefCommit(owner, repo, ref) {
+    try {
+      return await this.getCommit(owner, repo, ref);
+    } catch (error) {
+      throw isMissingRef(error) ? refNotFound(ref) : error;
     }
   }
 
-  function formatSize(bytes) {
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    if (bytes === 0) return "0 Bytes";
-    const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
-    return Math.round(bytes / Math.pow(1024, i), 2) + " " + sizes[i];
+  // Resolves a repository URL plus the ref/path options to the repository
+  // details, a ref, its commit and the tree path. Explicit options win over
+  // whatever the URL says; without either, the default branch is used.
+  async resolveRepository(repoUrl) {
+    const source = this.parseRepositoryUrl(repoUrl);
+    if (!source) {
+      const error = new Error(
+        `Invalid ${this.constructor.providerName} repository URL`
+      );
+      error.statusCode = 400;
+      error.code = "INVALID_REPOSITORY_URL";
+      throw error;
+    }
+    this.baseUrl = this.apiUrlFor(source).replace(/\/$/, "");
+
+    const { owner, repo } = source;
+    const repoInfo = await this.getRepositoryDetails(owner, repo);
+
+    let ref = this.options.ref || source.ref;
+    let treePath = source.path;
+    let commit;
+
+    if (!ref && source.treeSegments.length > 0) {
+      ({
+        ref,
+        path: treePath,
+        commit,
+      } = await this.resolveRefAndPath(owner, repo, source.treeSegments));
+    }
+
+    ref = ref || repoInfo.defaultBranch;
+    commit = commit || (await this.getRefCommit(owner, repo, ref));
+
+    if (this.options.path !== undefined) {
+      treePath = this.options.path;
+    }
+    treePath = (treePath || "").replace(/^\/+|\/+$/g, "");
+
+    return { owner, repo, ref, path: treePath, commit, repoInfo };
   }
 
-  // Process the tree to populate the documentation
-  processNode(tree);
-
-  // Generate markdown documentation
-  const markdown = `# Project Structure Documentation
-Generated on: ${new Date().toLocaleString()}
-
-## Repository Information
-- Name: ${repoInfo.repository.name}
-- Owner: ${repoInfo.repository.owner}
-- Branch: ${repoInfo.repository.branch}
-
-## Project Overview
-
-### Entry Points
-${docTemplate.projectStructure.dataFlow.entryPoints
-  .map((entry) => `- \`${entry.path}\``)
-  .join("\n")}
-
-### Services
-${docTemplate.projectStructure.dataFlow.services
-  .map((service) => `- \`${service.path}\``)
-  .join("\n")}
-
-### Data Models
-${docTemplate.projectStructure.dataFlow.dataModels
-  .map((model) => `- \`${model.path}\``)
-  .join("\n")}
-
-### Components
-${docTemplate.projectStructure.overview.components
-  .map((comp) => `- \`${comp.path}\``)
-  .join("\n")}
-
-### Utilities
-${docTemplate.projectStructure.overview.utilities
-  .map((util) => `- \`${util.path}\``)
-  .join("\n")}
-
-## Data Flow Diagram
-\`\`\`mermaid
-flowchart TD
-  ${docTemplate.projectStructure.dataFlow.entryPoints
-    .map((entry) => `Entry[${entry.name}]`)
-    .join("\n    ")}
-  ${docTemplate.projectStructure.dataFlow.services
-    .map((service) => `Service[${service.name}]`)
-    .join("\n    ")}
-  ${docTemplate.projectStructure.dataFlow.dataModels
-    .map((model) => `Model[${model.name}]`)
-    .join("\n    ")}
-  
-  Entry --> Service
-  Service --> Model
-\`\`\`
-
-## Directory Structure
-\`\`\`
-[Tree structure will be added here]
-\`\`\`
-`;
-
-  return {
-    markdown,
-    documentation: docTemplate,
-  };
+  // Fetches the tree below the requested directory; `resolved` is what
+  // resolveRepository() returned for repoUrl, when that already ran
+  async fetchRepository(repoUrl, resolved = null) {
+    const {
+      owner,
+      repo,
+      ref,
+      path: treePath,
+      commit,
+      repoInfo,
+    } = resolved || (await this.resolveRepository(repoUrl));
+
+    const treeData = await this.getTreeItems(owner, repo, commit, treePath);
+
+    return {
+      owner,
+      repo,
+      ref,
+      path: treePath,
+      commit: commit.sha,
+      repoInfo,
+      treeData,
+    };
+  }
+
+  // Kept for callers of the original GitHub-only name
+  processGitHubTree(items) {
+    return this.processTreeItems(items);
+  }
+
+  async generate(repoUrl, resolved = null) {
+    const source = await this.fetchRepository(repoUrl, resolved);
+    const { owner, repo, ref, commit, repoInfo, treeData } = source;
+
+    const processedTree = this.processTreeItems(treeData.tree);
+    if (source.path) {
+      processedTree.name = source.path.split("/").pop();
+    }
+
+    // One API request per file, so only on request
+    if (this.options.analyzeFiles) {
+      await this.analyzeBlobs(
+        processedTree,
+        (sha) => this.getBlob(owner, repo, sha),
+        this.options.concurrency
+      );
+    }
+
+    // The listing of the whole repository already says whether there is a
+    // CODEOWNERS file; below a path it has to be asked for
+    await this.applyCodeOwners(
+      processedTree,
+      (location) => {
+        if (source.path) {
+          return this.getFile(owner, repo, commit, location);
+        }
+        const item = treeData.tree.find(
+          (entry) => entry.path === location && entry.type === "blob"
+        );
+        return item ? this.getBlob(owner, repo, item.sha) : null;
+      },
+      source.path
+    );
+
+    // One API request per file as well
+    if (this.options.history) {
+      await this.applyFileHistory(
+        processedTree,
+        owner,
+        repo,
+        commit,
+        source.path
+      );
+    }
+
+    return {
+      repository: {
+        provider: this.constructor.providerName,
+        name: repo,
+        owner: owner,
+        branch: ref,
+        ref,
+        commit,
+        path: source.path,
+        description: repoInfo.description,
+        stars: repoInfo.stars,
+        forks: repoInfo.forks,
+        url: repoInfo.url,
+      },
+      tree: processedTree,
+      stats: {
+        requests: this.requestCount,
+        cached: this.http.stats.cached,
+        retries: this.http.stats.retries,
+        truncated: Boolean(treeData.recursiveTruncated),
+        complete: !treeData.truncated,
+        rateLimit: this.http.rateLimit,
+      },
+    };
+  }
 }
 
-// Update the main function to use the new documentation generator
-async function main() {
-  try {
-    const repoUrl =
-      process.argv[2] || "https://github.com/codenlighten/tree-generations";
-    const outputPath = process.argv[3] || "./docs/project-structure.md";
+class GitHubJsonTreeGenerator extends RemoteJsonTreeGenerator {
+  constructor(options = {}) {
+    super(options);
+    this.treeConcurrency = options.treeConcurrency || 8;
+  }
+
+  static providerName = "github";
+  static publicHost = "github.com";
+  static apiPath = "/api/v3";
+
+  static matchesHost(host) {
+    return host === "github.com" || /(^|\.)github\./.test(host);
+  }
+
+  // GITHUB_API_URL also points github.com URLs at GitHub Enterprise or a
+  // local mock of the API
+  defaultApiUrl() {
+    return process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL;
+  }
+
+  requestHeaders() {
+    const token = this.token || this.serverToken("GITHUB_TOKEN");
+    return {
+      "User-Agent": "GitHub-JSON-Tree-Generator",
+      Accept: "application/vnd.github.v3+json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    };
+  }
+
+  parseRepositoryUrl(repoUrl) {
+    return parseGitHubUrl(repoUrl);
+  }
+
+  async makeGitHubRequest(path, options) {
+    return this.makeRequest(path, options);
+  }
 
-    console.log(`Analyzing repository structure for ${repoUrl}...`);
+  repositoryPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
 
-    const treeGenerator = new GitHubJsonTreeGenerator();
-    const result = await treeGenerator.generate(repoUrl);
+  async getRepositoryInfo(owner, repo) {
+    return this.makeGitHubRequest(this.repositoryPath(owner, repo));
+  }
 
-    const devDocs = await generateDevDocs(result.tree, result);
+  async getDefaultBranch(owner, repo) {
+    const repoInfo = await this.getRepositoryInfo(owner, repo);
+    return repoInfo.default_branch;
+  }
 
-    // Ensure docs directory exists
-    const docsDir = path.dirname(outputPath);
-    if (!fs.existsSync(docsDir)) {
-      fs.mkdirSync(docsDir, { recursive: true });
+  async getRepositoryDetails(owner, repo) {
+    const repoInfo = await this.getRepositoryInfo(owner, repo);
+    return {
+      defaultBranch: repoInfo.default_branch,
+      description: repoInfo.description,
+      stars: repoInfo.stargazers_count,
+      forks: repoInfo.forks_count,
+      url: repoInfo.html_url,
+    };
+  }
+
+  // Resolves a branch, tag or (abbreviated) commit SHA to its commit
+  async getCommit(owner, repo, ref) {
+    const encodedRef = ref.split("/").map(encodeURIComponent).join("/");
+    const commit = await this.makeGitHubRequest(
+      `${this.repositoryPath(owner, repo)}/commits/${encodedRef}`
+    );
+    return { sha: commit.sha, treeSha: commit.commit.tree.sha };
+  }
+
+  async getBlob(owner, repo, sha) {
+    const blob = await this.makeGitHubRequest(
+      `${this.repositoryPath(owner, repo)}/git/blobs/${sha}`
+    );
+    return Buffer.from(blob.content || "", blob.encoding || "base64");
+  }
+
+  async getFile(owner, repo, commitSha, filePath) {
+    const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+    try {
+      const file = await this.makeGitHubRequest(
+        `${this.repositoryPath(owner, repo)}/contents/${encodedPath}` +
+          `?ref=${commitSha}`
+      );
+      return Buffer.from(file.content || "", file.encoding || "base64");
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
     }
+  }
 
-    // Save the markdown documentation
-    fs.writeFileSync(outputPath, devDocs.markdown);
+  async getFileCommits(owner, repo, commitSha, filePath) {
+    const query = new URLSearchParams({
+      sha: commitSha,
+      path: filePath,
+      per_page: String(COMMITS_PAGE_SIZE),
+    });
+    const { headers, body } = await this.request(
+      `${this.repositoryPath(owner, repo)}/commits?${query}`
+    );
+    return {
+      commits: body.map(({ sha, commit }) => ({
+        sha,
+        date: commit.author.date,
+        author: commit.author.name,
+        email: commit.author.email,
+      })),
+      complete: !/rel="next"/.test(headers.link || ""),
+    };
+  }
+
+  async getTreeItems(owner, repo, commit, treePath) {
+    const treeSha = treePath
+      ? await this.resolveTreePath(owner, repo, commit.treeSha, treePath)
+      : commit.treeSha;
+    return this.getTreeData(owner, repo, treeSha);
+  }
 
-    // Save the JSON structure for programmatic use
-    fs.writeFileSync(
-      outputPath.replace(".md", ".json"),
-      JSON.stringify(devDocs.documentation, null, 2)
+  // Follows a directory path from a root tree SHA to the subtree's SHA
+  async resolveTreePath(owner, repo, treeSha, treePath) {
+    let sha = treeSha;
+
+    for (const segment of treePath.split("/")) {
+      const data = await this.makeGitHubRequest(
+        `${this.repositoryPath(owner, repo)}/git/trees/${sha}`
+      );
+      const entry = data.tree.find(
+        (item) => item.path === segment && item.type === "tree"
+      );
+      if (!entry) {
+        const error = new Error(
+          `"${treePath}" is not a directory in ${owner}/${repo}`
+        );
+        error.statusCode = 404;
+        error.code = "PATH_NOT_FOUND";
+        throw error;
+      }
+      sha = entry.sha;
+    }
+
+    return sha;
+  }
+
+  // The recursive listing is capped by GitHub (100,000 entries or 7 MB).
+  // When it comes back truncated, the tree is fetched again one directory
+  // at a time so the result is still complete.
+  async getTreeData(owner, repo, branch) {
+    const treeData = await this.makeGitHubRequest(
+      `${this.repositoryPath(owner, repo)}/git/trees/${branch}?recursive=1`
     );
 
-    console.log(`\nDeveloper documentation generated successfully!`);
-    console.log(`\nFiles generated:`);
-    console.log(`- Markdown: ${outputPath}`);
-    console.log(`- JSON: ${outputPath.replace(".md", ".json")}`);
-  } catch (error) {
-    console.error("Error:", error.message);
-    process.exit(1);
+    if (!treeData.truncated) {
+      return treeData;
+    }
+
+    const walked = await this.walkTree(owner, repo, treeData.sha);
+    return {
+      ...walked,
+      sha: treeData.sha,
+      url: treeData.url,
+      recursiveTruncated: true,
+    };
+  }
+
+  // Breadth-first walk of the non-recursive tree endpoint by SHA, with at
+  // most treeConcurrency requests in flight. Excluded directories are not
+  // fetched at all. The first failed fetch ends the walk and cancels the
+  // ones still in flight, so they spend no more API quota.
+  async walkTree(owner, repo, rootSha) {
+    const items = [];
+    const queue = [{ sha: rootSha, prefix: "" }];
+    let truncated = false;
+    const stop = new AbortController();
+    const signal = this.options.signal
+      ? AbortSignal.any([this.options.signal, stop.signal])
+      : stop.signal;
+
+    const fetchTree = async ({ sha, prefix }) => {
+      const data = await this.makeGitHubRequest(
+        `${this.repositoryPath(owner, repo)}/git/trees/${sha}`,
+        { signal }
+      );
+      truncated = truncated || Boolean(data.truncated);
+
+      data.tree.forEach((entry) => {
+        const item = { ...entry, path: `${prefix}${entry.path}` };
+        items.push(item);
+
+        if (
+          entry.type === "tree" &&
+          !this.pathFilter.excludes(item.path, true)
+        ) {
+          queue.push({ sha: entry.sha, prefix: `${item.path}/` });
+        }
+      });
+    };
+
+    await new Promise((resolve, reject) => {
+      let active = 0;
+      let failed = false;
+
+      const next = () => {
+        if (failed) return;
+        if (queue.length === 0 && active === 0) {
+          resolve();
+          return;
+        }
+        while (active < this.treeConcurrency && queue.length > 0) {
+          active++;
+          fetchTree(queue.shift()).then(
+            () => {
+              active--;
+              next();
+            },
+            (error) => {
+              if (failed) return;
+              failed = true;
+              stop.abort(error);
+              reject(error);
+            }
+          );
+        }
+      };
+
+      next();
+    });
+
+    // Parents sort before their children, which processTreeItems relies on
+    items.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+    return { tree: items, truncated };
   }
 }
-main();
 
 module.exports = {
+  createLimiter,
   BaseJsonTreeGenerator,
   FileSystemJsonTreeGenerator,
+  GitJsonTreeGenerator,
+  RemoteJsonTreeGenerator,
   GitHubJsonTreeGenerator,
 };
@@ -0,0 +1,581 @@
+const path = require("path");
+
+const { createLimiter } = require("./JsonTreeGenerator");
+const { parseToml } = require("./TomlParser");
+
+// Build manifests found in a tree and what they declare: runtime versions,
+// dependencies, dev dependencies, scripts and entry points. Files are read
+// with the same readFile(node) as the dependency graph, so local, git and
+// remote trees are all supported. Nothing is installed or executed.
+
+// Directories holding third-party code, whose manifests are not the project's
+const SKIPPED_DIRECTORIES = ["node_modules", "vendor"];
+
+// Dependency groups and extras that hold development tools
+const DEV_GROUP =
+  /^(dev|develop|development|test|tests|testing|lint|docs?|typing|ci)$/i;
+
+const isTable = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const entries = (value) => (isTable(value) ? Object.entries(value) : []);
+
+// "requests[socks]>=2.0 ; python_version < '3.12'" (PEP 508, also
+// requirements.txt lines) as { name, version }
+function parseRequirement(requirement) {
+  const match =
+    /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(\([^)]*\)|[^;@]*)?(?:@\s*(\S+))?/.exec(
+      requirement
+    );
+  if (!match) return null;
+  const version = (match[3] || "").replace(/[()\s]/g, "") || match[4] || null;
+  return { name: match[1], version };
+}
+
+function packageJson(text) {
+  const manifest = JSON.parse(text);
+  const runtime = entries(manifest.engines).map(([name, version]) => ({
+    name,
+    version,
+  }));
+  if (typeof manifest.packageManager === "string") {
+    const [, name, version] = /^(@?[^@]+)@?(.*)$/.exec(manifest.packageManager);
+    runtime.push({ name, version: version.split("+")[0] || null });
+  }
+
+  const dependencies = (field, group) =>
+    entries(manifest[field]).map(([name, version]) => ({
+      name,
+      version,
+      ...(group && { group }),
+    }));
+
+  const entryPoints = [];
+  ["main", "module", "browser", "types"].forEach((field) => {
+    if (typeof manifest[field] === "string") {
+      entryPoints.push({ name: field, target: manifest[field] });
+    }
+  });
+  if (typeof manifest.bin === "string") {
+    entryPoints.push({
+      name: `bin ${(manifest.name || "").split("/").pop()}`.trim(),
+      target: manifest.bin,
+    });
+  } else {
+    entries(manifest.bin).forEach(([name, target]) =>
+      entryPoints.push({ name: `bin ${name}`, target })
+    );
+  }
+  // "exports" is a path, a map of conditions or a map of subpaths; one
+  // entry per subpath and distinct file is enough for the docs
+  const exportTargets = (value, subpath) => {
+    if (typeof value === "string") {
+      const name = subpath === "." ? "exports" : `exports ${subpath}`;
+      if (
+        !entryPoints.some(
+          (entry) => entry.name === name && entry.target === value
+        )
+      ) {
+        entryPoints.push({ name, target: value });
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => exportTargets(item, subpath));
+    } else {
+      entries(value).forEach(([key, item]) =>
+        exportTargets(item, key.startsWith(".") ? key : subpath)
+      );
+    }
+  };
+  exportTargets(manifest.exports, ".");
+
+  return {
+    name: manifest.name || null,
+    version: manifest.version || null,
+    runtime,
+    dependencies: [
+      ...dependencies("dependencies"),
+      ...dependencies("peerDependencies", "peer"),
+      ...dependencies("optionalDependencies", "optional"),
+    ],
+    devDependencies: dependencies("devDependencies"),
+    scripts: entries(manifest.scripts).map(([name, command]) => ({
+      name,
+      command,
+    })),
+    entryPoints,
+  };
+}
+
+function pyprojectToml(text) {
+  const manifest = parseToml(text);
+  const project = manifest.project || {};
+  const tool = manifest.tool || {};
+  const poetry = tool.poetry || {};
+
+  const runtime = [];
+  const python =
+    project["requires-python"] ||
+    (poetry.dependencies && poetry.dependencies.python);
+  if (typeof python === "string")
+    runtime.push({ name: "python", version: python });
+
+  const dependencies = [];
+  const devDependencies = [];
+  const requirements = (list, group) => {
+    const target =
+      group && DEV_GROUP.test(group) ? devDependencies : dependencies;
+    (Array.isArray(list) ? list : []).forEach((requirement) => {
+      // dependency-groups may include other groups as tables
+      const parsed =
+        typeof requirement === "string" && parseRequirement(requirement);
+      if (parsed) target.push({ ...parsed, ...(group && { group }) });
+    });
+  };
+  // Poetry maps names to a version or to { version, path, git, ... }
+  const poetryDependencies = (table, target, group) =>
+    entries(table)
+      .filter(([name]) => name !== "python")
+      .forEach(([name, spec]) =>
+        target.push({
+          name,
+          version: isTable(spec)
+            ? spec.version || spec.path || spec.git || spec.url || null
+            : spec,
+          ...(group && { group }),
+        })
+      );
+
+  requirements(project.dependencies);
+  entries(project["optional-dependencies"]).forEach(([group, list]) =>
+    requirements(list, group)
+  );
+  entries(manifest["dependency-groups"]).forEach(([group, list]) =>
+    requirements(list, group)
+  );
+  poetryDependencies(poetry.dependencies, dependencies);
+  poetryDependencies(poetry["dev-dependencies"], devDependencies);
+  entries(poetry.group).forEach(([group, { dependencies: table } = {}]) =>
+    poetryDependencies(
+      table,
+      group === "main" ? dependencies : devDependencies,
+      group === "main" ? null : group
+    )
+  );
+
+  // Task runners: PDM scripts and poethepoet tasks
+  const scripts = [
+    ...entries(tool.pdm && tool.pdm.scripts),
+    ...entries(tool.poe && tool.poe.tasks),
+  ]
+    .map(([name, task]) => ({
+      name,
+      command: isTable(task)
+        ? task.cmd || task.shell || task.call || task.script || null
+        : Array.isArray(task)
+        ? task.join(" && ")
+        : task,
+    }))
+    .filter(({ command }) => typeof command === "string");
+
+  const entryPoints = [
+    ...entries(project.scripts),
+    ...entries(project["gui-scripts"]),
+    ...entries(poetry.scripts),
+  ].map(([name, target]) => ({
+    name,
+    target: isTable(target) ? target.reference || null : target,
+  }));
+
+  return {
+    name: project.name || poetry.name || null,
+    version: project.version || poetry.version || null,
+    runtime,
+    dependencies,
+    devDependencies,
+    scripts,
+    entryPoints,
+  };
+}
+
+// requirements.txt, requirements-dev.txt, requirements/test.txt, ...
+function requirementsTxt(text, filePath) {
+  const dev = /dev|test|lint|doc/i.test(
+    path.posix.basename(filePath, ".txt").replace(/^requirements/, "")
+  );
+  const requirements = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    // Options such as -r other.txt, -e ./pkg or --index-url
+    .filter((line) => line && !line.startsWith("-"))
+    .map(parseRequirement)
+    .filter(Boolean);
+
+  return {
+    dependencies: dev ? [] : requirements,
+    devDependencies: dev ? requirements : [],
+  };
+}
+
+function goMod(text) {
+  const lines = text.split(/\r?\n/);
+  const runtime = [];
+  const dependencies = [];
+  let module = null;
+  let block = null;
+
+  lines.forEach((rawLine) => {
+    const indirect = /\/\/\s*indirect\b/.test(rawLine);
+    const line = rawLine.replace(/\/\/.*$/, "").trim();
+    if (!line) return;
+
+    if (block) {
+      if (line === ")") block = null;
+      else if (block === "require") addRequire(line.split(/\s+/), indirect);
+      return;
+    }
+
+    const [directive, ...args] = line.split(/\s+/);
+    if (args[0] === "(") {
+      block = directive;
+    } else if (directive === "module") {
+      module = args[0].replace(/^"|"$/g, "");
+    } else if (directive === "go") {
+      runtime.push({ name: "go", version: args[0] });
+    } else if (directive === "toolchain") {
+      runtime.push({ name: "toolchain", version: args[0] });
+    } else if (directive === "require") {
+      addRequire(args, indirect);
+    }
+  });
+
+  function addRequire([name, version], indirect) {
+    dependencies.push({
+      name,
+      version: version || null,
+      ...(indirect && { indirect: true }),
+    });
+  }
+
+  return { name: module, runtime, dependencies };
+}
+
+// Cargo targets that exist by convention when the manifest declares none
+const CARGO_DEFAULT_TARGETS = [
+  ["lib", "src/lib.rs"],
+  ["bin", "src/main.rs"],
+];
+
+function cargoToml(text, filePath, files) {
+  const manifest = parseToml(text);
+  const cargoPackage = manifest.package || {};
+  const directory = path.posix.dirname(filePath);
+  const inTree = (target) =>
+    files.has(directory === "." ? target : `${directory}/${target}`);
+
+  const runtime = [];
+  if (typeof cargoPackage["rust-version"] === "string") {
+    runtime.push({ name: "rust", version: cargoPackage["rust-version"] });
+  }
+  if (typeof cargoPackage.edition === "string") {
+    runtime.push({ name: "edition", version: cargoPackage.edition });
+  }
+
+  // A version string or { version, path, git, workspace, ... }
+  const dependencies = (table, group) =>
+    entries(table).map(([name, spec]) => ({
+      name,
+      version: isTable(spec)
+        ? spec.version ||
+          spec.path ||
+          spec.git ||
+          (spec.workspace ? "workspace" : null)
+        : spec,
+      ...(group && { group }),
+    }));
+
+  const entryPoints = [];
+  if (isTable(manifest.lib)) {
+    entryPoints.push({
+      name: `lib ${manifest.lib.name || cargoPackage.name || ""}`.trim(),
+      target: manifest.lib.path || "src/lib.rs",
+    });
+  }
+  (Array.isArray(manifest.bin) ? manifest.bin : []).forEach((bin) =>
+    entryPoints.push({
+      name: `bin ${bin.name}`,
+      target: bin.path || `src/bin/${bin.name}.rs`,
+    })
+  );
+  CARGO_DEFAULT_TARGETS.forEach(([kind, target]) => {
+    if (!manifest[kind] && inTree(target)) {
+      entryPoints.push({
+        name: `${kind} ${cargoPackage.name || ""}`.trim(),
+        target,
+      });
+    }
+  });
+
+  return {
+    name: cargoPackage.name || null,
+    version:
+      typeof cargoPackage.version === "string" ? cargoPackage.version : null,
+    runtime,
+    dependencies: [
+      ...dependencies(manifest.dependencies),
+      ...dependencies(manifest["build-dependencies"], "build"),
+      ...dependencies(
+        manifest.workspace && manifest.workspace.dependencies,
+        "workspace"
+      ),
+    ],
+    devDependencies: dependencies(manifest["dev-dependencies"]),
+    entryPoints,
+  };
+}
+
+// Maven POMs are read with regular expressions: enough for the elements
+// the docs need, without an XML parser
+function pomXml(text) {
+  const pom = text.replace(/<!--[\s\S]*?-->/g, "");
+  const element = (xml, name) => {
+    const match = new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(xml);
+    return match ? match[1] : null;
+  };
+  const strip = (xml, name) =>
+    xml.replace(new RegExp(`<${name}>[\\s\\S]*?</${name}>`, "g"), "");
+
+  const properties = {};
+  const propertiesXml = /<properties>([\s\S]*?)<\/properties>/.exec(pom);
+  if (propertiesXml) {
+    const property = /<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g;
+    let match;
+    while ((match = property.exec(propertiesXml[1]))) {
+      properties[match[1]] = match[2];
+    }
+  }
+  const resolve = (value) =>
+    value &&
+    value.replace(/\$\{([^}]+)\}/g, (placeholder, name) =>
+      name in properties ? properties[name] : placeholder
+    );
+
+  // The project's own dependencies: not those managed for children, used
+  // by plugins or inside profiles
+  const projectXml = [
+    "dependencyManagement",
+    "build",
+    "profiles",
+    "reporting",
+  ].reduce(strip, pom);
+  const dependencies = [];
+  const devDependencies = [];
+  (projectXml.match(/<dependency>[\s\S]*?<\/dependency>/g) || []).forEach(
+    (dependency) => {
+      const scope = element(dependency, "scope");
+      const entry = {
+        name: `${element(dependency, "groupId")}:${element(
+          dependency,
+          "artifactId"
+        )}`,
+        version: resolve(element(dependency, "version")),
+        ...(scope && scope !== "compile" && { group: scope }),
+      };
+      (scope === "test" ? devDependencies : dependencies).push(entry);
+    }
+  );
+
+  const runtime = [];
+  const java =
+    properties["maven.compiler.release"] ||
+    properties["java.version"] ||
+    properties["maven.compiler.source"] ||
+    properties["maven.compiler.target"];
+  if (java) runtime.push({ name: "java", version: resolve(java) });
+
+  // Main classes of the jar, shade, assembly, exec and Spring Boot plugins
+  const entryPoints = [
+    ...new Set(
+      (pom.match(/<mainClass>[^<]*<\/mainClass>/g) || []).map((mainClass) =>
+        resolve(element(mainClass, "mainClass"))
+      )
+    ),
+  ].map((target) => ({ name: "mainClass", target }));
+
+  // The project's own coordinates follow <parent>, not inside it
+  const ownXml = ["parent", "dependencies"].reduce(strip, projectXml);
+  return {
+    name: element(ownXml, "artifactId"),
+    version: resolve(element(ownXml, "version")),
+    runtime,
+    dependencies,
+    devDependencies,
+    entryPoints,
+  };
+}
+
+function gemfile(text) {
+  const runtime = [];
+  const dependencies = [];
+  const devDependencies = [];
+  // One entry per open block; group blocks hold their group names
+  const blocks = [];
+  const symbols = (value) =>
+    (value.match(/:\w+|["']\w+["']/g) || []).map((symbol) =>
+      symbol.replace(/^:|["']/g, "")
+    );
+  const isDev = (groups) =>
+    groups.length > 0 &&
+    groups.every((group) => group === "development" || group === "test");
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, "").trim();
+    if (!line) return;
+
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      return;
+    }
+    const ruby = /^ruby\s+["']([^"']+)["']/.exec(line);
+    if (ruby) {
+      runtime.push({ name: "ruby", version: ruby[1] });
+      return;
+    }
+    const gem = /^gem\s+["']([^"']+)["'](.*)$/.exec(line);
+    if (gem) {
+      const options = gem[2];
+      // Version constraints are the positional strings; options are
+      // key: value pairs
+      const versions = (options.match(/,\s*["'][^"']*["']/g) || []).map(
+        (version) => version.replace(/^,\s*["']|["']$/g, "")
+      );
+      const inlineGroups = /groups?:\s*(\[[^\]]*\]|:\w+|["']\w+["'])/.exec(
+        options
+      );
+      const groups = [
+        ...blocks.flat(),
+        ...(inlineGroups ? symbols(inlineGroups[1]) : []),
+      ];
+      (isDev(groups) ? devDependencies : dependencies).push({
+        name: gem[1],
+        version: versions.join(", ") || null,
+        ...(groups.length > 0 && { group: [...new Set(groups)].join(", ") }),
+      });
+      if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) blocks.push([]);
+      return;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+      const group = /^group\s+(.*?)\s+do\b/.exec(line);
+      blocks.push(group ? symbols(group[1]) : []);
+    }
+  });
+
+  return { runtime, dependencies, devDependencies };
+}
+
+// Each type with the file names it covers and its parser. Parsers take
+// (text, path relative to the root, Set of all file paths) and return the
+// fields they find.
+const MANIFEST_TYPES = [
+  { type: "npm", match: (name) => name === "package.json", parse: packageJson },
+  {
+    type: "python",
+    match: (name) => name === "pyproject.toml",
+    parse: pyprojectToml,
+  },
+  {
+    type: "pip",
+    match: (name, filePath) =>
+      /^requirements.*\.txt$/.test(name) ||
+      (/\.txt$/.test(name) &&
+        path.posix.basename(path.posix.dirname(filePath)) === "requirements"),
+    parse: requirementsTxt,
+  },
+  { type: "go", match: (name) => name === "go.mod", parse: goMod },
+  { type: "cargo", match: (name) => name === "Cargo.toml", parse: cargoToml },
+  { type: "maven", match: (name) => name === "pom.xml", parse: pomXml },
+  { type: "bundler", match: (name) => name === "Gemfile", parse: gemfile },
+];
+
+function findManifestType(filePath) {
+  const name = path.posix.basename(filePath);
+  return MANIFEST_TYPES.find(({ match }) => match(name, filePath)) || null;
+}
+
+// Manifest type of a file ("npm", "python", "pip", "go", "cargo", "maven"
+// or "bundler"), null for other files
+function manifestType(filePath) {
+  const found = findManifestType(filePath);
+  return found ? found.type : null;
+}
+
+function collectFiles(tree) {
+  const files = new Map();
+  const visit = (node, nodePath) => {
+    if (node.type === "file") {
+      files.set(nodePath, node);
+      return;
+    }
+    (node.children || []).forEach((child) =>
+      visit(child, nodePath ? `${nodePath}/${child.name}` : child.name)
+    );
+  };
+  visit(tree, "");
+  return files;
+}
+
+// Manifests in the tree, outside third-party directories, as
+//   {
+//     path, type,                      path relative to the root
+//     name, version,
+//     runtime: [{ name, version }],    engines, language and tool versions
+//     dependencies: [{ name, version, group? }],
+//     devDependencies: [{ name, version, group? }],
+//     scripts: [{ name, command }],
+//     entryPoints: [{ name, target }],
+//   }
+// sorted by path. A manifest that cannot be read or parsed carries an
+// error message instead of the lists.
+async function parseManifests(tree, readFile, options = {}) {
+  const files = collectFiles(tree);
+  const limit = createLimiter(options.concurrency || 8);
+  const manifestPaths = [...files.keys()]
+    .filter(
+      (filePath) =>
+        manifestType(filePath) &&
+        !filePath
+          .split("/")
+          .some((directory) => SKIPPED_DIRECTORIES.includes(directory))
+    )
+    .sort();
+  const fileSet = new Set(files.keys());
+
+  return Promise.all(
+    manifestPaths.map(async (filePath) => {
+      const { type, parse } = findManifestType(filePath);
+      try {
+        const content = await limit(() => readFile(files.get(filePath)));
+        return {
+          path: filePath,
+          type,
+          name: null,
+          version: null,
+          runtime: [],
+          dependencies: [],
+          devDependencies: [],
+          scripts: [],
+          entryPoints: [],
+          ...parse(content.toString("utf8"), filePath, fileSet),
+        };
+      } catch (error) {
+        return { path: filePath, type, error: error.message };
+      }
+    })
+  );
+}
+
+module.exports = {
+  MANIFEST_TYPES,
+  manifestType,
+  parseRequirement,
+  parseManifests,
+};
@@ -0,0 +1,537 @@
+const { ERROR_CODES } = require("./ApiErrors");
+const { version } = require("./package.json");
+
+// OpenAPI 3.1 description of the HTTP service, served at
+// /api/openapi.json. The request schemas in components.schemas are also
+// what the routes validate bodies against (see SchemaValidator.js), so
+// they only use the keywords the validator knows. The formats, diff
+// formats and the request schema of each job type are passed in, as they
+// come from registries and the routes.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const patterns = {
+  type: ["array", "string"],
+  items: { type: "string" },
+  description: "Glob patterns, as a list or comma separated",
+};
+
+// Options every tree request takes
+const TREE_OPTIONS = {
+  includeMetadata: { type: "boolean" },
+  maxDepth: { type: "integer", minimum: 0 },
+  excludePatterns: patterns,
+  includePatterns: patterns,
+  analyzeFiles: { type: "boolean" },
+  maxAnalyzeBytes: { type: "integer", minimum: 0 },
+  codeOwners: { type: "boolean" },
+  history: { type: "boolean" },
+  historyMaxCommits: { type: "integer", minimum: 1 },
+  generateDocs: { type: "boolean" },
+  categories: ref("CategoryConfig"),
+  staleMonths: { type: "number", minimum: 0 },
+  hotspotCount: { type: "integer", minimum: 0 },
+  render: ref("RenderOptions"),
+};
+
+const WALK_OPTIONS = {
+  respectGitignore: { type: "boolean" },
+  // A file name in the walk's root
+  treeignoreFile: { type: "string", pattern: "^(?!\\.\\.?$)[^/\\\\]+$" },
+  followSymlinks: { type: "boolean" },
+  concurrency: { type: "integer", minimum: 1, maximum: 256 },
+  maxEntries: { type: "integer", minimum: 1 },
+};
+
+const API_OPTIONS = {
+  apiUrl: {
+    type: "string",
+    minLength: 1,
+    description: "API base URL; the server's token is not sent to it",
+  },
+  token: {
+    type: "string",
+    description: "Prefer the X-Source-Token header",
+  },
+  timeout: { type: "integer", minimum: 1 },
+  maxRetries: { type: "integer", minimum: 0, maximum: 10 },
+  cache: { type: "boolean" },
+};
+
+const REMOTE_OPTIONS = {
+  ...API_OPTIONS,
+  provider: { type: "string" },
+  ref: { type: "string", minLength: 1 },
+  path: { type: "string" },
+  treeConcurrency: { type: "integer", minimum: 1, maximum: 32 },
+};
+
+const options = (properties) => ({
+  type: "object",
+  properties,
+  additionalProperties: false,
+});
+
+const request = (required, properties) => ({
+  type: "object",
+  required,
+  properties,
+  additionalProperties: false,
+});
+
+const withType = (type, schema) => ({
+  ...schema,
+  required: ["type", ...schema.required],
+  properties: { type: { type: "string", enum: [type] }, ...schema.properties },
+});
+
+const jsonContent = (schema) => ({
+  content: { "application/json": { schema } },
+});
+
+const errors = (...statuses) =>
+  Object.fromEntries(
+    statuses.map((status) => [status, { $ref: "#/components/responses/Error" }])
+  );
+
+const header = (name, description) => ({
+  name,
+  in: "header",
+  required: false,
+  schema: { type: "string" },
+  description,
+});
+
+const SOURCE_TOKEN = header(
+  "X-Source-Token",
+  "The client's own token for the repository's provider, used instead of the server's"
+);
+
+const CACHE_HEADERS = [
+  header("If-None-Match", "ETag of a response the client already has"),
+  header("Cache-Control", '"no-cache" regenerates the result'),
+];
+
+const treeResponses = {
+  200: {
+    description: "The tree",
+    headers: {
+      ETag: { schema: { type: "string" } },
+      "X-Cache": { schema: { type: "string", enum: ["HIT", "MISS"] } },
+    },
+    ...jsonContent(ref("TreeResponse")),
+  },
+  304: { description: "The client's copy, named by If-None-Match, is current" },
+};
+
+const treeOperation = (summary, schema, parameters, statuses) => ({
+  summary,
+  parameters,
+  requestBody: { required: true, ...jsonContent(ref(schema)) },
+  responses: { ...treeResponses, ...errors(...statuses) },
+});
+
+const jobOperation = (summary, responses) => ({
+  summary,
+  parameters: [
+    { name: "id", in: "path", required: true, schema: { type: "string" } },
+  ],
+  responses: { ...responses, ...errors(401, 404, 429) },
+});
+
+function buildOpenApiDocument({ formats, diffFormats, jobSchemas }) {
+  const jobTypes = Object.keys(jobSchemas);
+  const schemas = {
+    Error: {
+      type: "object",
+      required: ["error", "code", "status"],
+      properties: {
+        error: { type: "string" },
+        code: { type: "string", enum: Object.keys(ERROR_CODES) },
+        status: { type: "string", enum: ["error"] },
+        details: {
+          type: "array",
+          description: "Each problem a validation error found",
+          items: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "JSON pointer" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    TreeNode: {
+      type: "object",
+      required: ["name", "type"],
+      properties: {
+        name: { type: "string" },
+        type: { type: "string", enum: ["file", "directory", "symlink"] },
+        path: { type: "string" },
+        children: { type: "array", items: ref("TreeNode") },
+        metadata: { type: "object" },
+        target: { type: "string" },
+        broken: { type: "boolean" },
+        cycle: { type: "boolean" },
+        owners: { type: "array", items: { type: "string" } },
+      },
+    },
+    RenderOptions: options({
+      title: { type: "string" },
+      maxItems: { type: "integer", minimum: 1 },
+      direction: { type: "string", enum: ["TB", "TD", "BT", "LR", "RL"] },
+      style: { type: "string" },
+      directoriesOnly: { type: "boolean" },
+      indent: { type: "integer", minimum: 0, maximum: 10 },
+      prefix: { type: "string" },
+      markers: { type: "object", additionalProperties: { type: "string" } },
+      categoryStyles: { type: "object" },
+    }),
+    CategoryConfig: options({
+      preset: { type: ["string", "array"], items: { type: "string" } },
+      rules: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["category"],
+          properties: {
+            category: { type: "string" },
+            patterns,
+            pattern: { type: "string" },
+            priority: { type: "number" },
+          },
+          additionalProperties: false,
+        },
+      },
+    }),
+    RemoteTreeOptions: options({ ...TREE_OPTIONS, ...REMOTE_OPTIONS }),
+    FilesystemTreeOptions: options({ ...TREE_OPTIONS, ...WALK_OPTIONS }),
+    GitTreeOptions: options({
+      ...TREE_OPTIONS,
+      ref: { type: "string", minLength: 1 },
+      path: { type: "string" },
+    }),
+    RemoteTreeRequest: request(["repoUrl"], {
+      repoUrl: { type: "string", minLength: 1 },
+      provider: { type: "string" },
+      format: { type: "string", enum: formats },
+      options: ref("RemoteTreeOptions"),
+    }),
+    FilesystemTreeRequest: request(["path"], {
+      path: { type: "string", minLength: 1 },
+      format: { type: "string", enum: formats },
+      options: ref("FilesystemTreeOptions"),
+    }),
+    GitTreeRequest: request(["path"], {
+      path: { type: "string", minLength: 1 },
+      ref: { type: "string", minLength: 1 },
+      format: { type: "string", enum: formats },
+      options: ref("GitTreeOptions"),
+    }),
+    TreeResponse: {
+      type: "object",
+      properties: {
+        data: {
+          type: "object",
+          description:
+            "The tree (json format) or the rendered tree in `tree`, with repository details and documentation when asked for",
+        },
+        files: {
+          type: "object",
+          description: "Generated files, for /api/download",
+          properties: {
+            markdown: { type: "string" },
+            json: { type: "string" },
+            treemap: { type: "string" },
+          },
+        },
+        status: { type: "string", enum: ["success"] },
+      },
+    },
+    TreeSource: {
+      type: ["string", "object"],
+      description:
+        "A path, path@ref or repository URL, or a source object as described in TreeSources.js",
+      required: ["type"],
+      properties: {
+        type: {
+          type: "string",
+          enum: ["saved", "filesystem", "git", "remote", "tree"],
+        },
+        file: { type: "string", minLength: 1 },
+        path: { type: "string", minLength: 1 },
+        ref: { type: "string", minLength: 1 },
+        url: { type: "string", minLength: 1 },
+        provider: { type: "string" },
+        tree: ref("TreeNode"),
+        label: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    DiffOptions: options({
+      ...TREE_OPTIONS,
+      ...WALK_OPTIONS,
+      ...API_OPTIONS,
+      showUnchanged: { type: "boolean" },
+      detectRenames: { type: "boolean" },
+    }),
+    DiffRequest: request(["before", "after"], {
+      before: ref("TreeSource"),
+      after: ref("TreeSource"),
+      format: { type: "string", enum: diffFormats },
+      options: ref("DiffOptions"),
+    }),
+    SaveRequest: request(["treeData", "outputPath"], {
+      treeData: {
+        type: ["object", "string"],
+        description: "A tree, or already rendered text",
+      },
+      outputPath: {
+        type: "string",
+        minLength: 1,
+        description: "Path inside the artifacts directory",
+      },
+      format: {
+        type: "string",
+        enum: formats,
+        description: "How an object treeData is rendered; json by default",
+      },
+      render: ref("RenderOptions"),
+    }),
+    Job: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        type: { type: "string", enum: jobTypes },
+        status: {
+          type: "string",
+          enum: ["queued", "running", "succeeded", "failed", "cancelled"],
+        },
+        progress: { type: "object" },
+        createdAt: { type: "string", format: "date-time" },
+        startedAt: { type: ["string", "null"], format: "date-time" },
+        finishedAt: { type: ["string", "null"], format: "date-time" },
+        expiresAt: { type: ["string", "null"], format: "date-time" },
+        error: {
+          type: "object",
+          properties: {
+            message: { type: "string" },
+            code: { type: "string" },
+            statusCode: { type: "integer" },
+          },
+        },
+        result: {
+          type: "object",
+          description: "What the tree route would have responded with",
+        },
+      },
+    },
+    CacheSummary: { type: "object" },
+  };
+
+  // Job requests are tree requests plus their type
+  const mapping = {};
+  jobTypes.forEach((type) => {
+    const name = `${type[0].toUpperCase()}${type.slice(1)}JobRequest`;
+    schemas[name] = withType(type, schemas[jobSchemas[type]]);
+    mapping[type] = `#/components/schemas/${name}`;
+  });
+  schemas.JobRequest = {
+    oneOf: Object.values(mapping).map(($ref) => ({ $ref })),
+    discriminator: { propertyName: "type", mapping },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Tree generation service",
+      version,
+      description:
+        "Generates trees of GitHub, GitLab and Gitea repositories, local directories and local git repositories. API keys are only required when the server has some configured.",
+    },
+    security: [{ ApiKey: [] }, { BearerKey: [] }],
+    paths: {
+      "/api/remote/tree": {
+        post: treeOperation(
+          "Tree of a GitHub, GitLab or Gitea repository",
+          "RemoteTreeRequest",
+          [SOURCE_TOKEN, ...CACHE_HEADERS],
+          [400, 401, 403, 404, 413, 429, 500, 502, 504]
+        ),
+      },
+      "/api/github/tree": {
+        post: treeOperation(
+          "Tree of a GitHub repository",
+          "RemoteTreeRequest",
+          [SOURCE_TOKEN, ...CACHE_HEADERS],
+          [400, 401, 403, 404, 413, 429, 500, 502, 504]
+        ),
+      },
+      "/api/filesystem/tree": {
+        post: treeOperation(
+          "Tree of a directory inside the allowed roots",
+          "FilesystemTreeRequest",
+          CACHE_HEADERS,
+          [400, 401, 403, 404, 413, 429, 500]
+        ),
+      },
+      "/api/git/tree": {
+        post: treeOperation(
+          "Tree of a local git repository at a ref",
+          "GitTreeRequest",
+          CACHE_HEADERS,
+          [400, 401, 403, 404, 413, 429, 500]
+        ),
+      },
+      "/api/jobs": {
+        post: {
+          summary: "Runs a tree request in the background",
+          parameters: [SOURCE_TOKEN, header("Cache-Control", '"no-cache"')],
+          requestBody: { required: true, ...jsonContent(ref("JobRequest")) },
+          responses: {
+            202: {
+              description: "The queued job",
+              headers: { Location: { schema: { type: "string" } } },
+              ...jsonContent(ref("Job")),
+            },
+            ...errors(400, 401, 429),
+          },
+        },
+      },
+      "/api/jobs/{id}": {
+        get: jobOperation("Status of a job, and its result once it succeeded", {
+          200: { description: "The job", ...jsonContent(ref("Job")) },
+        }),
+        delete: jobOperation(
+          "Cancels a queued or running job, or deletes a finished one",
+          { 200: { description: "The job", ...jsonContent(ref("Job")) } }
+        ),
+      },
+      "/api/jobs/{id}/events": {
+        get: jobOperation("Server-Sent Events with the job's progress", {
+          200: {
+            description: '"progress" events, then one "done" event',
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+        }),
+      },
+      "/api/diff": {
+        post: {
+          summary: "Compares two trees",
+          parameters: [SOURCE_TOKEN],
+          requestBody: { required: true, ...jsonContent(ref("DiffRequest")) },
+          responses: {
+            200: {
+              description: "The diff",
+              ...jsonContent({ type: "object" }),
+            },
+            ...errors(400, 401, 403, 404, 413, 429, 500, 502, 504),
+          },
+        },
+      },
+      "/api/save": {
+        post: {
+          summary: "Writes a tree to the artifacts directory",
+          requestBody: { required: true, ...jsonContent(ref("SaveRequest")) },
+          responses: {
+            200: {
+              description: "Where the tree was saved",
+              ...jsonContent({
+                type: "object",
+                properties: {
+                  message: { type: "string" },
+                  path: { type: "string" },
+                  status: { type: "string" },
+                },
+              }),
+            },
+            ...errors(400, 401, 403, 429, 500),
+          },
+        },
+      },
+      "/api/download/{filename}": {
+        get: {
+          summary: "A generated file from the artifacts directory",
+          parameters: [
+            {
+              name: "filename",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: { description: "The file" },
+            ...errors(401, 403, 404, 429),
+          },
+        },
+      },
+      "/api/admin/cache": {
+        get: {
+          summary: "Result cache statistics",
+          security: [{ AdminToken: [] }],
+          responses: {
+            200: {
+              description: "Summary",
+              ...jsonContent(ref("CacheSummary")),
+            },
+            ...errors(401, 403),
+          },
+        },
+        delete: {
+          summary: "Removes result cache entries",
+          security: [{ AdminToken: [] }],
+          parameters: [
+            "type",
+            "provider",
+            "owner",
+            "repo",
+            "commit",
+            "path",
+            "repository",
+          ].map((name) => ({
+            name,
+            in: "query",
+            required: false,
+            schema: { type: "string" },
+          })),
+          responses: {
+            200: { description: "How many entries were removed" },
+            ...errors(401, 403),
+          },
+        },
+      },
+      "/api/openapi.json": {
+        get: {
+          summary: "This document",
+          security: [],
+          responses: { 200: { description: "The OpenAPI document" } },
+        },
+      },
+    },
+    components: {
+      schemas,
+      responses: {
+        Error: {
+          description:
+            "Failure; code tells what went wrong (see ApiErrors.js for the status of each code)",
+          ...jsonContent(ref("Error")),
+        },
+      },
+      securitySchemes: {
+        ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        BearerKey: { type: "http", scheme: "bearer" },
+        AdminToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "ADMIN_TOKEN",
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+};
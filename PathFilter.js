@@ -0,0 +1,104 @@
+const { globToRegExp } = require("./IgnoreRules");
+
+// Accept pattern lists either as arrays or as comma-separated strings, which
+// is what form fields and query strings tend to send.
+function normalizePatterns(patterns) {
+  if (!patterns) {
+    return [];
+  }
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(",");
+  return list.map((pattern) => String(pattern).trim()).filter(Boolean);
+}
+
+// A pattern containing a slash is matched against the whole relative path,
+// otherwise against the entry name at any depth, so "api" only matches
+// entries called "api" and not "rapid.js". A trailing slash restricts the
+// pattern to directories.
+function compilePattern(pattern) {
+  let source = pattern.startsWith("./") ? pattern.slice(2) : pattern;
+
+  const directoryOnly = source.endsWith("/");
+  if (directoryOnly) {
+    source = source.slice(0, -1);
+  }
+
+  const anchored = source.includes("/");
+  if (source.startsWith("/")) {
+    source = source.slice(1);
+  }
+
+  const regexSource = globToRegExp(source);
+  return {
+    directoryOnly,
+    regex: new RegExp(
+      anchored ? `^${regexSource}$` : `^(?:.*/)?${regexSource}$`
+    ),
+  };
+}
+
+// Include/exclude glob filter shared by every generator. Paths are relative
+// to the root of the tree and use "/" separators.
+class PathFilter {
+  constructor({ includePatterns = [], excludePatterns = [] } = {}) {
+    this.includePatterns = normalizePatterns(includePatterns);
+    this.excludePatterns = normalizePatterns(excludePatterns);
+    this.includeRules = this.includePatterns.map(compilePattern);
+    this.excludeRules = this.excludePatterns.map(compilePattern);
+  }
+
+  get hasIncludes() {
+    return this.includeRules.length > 0;
+  }
+
+  static matchesAny(rules, relativePath, isDirectory) {
+    return rules.some(
+      (rule) =>
+        (!rule.directoryOnly || isDirectory) && rule.regex.test(relativePath)
+    );
+  }
+
+  // Checks the path itself and each of its parent directories
+  static matchesPathOrParent(rules, relativePath, isDirectory) {
+    const parts = relativePath.split("/");
+    for (let i = 1; i < parts.length; i++) {
+      if (PathFilter.matchesAny(rules, parts.slice(0, i).join("/"), true)) {
+        return true;
+      }
+    }
+    return PathFilter.matchesAny(rules, relativePath, isDirectory);
+  }
+
+  excludes(relativePath, isDirectory = false) {
+    return PathFilter.matchesPathOrParent(
+      this.excludeRules,
+      relativePath,
+      isDirectory
+    );
+  }
+
+  // Directories always pass the include check; they are kept or pruned
+  // depending on whether any of their files survive.
+  includes(relativePath, isDirectory = false) {
+    if (!this.hasIncludes || isDirectory) {
+      return true;
+    }
+    return PathFilter.matchesPathOrParent(
+      this.includeRules,
+      relativePath,
+      false
+    );
+  }
+
+  accepts(relativePath, isDirectory = false) {
+    return (
+      !this.excludes(relativePath, isDirectory) &&
+      this.includes(relativePath, isDirectory)
+    );
+  }
+}
+
+module.exports = {
+  PathFilter,
+  compilePattern,
+  normalizePatterns,
+};
@@ -0,0 +1,84 @@
+const WINDOW = 60 * 1000;
+// Idle clients whose allowance has refilled are forgotten this often
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+
+// Per-client request rates and concurrency for the HTTP service. Each
+// client has a token bucket holding up to `rateLimit` requests that
+// refills at rateLimit per minute, so short bursts are fine while the
+// average stays under the limit; and a count of the generations it has in
+// progress. Clients are identified by a string, the API key id.
+class RateLimiter {
+  constructor() {
+    this.clients = new Map();
+    setInterval(() => this.prune(), PRUNE_INTERVAL).unref();
+  }
+
+  client(id, rateLimit) {
+    let client = this.clients.get(id);
+    if (!client) {
+      client = { tokens: rateLimit, updatedAt: Date.now(), active: 0 };
+      this.clients.set(id, client);
+    }
+    const now = Date.now();
+    client.tokens = Math.min(
+      rateLimit,
+      client.tokens + ((now - client.updatedAt) * rateLimit) / WINDOW
+    );
+    client.updatedAt = now;
+    client.rateLimit = rateLimit;
+    return client;
+  }
+
+  // Counts one request. Returns { allowed, limit, remaining, reset,
+  // retryAfter }: reset is the seconds until the bucket is full again and
+  // retryAfter, for a refused request, the seconds until the next one is
+  // allowed.
+  take(id, rateLimit) {
+    const client = this.client(id, rateLimit);
+    const allowed = client.tokens >= 1;
+    if (allowed) {
+      client.tokens -= 1;
+    }
+    const secondsPerToken = WINDOW / 1000 / rateLimit;
+    return {
+      allowed,
+      limit: rateLimit,
+      remaining: Math.floor(client.tokens),
+      reset: Math.ceil((rateLimit - client.tokens) * secondsPerToken),
+      retryAfter: allowed
+        ? 0
+        : Math.ceil((1 - client.tokens) * secondsPerToken),
+    };
+  }
+
+  // Starts a generation for the client; returns the function that ends
+  // it, or null when the client already has `concurrency` in progress
+  acquire(id, concurrency) {
+    const client = this.clients.get(id) || this.client(id, 1);
+    if (client.active >= concurrency) {
+      return null;
+    }
+    client.active++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      client.active--;
+    };
+  }
+
+  prune() {
+    const now = Date.now();
+    this.clients.forEach((client, id) => {
+      const tokens =
+        client.tokens + ((now - client.updatedAt) * client.rateLimit) / WINDOW;
+      if (client.active === 0 && tokens >= client.rateLimit) {
+        this.clients.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = {
+  RateLimiter,
+};
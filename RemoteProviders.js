@@ -0,0 +1,76 @@
+// Picks the remote generator for a repository URL. The provider can be set
+// explicitly ("github", "gitlab", "gitea"); otherwise it is detected from
+// the URL host, which covers the public instances and self-hosted ones
+// with the product name in their host name.
+const { GitHubJsonTreeGenerator } = require("./JsonTreeGenerator");
+const { GitLabJsonTreeGenerator } = require("./GitLabJsonTreeGenerator");
+const { GiteaJsonTreeGenerator } = require("./GiteaJsonTreeGenerator");
+const { splitRepositoryUrl } = require("./RepositoryUrl");
+
+const providers = [
+  GitHubJsonTreeGenerator,
+  GitLabJsonTreeGenerator,
+  GiteaJsonTreeGenerator,
+];
+
+// Forgejo is API-compatible with Gitea
+const aliases = {
+  forgejo: "gitea",
+  codeberg: "gitea",
+};
+
+function unknownProvider(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "UNKNOWN_PROVIDER";
+  return error;
+}
+
+function listProviders() {
+  return providers.map((provider) => provider.providerName);
+}
+
+function getProvider(name) {
+  const providerName = aliases[name] || name;
+  const provider = providers.find(
+    (candidate) => candidate.providerName === providerName
+  );
+  if (!provider) {
+    throw unknownProvider(
+      `Unknown provider "${name}". Available providers: ${listProviders().join(
+        ", "
+      )}`
+    );
+  }
+  return provider;
+}
+
+function detectProvider(repoUrl) {
+  const parts = splitRepositoryUrl(repoUrl);
+  if (!parts) {
+    return null;
+  }
+  return providers.find((provider) => provider.matchesHost(parts.host)) || null;
+}
+
+function createRemoteGenerator(repoUrl, options = {}) {
+  const Provider = options.provider
+    ? getProvider(options.provider)
+    : detectProvider(repoUrl);
+
+  if (!Provider) {
+    throw unknownProvider(
+      `Cannot tell which provider hosts "${repoUrl}"; set the provider option to one of: ${listProviders().join(
+        ", "
+      )}`
+    );
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  listProviders,
+  getProvider,
+  detectProvider,
+  createRemoteGenerator,
+};
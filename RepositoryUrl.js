@@ -0,0 +1,160 @@
+// Parses the repository URLs people paste into their parts. Every hosting
+// provider accepts web URLs, ".git" clone URLs and SSH-style remotes:
+//
+//   https://github.com/o/r
+//   https://github.com/o/r.git
+//   git@github.com:o/r.git
+//   ssh://git@github.com/o/r.git
+//
+// and then has its own way of pointing at a ref and a directory:
+//
+//   https://github.com/o/r/tree/v2.1.0/packages/core
+//   https://github.com/o/r/commit/4f2c0e1
+//   https://gitlab.com/group/subgroup/project/-/tree/main/src
+//   https://gitea.com/o/r/src/branch/main/src
+//
+// A ref may itself contain slashes ("feature/login"), so the segments after
+// the ref marker are returned raw in `treeSegments`; splitting them into ref
+// and path needs the API (see RemoteJsonTreeGenerator.resolveRefAndPath).
+
+function splitRepositoryUrl(repoUrl) {
+  const input = String(repoUrl || "").trim();
+  let protocol = "https:";
+  let host;
+  let pathname;
+
+  const scpLike = input.match(/^(?:[\w.-]+@)?([\w.-]+):(?!\/\/|\d+\/)(.+)$/);
+  if (scpLike) {
+    [, host, pathname] = scpLike;
+  } else {
+    let url;
+    try {
+      url = new URL(
+        /^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`
+      );
+    } catch (error) {
+      return null;
+    }
+    host = url.host;
+    pathname = url.pathname;
+    if (url.protocol === "http:") {
+      protocol = "http:";
+    }
+  }
+
+  const segments = pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+
+  return {
+    protocol,
+    host: host.toLowerCase().replace(/^www\./, ""),
+    segments,
+  };
+}
+
+// Owners and repositories end up in API paths, so a decoded segment that
+// would change the path or query ("..", "%2F", "%3F") is not one of them
+function isNameSegment(segment) {
+  return segment !== "." && segment !== ".." && !/[/?#%\\]/.test(segment);
+}
+
+function repositoryResult(parts, ownerSegments, repo) {
+  const name = (repo || "").replace(/\.git$/, "");
+  if (
+    ownerSegments.length === 0 ||
+    !name ||
+    ![...ownerSegments, name].every(isNameSegment)
+  ) {
+    return null;
+  }
+  return {
+    protocol: parts.protocol,
+    host: parts.host,
+    owner: ownerSegments.join("/"),
+    repo: name,
+    ref: null,
+    path: "",
+    treeSegments: [],
+  };
+}
+
+// github.com/<owner>/<repo>[/tree/<ref>/<path> | /commit/<sha>]
+function parseGitHubUrl(repoUrl) {
+  const parts = splitRepositoryUrl(repoUrl);
+  if (!parts) return null;
+
+  const [owner, repo, kind, ...rest] = parts.segments;
+  const result = repositoryResult(parts, owner ? [owner] : [], repo);
+  if (!result) return null;
+
+  if (kind === "tree" && rest.length > 0) {
+    result.treeSegments = rest;
+  } else if (kind === "commit" && rest.length > 0) {
+    result.ref = rest[0];
+  }
+  return result;
+}
+
+// gitlab.com/<group>[/<subgroup>...]/<project>[/-/tree/<ref>/<path> |
+// /-/commit/<sha>]. Nested groups end up in `owner`.
+function parseGitLabUrl(repoUrl) {
+  const parts = splitRepositoryUrl(repoUrl);
+  if (!parts) return null;
+
+  const separator = parts.segments.indexOf("-");
+  const projectSegments =
+    separator === -1 ? parts.segments : parts.segments.slice(0, separator);
+  const [kind, ...rest] =
+    separator === -1 ? [] : parts.segments.slice(separator + 1);
+
+  const result = repositoryResult(
+    parts,
+    projectSegments.slice(0, -1),
+    projectSegments[projectSegments.length - 1]
+  );
+  if (!result) return null;
+
+  if (kind === "tree" && rest.length > 0) {
+    result.treeSegments = rest;
+  } else if (kind === "commit" && rest.length > 0) {
+    result.ref = rest[0];
+  }
+  return result;
+}
+
+// gitea.com/<owner>/<repo>[/src/(branch|tag|commit)/<ref>/<path>]
+function parseGiteaUrl(repoUrl) {
+  const parts = splitRepositoryUrl(repoUrl);
+  if (!parts) return null;
+
+  const [owner, repo, kind, refKind, ...rest] = parts.segments;
+  const result = repositoryResult(parts, owner ? [owner] : [], repo);
+  if (!result) return null;
+
+  if (kind === "src" && rest.length > 0) {
+    if (refKind === "commit") {
+      result.ref = rest[0];
+      result.path = rest.slice(1).join("/");
+    } else if (refKind === "branch" || refKind === "tag") {
+      result.treeSegments = rest;
+    }
+  } else if (kind === "commit" && refKind) {
+    result.ref = refKind;
+  }
+  return result;
+}
+
+module.exports = {
+  splitRepositoryUrl,
+  parseGitHubUrl,
+  parseGitLabUrl,
+  parseGiteaUrl,
+};
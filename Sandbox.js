@@ -0,0 +1,152 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+// Whether target is root or somewhere below it. Both must be absolute;
+// neither is resolved through symlinks here.
+function isPathInside(root, target) {
+  const relative = path.relative(root, target);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+function sandboxError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+// Confines what the HTTP service touches on disk. Paths clients ask to read
+// must resolve, after following every symlink, into one of the allowed
+// roots; files it writes or serves stay inside the artifacts directory.
+// Every access, allowed or denied, is appended to the audit log as one
+// JSON line. Refusals are errors with statusCode 403 and code
+// "PATH_NOT_ALLOWED"; missing paths inside the roots get 404 and
+// "PATH_NOT_FOUND".
+class Sandbox {
+  // roots and artifactsDir must exist (artifactsDir is created if not);
+  // auditLog is a file path, or null for no log
+  constructor(options) {
+    this.roots = options.roots.map((root) =>
+      fs.realpathSync(path.resolve(root))
+    );
+    fs.mkdirSync(options.artifactsDir, { recursive: true });
+    this.artifactsDir = fs.realpathSync(path.resolve(options.artifactsDir));
+    this.auditLog = options.auditLog || null;
+    this.pendingAudit = Promise.resolve();
+  }
+
+  isAllowed(realPath) {
+    return this.roots.some((root) => isPathInside(root, realPath));
+  }
+
+  // Resolves with the real path of a file or directory a client asked to
+  // read; relative paths are taken from the working directory. context
+  // ({ route, client, ... }) goes into the audit log.
+  async resolveRead(requestedPath, context = {}) {
+    const absolute = path.resolve(requestedPath);
+    let real;
+    try {
+      real = await fsp.realpath(absolute);
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") {
+        throw error;
+      }
+      // Whether paths outside the roots exist is nobody's business
+      if (!this.isAllowed(absolute)) {
+        throw this.deny("read", absolute, context);
+      }
+      throw sandboxError(404, "PATH_NOT_FOUND", `${requestedPath} not found`);
+    }
+
+    if (!this.isAllowed(real)) {
+      throw this.deny("read", absolute, context);
+    }
+    this.audit({ action: "read", path: real, allowed: true, ...context });
+    return real;
+  }
+
+  // The absolute path of `name` inside the artifacts directory. Names that
+  // lead out of it, directly or through a symlink, are refused. action is
+  // "write" or "download", for the audit log.
+  async resolveArtifact(name, action, context = {}) {
+    const target = path.resolve(this.artifactsDir, String(name));
+    if (
+      target === this.artifactsDir ||
+      !isPathInside(this.artifactsDir, target)
+    ) {
+      throw this.deny(action, target, context);
+    }
+
+    // The deepest part of the path that exists decides where it really is
+    let existing = target;
+    let rest = "";
+    for (;;) {
+      try {
+        existing = await fsp.realpath(existing);
+        break;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        rest = path.join(path.basename(existing), rest);
+        existing = path.dirname(existing);
+      }
+    }
+    const real = path.join(existing, rest);
+    if (!isPathInside(this.artifactsDir, real)) {
+      throw this.deny(action, target, context);
+    }
+
+    this.audit({ action, path: real, allowed: true, ...context });
+    return real;
+  }
+
+  // Writes content to `name` in the artifacts directory, creating
+  // directories as needed; resolves with the absolute path
+  async writeArtifact(name, content, context = {}) {
+    const filePath = await this.resolveArtifact(name, "write", context);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, content);
+    return filePath;
+  }
+
+  deny(action, deniedPath, context) {
+    this.audit({ action, path: deniedPath, allowed: false, ...context });
+    return sandboxError(
+      403,
+      "PATH_NOT_ALLOWED",
+      action === "read"
+        ? "Path is outside the allowed root directories"
+        : "Path is outside the artifacts directory"
+    );
+  }
+
+  // Appends are chained so lines keep their order. A log that cannot be
+  // written is reported but does not fail the request.
+  audit(entry) {
+    if (!this.auditLog) {
+      return;
+    }
+    const line = `${JSON.stringify({
+      time: new Date().toISOString(),
+      ...entry,
+    })}\n`;
+    this.pendingAudit = this.pendingAudit
+      .then(async () => {
+        await fsp.mkdir(path.dirname(this.auditLog), { recursive: true });
+        await fsp.appendFile(this.auditLog, line);
+      })
+      .catch((error) => {
+        console.error(`Could not write the audit log: ${error.message}`);
+      });
+  }
+}
+
+module.exports = {
+  Sandbox,
+  isPathInside,
+};
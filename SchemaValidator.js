@@ -0,0 +1,148 @@
+// Checks values against the part of JSON Schema the OpenAPI document uses:
+// type (a name or a list of them), enum, properties, required,
+// additionalProperties (false or a schema), items, minimum, maximum,
+// minLength, pattern, minItems, $ref to "#/components/schemas/<name>", and oneOf
+// with a discriminator, which picks the schema by a property's value.
+//
+// validate() returns the problems as [{ path, message }], where path is a
+// JSON pointer into the value; an empty list means the value is valid.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function resolveRef(ref, document) {
+  const match = /^#\/components\/schemas\/(.+)$/.exec(ref);
+  const schema = match && document.components.schemas[match[1]];
+  if (!schema) {
+    throw new Error(`Unknown schema reference ${ref}`);
+  }
+  return schema;
+}
+
+function validate(schema, value, document, pointer = "") {
+  if (schema.$ref) {
+    return validate(
+      resolveRef(schema.$ref, document),
+      value,
+      document,
+      pointer
+    );
+  }
+  const path = pointer || "/";
+  const problem = (message) => [{ path, message }];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return problem(`must be ${types.join(" or ")}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return problem(
+      `must be one of: ${schema.enum
+        .map((item) => JSON.stringify(item))
+        .join(", ")}`
+    );
+  }
+
+  if (typeof value === "string" && value.length < (schema.minLength || 0)) {
+    return problem(
+      schema.minLength === 1
+        ? "must not be empty"
+        : `must be at least ${schema.minLength} characters long`
+    );
+  }
+  if (
+    typeof value === "string" &&
+    schema.pattern &&
+    !new RegExp(schema.pattern, "u").test(value)
+  ) {
+    return problem(`must match pattern "${schema.pattern}"`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return problem(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return problem(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems || 0)) {
+      return problem(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      return value.flatMap((item, index) =>
+        validate(schema.items, item, document, `${pointer}/${index}`)
+      );
+    }
+    return [];
+  }
+
+  if (typeOf(value) !== "object") {
+    return [];
+  }
+
+  if (schema.oneOf && schema.discriminator) {
+    const { propertyName, mapping } = schema.discriminator;
+    const ref = mapping[value[propertyName]];
+    if (!ref) {
+      return [
+        {
+          path: `${pointer}/${escapePointer(propertyName)}`,
+          message: `must be one of: ${Object.keys(mapping)
+            .map((key) => JSON.stringify(key))
+            .join(", ")}`,
+        },
+      ];
+    }
+    return validate({ $ref: ref }, value, document, pointer);
+  }
+
+  const properties = schema.properties || {};
+  const problems = (schema.required || [])
+    .filter((name) => value[name] === undefined)
+    .map((name) => ({
+      path: `${pointer}/${escapePointer(name)}`,
+      message: "is required",
+    }));
+
+  Object.entries(value).forEach(([name, propertyValue]) => {
+    const propertyPointer = `${pointer}/${escapePointer(name)}`;
+    if (properties[name]) {
+      problems.push(
+        ...validate(properties[name], propertyValue, document, propertyPointer)
+      );
+    } else if (schema.additionalProperties === false) {
+      problems.push({ path: propertyPointer, message: "is not allowed" });
+    } else if (typeof schema.additionalProperties === "object") {
+      problems.push(
+        ...validate(
+          schema.additionalProperties,
+          propertyValue,
+          document,
+          propertyPointer
+        )
+      );
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,294 @@
+// Small TOML reader for project manifests (pyproject.toml, Cargo.toml).
+// Covers the TOML 1.0 syntax manifests use: tables, arrays of tables,
+// dotted and quoted keys, basic/literal/multi-line strings, numbers,
+// booleans, arrays and inline tables. Dates and times are kept as strings.
+// Throws an Error with the line number on malformed input.
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+
+const ESCAPES = {
+  b: "\b",
+  t: "\t",
+  n: "\n",
+  f: "\f",
+  r: "\r",
+  e: "\x1b",
+  '"': '"',
+  "\\": "\\",
+};
+
+class TomlReader {
+  constructor(text) {
+    this.text = text.replace(/\r\n/g, "\n");
+    this.pos = 0;
+  }
+
+  fail(message) {
+    const line = this.text.slice(0, this.pos).split("\n").length;
+    throw new Error(`Invalid TOML at line ${line}: ${message}`);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  startsWith(value) {
+    return this.text.startsWith(value, this.pos);
+  }
+
+  // Spaces and tabs only
+  skipSpaces() {
+    while (this.peek() === " " || this.peek() === "\t") this.pos++;
+  }
+
+  skipComment() {
+    if (this.peek() === "#") {
+      while (this.pos < this.text.length && this.peek() !== "\n") this.pos++;
+    }
+  }
+
+  // Whitespace, newlines and comments, as allowed inside arrays
+  skipBlank() {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      if (this.peek() !== "\n") return;
+      this.pos++;
+    }
+  }
+
+  expectLineEnd() {
+    this.skipSpaces();
+    this.skipComment();
+    if (this.pos < this.text.length && this.peek() !== "\n") {
+      this.fail(`unexpected "${this.peek()}"`);
+    }
+  }
+
+  parseKey() {
+    const parts = [];
+    for (;;) {
+      this.skipSpaces();
+      if (this.peek() === '"' || this.peek() === "'") {
+        parts.push(this.parseString());
+      } else {
+        const start = this.pos;
+        while (this.pos < this.text.length && BARE_KEY.test(this.peek())) {
+          this.pos++;
+        }
+        if (start === this.pos) this.fail("expected a key");
+        parts.push(this.text.slice(start, this.pos));
+      }
+      this.skipSpaces();
+      if (this.peek() !== ".") return parts;
+      this.pos++;
+    }
+  }
+
+  parseString() {
+    const quote = this.peek();
+    const multiline = this.startsWith(quote.repeat(3));
+    const literal = quote === "'";
+    this.pos += multiline ? 3 : 1;
+    // A newline right after the opening delimiter is not part of the string
+    if (multiline && this.peek() === "\n") this.pos++;
+
+    let value = "";
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail("unterminated string");
+      const char = this.peek();
+
+      if (multiline ? this.startsWith(quote.repeat(3)) : char === quote) {
+        this.pos += multiline ? 3 : 1;
+        // Up to two quotes may directly precede the closing delimiter
+        while (multiline && this.peek() === quote) {
+          value += quote;
+          this.pos++;
+        }
+        return value;
+      }
+      if (char === "\n" && !multiline) this.fail("unterminated string");
+
+      if (char === "\\" && !literal) {
+        const next = this.peek(1);
+        if (multiline && /[ \t\n]/.test(next)) {
+          // Line-ending backslash: trim the newline and following blanks
+          this.pos++;
+          while (/[ \t\n]/.test(this.peek())) this.pos++;
+          continue;
+        }
+        if (next === "u" || next === "U") {
+          const length = next === "u" ? 4 : 8;
+          const hex = this.text.slice(this.pos + 2, this.pos + 2 + length);
+          if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== length) {
+            this.fail("invalid unicode escape");
+          }
+          value += String.fromCodePoint(parseInt(hex, 16));
+          this.pos += 2 + length;
+          continue;
+        }
+        if (!(next in ESCAPES)) this.fail(`invalid escape "\\${next}"`);
+        value += ESCAPES[next];
+        this.pos += 2;
+        continue;
+      }
+
+      value += char;
+      this.pos++;
+    }
+  }
+
+  parseArray() {
+    this.pos++;
+    const items = [];
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === "]") {
+        this.pos++;
+        return items;
+      }
+      items.push(this.parseValue());
+      this.skipBlank();
+      if (this.peek() === ",") {
+        this.pos++;
+      } else if (this.peek() !== "]") {
+        this.fail("expected , or ] in array");
+      }
+    }
+  }
+
+  parseInlineTable() {
+    this.pos++;
+    const table = {};
+    this.skipSpaces();
+    if (this.peek() === "}") {
+      this.pos++;
+      return table;
+    }
+    for (;;) {
+      const key = this.parseKey();
+      if (this.peek() !== "=") this.fail("expected = after key");
+      this.pos++;
+      this.skipSpaces();
+      assignPath(table, key, this.parseValue(), this);
+      this.skipSpaces();
+      if (this.peek() === "}") {
+        this.pos++;
+        return table;
+      }
+      if (this.peek() !== ",") this.fail("expected , or } in inline table");
+      this.pos++;
+    }
+  }
+
+  parseValue() {
+    const char = this.peek();
+    if (char === '"' || char === "'") return this.parseString();
+    if (char === "[") return this.parseArray();
+    if (char === "{") return this.parseInlineTable();
+
+    // Numbers, booleans, dates: everything up to a delimiter
+    const match = /^[^\s,\]}#]+(?: \d{2}:\d{2}[^\s,\]}#]*)?/.exec(
+      this.text.slice(this.pos)
+    );
+    if (!match) this.fail("expected a value");
+    this.pos += match[0].length;
+    const raw = match[0];
+
+    if (raw === "true") return true;
+    if (raw === "false") return false;
+    if (/^[+-]?(inf|nan)$/.test(raw)) {
+      return raw.endsWith("nan")
+        ? NaN
+        : raw.startsWith("-")
+        ? -Infinity
+        : Infinity;
+    }
+    if (/^[+-]?(0x[0-9A-Fa-f_]+|0o[0-7_]+|0b[01_]+)$/.test(raw)) {
+      const sign = raw.startsWith("-") ? -1 : 1;
+      return sign * Number(raw.replace(/^[+-]/, "").replace(/_/g, ""));
+    }
+    if (/^[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d[\d_]*)?$/.test(raw)) {
+      return Number(raw.replace(/_/g, ""));
+    }
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(raw)) return raw;
+    this.fail(`unknown value "${raw}"`);
+  }
+
+  parse() {
+    const root = {};
+    let current = root;
+
+    for (;;) {
+      this.skipBlank();
+      if (this.pos >= this.text.length) return root;
+
+      if (this.peek() === "[") {
+        const arrayOfTables = this.startsWith("[[");
+        this.pos += arrayOfTables ? 2 : 1;
+        const key = this.parseKey();
+        if (!this.startsWith(arrayOfTables ? "]]" : "]")) {
+          this.fail("unterminated table header");
+        }
+        this.pos += arrayOfTables ? 2 : 1;
+        current = arrayOfTables
+          ? appendTable(root, key, this)
+          : tableAt(root, key, this);
+      } else {
+        const key = this.parseKey();
+        if (this.peek() !== "=") this.fail("expected = after key");
+        this.pos++;
+        this.skipSpaces();
+        assignPath(current, key, this.parseValue(), this);
+      }
+      this.expectLineEnd();
+    }
+  }
+}
+
+const isTable = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The table at a header path, created as needed; for an array of tables
+// the path leads into its last element
+function tableAt(root, keys, reader) {
+  let table = root;
+  keys.forEach((key) => {
+    if (table[key] === undefined) table[key] = {};
+    const next = Array.isArray(table[key])
+      ? table[key][table[key].length - 1]
+      : table[key];
+    if (!isTable(next)) reader.fail(`"${keys.join(".")}" is not a table`);
+    table = next;
+  });
+  return table;
+}
+
+function appendTable(root, keys, reader) {
+  const parent = tableAt(root, keys.slice(0, -1), reader);
+  const last = keys[keys.length - 1];
+  if (parent[last] === undefined) parent[last] = [];
+  if (!Array.isArray(parent[last])) {
+    reader.fail(`"${keys.join(".")}" is not an array of tables`);
+  }
+  const table = {};
+  parent[last].push(table);
+  return table;
+}
+
+function assignPath(table, keys, value, reader) {
+  const parent = tableAt(table, keys.slice(0, -1), reader);
+  const last = keys[keys.length - 1];
+  if (parent[last] !== undefined) {
+    reader.fail(`duplicate key "${keys.join(".")}"`);
+  }
+  parent[last] = value;
+}
+
+function parseToml(text) {
+  return new TomlReader(text).parse();
+}
+
+module.exports = {
+  parseToml,
+};
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TTL = 10 * 60 * 1000;
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+
+// Cache of generated results, so a repository at a commit (or a directory
+// that has not changed) is only generated once. Entries are JSON values,
+// kept serialized; their combined size stays under maxSize by evicting the
+// least recently used ones, and each expires `ttl` milliseconds after it
+// was stored. With a directory, entries are also written there and read
+// back on startup, with file modification times recording last use.
+//
+// Keys are built by keyFor(source, request): source identifies the
+// content (provider, owner, repo and commit, or a local path and its
+// fingerprint) and is kept with the entry so purge() can match on it.
+class TreeCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? DEFAULT_TTL;
+    this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+    this.directory = options.directory || null;
+    // Map order is use order, least recent first
+    this.entries = new Map();
+    this.size = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+
+    if (this.directory) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    return this.ttl > 0 && this.maxSize > 0;
+  }
+
+  static keyFor(source, request) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ source, request }))
+      .digest("hex");
+  }
+
+  // The entry, { key, source, value, etag, createdAt, expiresAt, size },
+  // or null when it is missing or expired
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    if (this.directory) {
+      const now = new Date();
+      fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+    }
+    return { ...entry, value: JSON.parse(entry.value) };
+  }
+
+  // Stores value under key and returns the new entry, or null when the
+  // cache is disabled or the value alone is larger than maxSize
+  set(key, source, value) {
+    if (!this.enabled) {
+      return null;
+    }
+    const serialized = JSON.stringify(value);
+    const size = Buffer.byteLength(serialized);
+    if (size > this.maxSize) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      key,
+      source,
+      value: serialized,
+      etag: `"${crypto.createHash("sha256").update(serialized).digest("hex")}"`,
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      size,
+    };
+    this.delete(key);
+    this.insert(entry);
+    if (this.directory) {
+      this.write(entry);
+    }
+    return { ...entry, value };
+  }
+
+  insert(entry) {
+    this.entries.set(entry.key, entry);
+    this.size += entry.size;
+    for (const [key] of this.entries) {
+      if (this.size <= this.maxSize) break;
+      this.delete(key);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.size -= entry.size;
+    if (this.directory) {
+      fs.rmSync(this.filePath(key), { force: true });
+    }
+    return true;
+  }
+
+  // Removes the entries whose source has every field of `match`, or all of
+  // them without one; returns how many were removed
+  purge(match = {}) {
+    const fields = Object.entries(match).filter(
+      ([, value]) => value !== undefined
+    );
+    let removed = 0;
+    [...this.entries.values()]
+      .filter((entry) =>
+        fields.every(([field, value]) => entry.source[field] === value)
+      )
+      .forEach((entry) => {
+        this.delete(entry.key);
+        removed++;
+      });
+    return removed;
+  }
+
+  summary() {
+    return {
+      entries: this.entries.size,
+      size: this.size,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      directory: this.directory,
+      ...this.stats,
+    };
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  // Like the HTTP response cache, a cache directory that cannot be written
+  // only costs regeneration, so write errors are ignored
+  write(entry) {
+    const filePath = this.filePath(entry.key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(entry));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  // Reads the entries a previous process left, least recently used first,
+  // dropping expired and unreadable files
+  load() {
+    let files;
+    try {
+      files = fs
+        .readdirSync(this.directory)
+        .filter((file) => /^[0-9a-f]{64}\.json$/.test(file));
+    } catch (error) {
+      return;
+    }
+
+    files
+      .map((file) => {
+        const filePath = path.join(this.directory, file);
+        try {
+          return { filePath, used: fs.statSync(filePath).mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.used - b.used)
+      .forEach(({ filePath }) => {
+        let entry = null;
+        try {
+          entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (error) {
+          // Unreadable or partly written; removed below
+        }
+        if (
+          !entry ||
+          entry.expiresAt <= Date.now() ||
+          `${entry.key}.json` !== path.basename(filePath)
+        ) {
+          fs.rmSync(filePath, { force: true });
+          return;
+        }
+        this.insert(entry);
+      });
+  }
+}
+
+module.exports = {
+  TreeCache,
+};
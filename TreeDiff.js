@@ -0,0 +1,430 @@
+const { DEFAULT_MARKERS } = require("./renderers/ascii");
+const { loadTreeSource } = require("./TreeSources");
+
+// Compares two trees in the node model, whatever produced them. Entries are
+// matched by their path below the root; files count as modified when their
+// blob SHA differs or, for sources without SHAs, their size or modification
+// time, and symlinks when their target changes. With SHAs available, a
+// removed entry whose content reappears under another path is reported as
+// a rename; a renamed directory is reported once, not file by file. Changes
+// inside a directory are reported on the files, so directories themselves
+// are only ever added, removed or renamed.
+
+const STATUSES = ["added", "removed", "modified", "renamed"];
+
+const STATUS_MARKERS = {
+  added: "+",
+  removed: "-",
+  modified: "~",
+  renamed: "~",
+  unchanged: " ",
+};
+
+const DIFF_FORMATS = ["ascii", "json", "markdown"];
+
+// Map of "a/b/c" -> node for every node below the root
+function indexTree(tree) {
+  const entries = new Map();
+
+  const visit = (node, prefix) => {
+    (node.children || []).forEach((child) => {
+      const childPath = prefix ? `${prefix}/${child.name}` : child.name;
+      entries.set(childPath, child);
+      if (child.type === "directory") {
+        visit(child, childPath);
+      }
+    });
+  };
+
+  visit(tree, "");
+  return entries;
+}
+
+function isInside(childPath, dirPath) {
+  return childPath.startsWith(`${dirPath}/`);
+}
+
+function baseName(entryPath) {
+  return entryPath.slice(entryPath.lastIndexOf("/") + 1);
+}
+
+function parentPath(entryPath) {
+  const index = entryPath.lastIndexOf("/");
+  return index === -1 ? "" : entryPath.slice(0, index);
+}
+
+function depth(entryPath) {
+  return entryPath.split("/").length;
+}
+
+function fileChanged(before, after) {
+  const a = before.metadata || {};
+  const b = after.metadata || {};
+
+  if (before.target !== after.target) {
+    return true;
+  }
+  if (a.sha && b.sha) {
+    return a.sha !== b.sha || (a.mode && b.mode && a.mode !== b.mode);
+  }
+  if (a.size !== undefined && b.size !== undefined && a.size !== b.size) {
+    return true;
+  }
+  if (a.modified && b.modified) {
+    return new Date(a.modified).getTime() !== new Date(b.modified).getTime();
+  }
+  return false;
+}
+
+// The parts of a node's metadata worth showing next to a change
+function describe(node) {
+  const { sha, size } = node.metadata || {};
+  return {
+    ...(sha && { sha }),
+    ...(size !== undefined && { size }),
+  };
+}
+
+// Pairs removed and added entries of one type that share a SHA. Entries
+// with the same name are preferred, so a moved file is not matched with an
+// unrelated copy elsewhere.
+function pairRenames(removed, added, oldIndex, newIndex, type) {
+  const pairs = [];
+  const candidatesBySha = new Map();
+
+  added
+    .filter((entryPath) => newIndex.get(entryPath).type === type)
+    .forEach((entryPath) => {
+      const { sha } = newIndex.get(entryPath).metadata || {};
+      if (!sha) return;
+      if (!candidatesBySha.has(sha)) candidatesBySha.set(sha, []);
+      candidatesBySha.get(sha).push(entryPath);
+    });
+
+  removed
+    .filter((entryPath) => oldIndex.get(entryPath).type === type)
+    .sort((a, b) => depth(a) - depth(b))
+    .forEach((entryPath) => {
+      const { sha } = oldIndex.get(entryPath).metadata || {};
+      const candidates = sha && candidatesBySha.get(sha);
+      if (!candidates || candidates.length === 0) return;
+
+      const sameName = candidates.findIndex(
+        (candidate) => baseName(candidate) === baseName(entryPath)
+      );
+      const [match] = candidates.splice(sameName === -1 ? 0 : sameName, 1);
+      pairs.push({ from: entryPath, to: match });
+    });
+
+  return pairs;
+}
+
+function diffTrees(before, after, options = {}) {
+  const detectRenames = options.detectRenames !== false;
+  const oldIndex = indexTree(before);
+  const newIndex = indexTree(after);
+
+  const changes = [];
+  let removed = [];
+  let added = [];
+  let unchanged = 0;
+
+  oldIndex.forEach((node, entryPath) => {
+    const other = newIndex.get(entryPath);
+    if (!other || other.type !== node.type) {
+      removed.push(entryPath);
+    } else if (node.type !== "directory") {
+      if (fileChanged(node, other)) {
+        changes.push({
+          status: "modified",
+          type: node.type,
+          path: entryPath,
+          before: describe(node),
+          after: describe(other),
+        });
+      } else {
+        unchanged++;
+      }
+    }
+  });
+
+  newIndex.forEach((node, entryPath) => {
+    const other = oldIndex.get(entryPath);
+    if (!other || other.type !== node.type) {
+      added.push(entryPath);
+    }
+  });
+
+  if (detectRenames) {
+    // Directories first: everything inside a renamed directory moves with
+    // it and must not be paired again on its own
+    const directoryPairs = [];
+    pairRenames(removed, added, oldIndex, newIndex, "directory").forEach(
+      (pair) => {
+        const nested = directoryPairs.some(
+          (outer) =>
+            isInside(pair.from, outer.from) || isInside(pair.to, outer.to)
+        );
+        if (!nested) {
+          directoryPairs.push(pair);
+        }
+      }
+    );
+
+    const movedWith = (entryPath, side) =>
+      directoryPairs.some(
+        (pair) => entryPath === pair[side] || isInside(entryPath, pair[side])
+      );
+    removed = removed.filter((entryPath) => !movedWith(entryPath, "from"));
+    added = added.filter((entryPath) => !movedWith(entryPath, "to"));
+
+    const filePairs = pairRenames(removed, added, oldIndex, newIndex, "file");
+    const pairedFrom = new Set(filePairs.map((pair) => pair.from));
+    const pairedTo = new Set(filePairs.map((pair) => pair.to));
+    removed = removed.filter((entryPath) => !pairedFrom.has(entryPath));
+    added = added.filter((entryPath) => !pairedTo.has(entryPath));
+
+    [...directoryPairs, ...filePairs].forEach(({ from, to }) => {
+      changes.push({
+        status: "renamed",
+        type: newIndex.get(to).type,
+        path: to,
+        from,
+        after: describe(newIndex.get(to)),
+      });
+    });
+  }
+
+  removed.forEach((entryPath) => {
+    const node = oldIndex.get(entryPath);
+    changes.push({
+      status: "removed",
+      type: node.type,
+      path: entryPath,
+      before: describe(node),
+    });
+  });
+
+  added.forEach((entryPath) => {
+    const node = newIndex.get(entryPath);
+    changes.push({
+      status: "added",
+      type: node.type,
+      path: entryPath,
+      after: describe(node),
+    });
+  });
+
+  changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  const summary = {};
+  STATUSES.forEach((status) => {
+    summary[status] = changes.filter(
+      (change) => change.status === status
+    ).length;
+  });
+  summary.unchanged = unchanged;
+
+  return { summary, changes };
+}
+
+// Merges both trees into one where every node carries its change status,
+// dropping unchanged branches unless showUnchanged is set. Removed entries
+// hang under their old parent; renamed ones sit at their new path.
+function buildDiffTree(before, after, diff, options = {}) {
+  const root = { name: "root", type: "directory", children: [] };
+  const current = new Map([["", root]]);
+  const removed = new Map();
+
+  const mergedNode = (node, status, from) => ({
+    name: node.name,
+    type: node.type,
+    status,
+    ...(from && { from }),
+    children: node.type === "directory" ? [] : undefined,
+  });
+
+  const newChanges = new Map(
+    diff.changes
+      .filter((change) => change.status !== "removed")
+      .map((change) => [change.path, change])
+  );
+  // indexTree lists parents before their children
+  indexTree(after).forEach((node, entryPath) => {
+    const change = newChanges.get(entryPath);
+    const merged = mergedNode(
+      node,
+      change ? change.status : "unchanged",
+      change && change.from
+    );
+    current.get(parentPath(entryPath)).children.push(merged);
+    current.set(entryPath, merged);
+  });
+
+  const oldIndex = indexTree(before);
+  diff.changes
+    .filter((change) => change.status === "removed")
+    .forEach((change) => {
+      const merged = mergedNode(oldIndex.get(change.path), "removed");
+      const parent =
+        removed.get(parentPath(change.path)) ||
+        current.get(parentPath(change.path)) ||
+        root;
+      parent.children.push(merged);
+      removed.set(change.path, merged);
+    });
+
+  const prune = (node) => {
+    if (!node.children) {
+      return options.showUnchanged || node.status !== "unchanged";
+    }
+    node.children = node.children.filter(prune);
+    node.children.sort((a, b) => {
+      if (a.type === b.type) return a.name.localeCompare(b.name);
+      return a.type === "directory" ? -1 : 1;
+    });
+    return (
+      options.showUnchanged ||
+      node.status !== "unchanged" ||
+      node.children.length > 0
+    );
+  };
+  prune(root);
+
+  return root;
+}
+
+function formatSummary(summary) {
+  return `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.renamed} renamed`;
+}
+
+function renderAscii(diff, options) {
+  const tree = buildDiffTree(options.beforeTree, options.afterTree, diff, {
+    showUnchanged: options.showUnchanged,
+  });
+
+  const renderChildren = (node, prefix) => {
+    let result = "";
+    node.children.forEach((child, index) => {
+      const isLast = index === node.children.length - 1;
+      const connector = isLast
+        ? DEFAULT_MARKERS.corner
+        : DEFAULT_MARKERS.branch;
+      const label = child.from
+        ? `${child.name} (renamed from ${child.from})`
+        : child.name;
+
+      result += `${
+        STATUS_MARKERS[child.status]
+      } ${prefix}${connector}${label}\n`;
+      if (child.children) {
+        result += renderChildren(
+          child,
+          prefix + (isLast ? DEFAULT_MARKERS.space : DEFAULT_MARKERS.pipe)
+        );
+      }
+    });
+    return result;
+  };
+
+  const header =
+    diff.before && diff.after ? `${diff.before} -> ${diff.after}\n` : "";
+  return `${header}${renderChildren(tree, "")}\n${formatSummary(
+    diff.summary
+  )}\n`;
+}
+
+function formatSide(side) {
+  if (!side) return "";
+  const parts = [];
+  if (side.size !== undefined) parts.push(`${side.size} B`);
+  if (side.sha) parts.push(side.sha.slice(0, 7));
+  return parts.join(", ");
+}
+
+function renderMarkdown(diff) {
+  let markdown = "# Tree Diff\n\n";
+  if (diff.before && diff.after) {
+    markdown += `**Before:** ${diff.before}  \n**After:** ${diff.after}\n\n`;
+  }
+
+  markdown += "| Added | Removed | Modified | Renamed | Unchanged |\n";
+  markdown += "| ----- | ------- | -------- | ------- | --------- |\n";
+  markdown += `| ${diff.summary.added} | ${diff.summary.removed} | ${diff.summary.modified} | ${diff.summary.renamed} | ${diff.summary.unchanged} |\n`;
+
+  const sections = {
+    added: "Added",
+    removed: "Removed",
+    modified: "Modified",
+    renamed: "Renamed",
+  };
+
+  Object.entries(sections).forEach(([status, title]) => {
+    const changes = diff.changes.filter((change) => change.status === status);
+    if (changes.length === 0) return;
+
+    markdown += `\n## ${title}\n\n`;
+    changes.forEach((change) => {
+      const suffix = change.type === "directory" ? "/" : "";
+      const entry = `\`${change.path}${suffix}\``;
+      if (status === "renamed") {
+        markdown += `- \`${change.from}${suffix}\` → ${entry}\n`;
+      } else if (status === "modified") {
+        markdown += `- ${entry} (${formatSide(change.before)} → ${formatSide(
+          change.after
+        )})\n`;
+      } else {
+        markdown += `- ${entry}\n`;
+      }
+    });
+  });
+
+  return markdown;
+}
+
+// options.beforeTree / afterTree are needed by the ascii format, which
+// draws both trees merged
+function renderDiff(diff, format = "ascii", options = {}) {
+  switch (format) {
+    case "ascii":
+      return renderAscii(diff, options);
+    case "json":
+      return JSON.stringify(diff, null, 2);
+    case "markdown":
+      return renderMarkdown(diff);
+    default:
+      throw new Error(
+        `Unknown diff format "${format}". Available formats: ${DIFF_FORMATS.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+// Loads two sources (see TreeSources.js) and diffs them. The trees are
+// returned alongside the diff for renderDiff's ascii format.
+async function diffSources(before, after, options = {}) {
+  const [oldSource, newSource] = await Promise.all([
+    loadTreeSource(before, options),
+    loadTreeSource(after, options),
+  ]);
+
+  return {
+    diff: {
+      before: oldSource.label,
+      after: newSource.label,
+      ...diffTrees(oldSource.tree, newSource.tree, options),
+    },
+    beforeTree: oldSource.tree,
+    afterTree: newSource.tree,
+  };
+}
+
+module.exports = {
+  DIFF_FORMATS,
+  indexTree,
+  diffTrees,
+  diffSources,
+  buildDiffTree,
+  renderDiff,
+};
@@ -1,46 +1,44 @@
 const fs = require("fs");
 const path = require("path");
-const https = require("https");
-
-// Base class for tree generation
+const { normalizePatterns } = require("./PathFilter");
+const {
+  FileSystemJsonTreeGenerator,
+  GitHubJsonTreeGenerator,
+} = require("./JsonTreeGenerator");
+const { manifestType } = require("./Manifests");
+const ascii = require("./renderers/ascii");
+
+// Base class for ASCII tree generation. Sources are read into the shared
+// node model by the JSON generators and rendered with the ascii renderer.
 class BaseTreeGenerator {
   constructor(options = {}) {
-    this.excludePatterns = options.excludePatterns || [
-      "node_modules",
-      "package.json",
-      "package-lock.json",
-    ];
-    this.indentationMarkers = {
-      pipe: "│   ",
-      corner: "└── ",
-      branch: "├── ",
-      space: "    ",
+    this.options = options;
+    this.excludePatterns = options.excludePatterns
+      ? normalizePatterns(options.excludePatterns)
+      : ["node_modules", "package-lock.json"];
+    this.includePatterns = normalizePatterns(options.includePatterns);
+    this.maxDepth = options.maxDepth ?? Infinity;
+    this.respectGitignore = options.respectGitignore !== false;
+    this.treeignoreFile = options.treeignoreFile || ".treeignore";
+    this.indentationMarkers = { ...ascii.DEFAULT_MARKERS };
+  }
+
+  // Options for the JSON generator that builds the node model
+  jsonOptions() {
+    return {
+      ...this.options,
+      excludePatterns: this.excludePatterns,
+      includePatterns: this.includePatterns,
+      maxDepth: this.maxDepth,
+      respectGitignore: this.respectGitignore,
+      treeignoreFile: this.treeignoreFile,
+      // Text trees have no use for per-file analysis
+      analyzeFiles: this.options.analyzeFiles ?? false,
     };
   }
 
   generateTreeString(tree, prefix = "") {
-    let result = "";
-    const entries = Object.entries(tree);
-
-    entries.forEach(([key, value], index) => {
-      const isLast = index === entries.length - 1;
-      const connector = isLast
-        ? this.indentationMarkers.corner
-        : this.indentationMarkers.branch;
-
-      result += `${prefix}${connector}${key}\n`;
-
-      if (value !== null) {
-        const newPrefix =
-          prefix +
-          (isLast
-            ? this.indentationMarkers.space
-            : this.indentationMarkers.pipe);
-        result += this.generateTreeString(value, newPrefix);
-      }
-    });
-
-    return result;
+    return ascii.render(tree, { markers: this.indentationMarkers, prefix });
   }
 
   generateMarkdownDoc(title, treeContent) {
@@ -56,49 +54,30 @@ ${treeContent}
 ## Details
 
 This documentation shows the structure, excluding:
-${this.excludePatterns.map((pattern) => `- ${pattern}`).join("\n")}
+${this.excludePatterns.map((pattern) => `- ${pattern}`).join("\n")}${
+      this.respectGitignore
+        ? `\n- entries matched by .gitignore and ${this.treeignoreFile}`
+        : ""
+    }${
+      this.includePatterns.length > 0
+        ? `\n\nOnly files matching these patterns are included:\n${this.includePatterns
+            .map((pattern) => `- ${pattern}`)
+            .join("\n")}`
+        : ""
+    }
 `;
   }
 }
 
 // Local filesystem tree generator
 class TreeGenerator extends BaseTreeGenerator {
-  generateTree(startPath, indent = "") {
-    let output = "";
+  async buildTree(startPath) {
+    const generator = new FileSystemJsonTreeGenerator(this.jsonOptions());
+    return generator.generateTreeData(startPath);
+  }
 
-    try {
-      const files = fs.readdirSync(startPath);
-
-      files.forEach((file, index) => {
-        if (this.excludePatterns.some((pattern) => file.includes(pattern))) {
-          return;
-        }
-
-        const filePath = path.join(startPath, file);
-        const stats = fs.statSync(filePath);
-        const isLast = index === files.length - 1;
-
-        const connector = isLast
-          ? this.indentationMarkers.corner
-          : this.indentationMarkers.branch;
-        output += `${indent}${connector}${file}\n`;
-
-        if (stats.isDirectory()) {
-          const newIndent =
-            indent +
-            (isLast
-              ? this.indentationMarkers.space
-              : this.indentationMarkers.pipe);
-          output += this.generateTree(filePath, newIndent);
-        }
-      });
-
-      return output;
-    } catch (error) {
-      throw new Error(
-        `Error processing directory ${startPath}: ${error.message}`
-      );
-    }
+  async generateTree(startPath, indent = "") {
+    return this.generateTreeString(await this.buildTree(startPath), indent);
   }
 
   static async generate(targetPath = ".", options = {}) {
@@ -111,7 +90,7 @@ class TreeGenerator extends BaseTreeGenerator {
 
     return {
       path: fullPath,
-      tree: generator.generateTree(fullPath),
+      tree: await generator.generateTree(fullPath),
     };
   }
 }
@@ -120,8 +99,10 @@ class TreeGenerator extends BaseTreeGenerator {
 class GitHubTreeGenerator extends BaseTreeGenerator {
   constructor(options = {}) {
     super(options);
-    this.token = options.token || process.env.GITHUB_TOKEN;
+    // Shared API client and node builder
+    this.client = new GitHubJsonTreeGenerator(this.jsonOptions());
   }
+
   writeTreeToFile(tree, filePath) {
     try {
       const dir = path.dirname(filePath);
@@ -133,97 +114,43 @@ class GitHubTreeGenerator extends BaseTreeGenerator {
       throw new Error(`Failed to write tree to file: ${error.message}`);
     }
   }
-  async getRepoTree(owner, repo) {
-    const options = {
-      hostname: "api.github.com",
-      path: `/repos/${owner}/${repo}/git/trees/main?recursive=1`,
-      headers: {
-        "User-Agent": "GitHub-Tree-Generator",
-        Accept: "application/vnd.github.v3+json",
-        ...(this.token && { Authorization: `Bearer ${this.token}` }),
-      },
-    };
-
-    return this.makeGitHubRequest(options);
-  }
 
-  async makeGitHubRequest(options) {
-    return new Promise((resolve, reject) => {
-      https
-        .get(options, (res) => {
-          let data = "";
-          res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => {
-            if (res.statusCode === 404 && options.path.includes("/main?")) {
-              options.path = options.path.replace("/main?", "/master?");
-              return this.makeGitHubRequest(options)
-                .then(resolve)
-                .catch(reject);
-            }
-            try {
-              const jsonData = JSON.parse(data);
-              if (res.statusCode !== 200) {
-                reject(
-                  new Error(jsonData.message || "GitHub API request failed")
-                );
-                return;
-              }
-              resolve(jsonData);
-            } catch (error) {
-              reject(error);
-            }
-          });
-        })
-        .on("error", reject);
-    });
+  // Tree of a branch, tag or commit; the default branch when ref is omitted.
+  // Truncated listings are completed by the JSON generator's subtree walk.
+  async getRepoTree(owner, repo, ref) {
+    const branch = ref || (await this.client.getDefaultBranch(owner, repo));
+    return this.client.getTreeData(owner, repo, branch);
   }
 
+  // Converts a git/trees response into the shared node model
   buildTreeStructure(treeData) {
-    const tree = {};
-
-    treeData.tree
-      .filter((item) => item.type === "blob" || item.type === "tree")
-      .filter(
-        (item) =>
-          !this.excludePatterns.some((pattern) => item.path.includes(pattern))
-      )
-      .forEach((item) => {
-        const parts = item.path.split("/");
-        let current = tree;
-
-        parts.forEach((part, index) => {
-          if (index === parts.length - 1) {
-            current[part] = item.type === "tree" ? {} : null;
-          } else {
-            current[part] = current[part] || {};
-            current = current[part];
-          }
-        });
-      });
-
-    return tree;
+    return this.client.processGitHubTree(treeData.tree);
   }
 
   static async generate(repoUrl, options = {}) {
-    const repoUrlPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
-    const match = repoUrl.match(repoUrlPattern);
-
-    if (!match) {
-      throw new Error("Invalid GitHub repository URL");
-    }
-
-    const [, owner, repo] = match;
     const generator = new GitHubTreeGenerator(options);
 
     try {
-      const treeData = await generator.getRepoTree(owner, repo);
+      const { owner, repo, ref, path, commit, treeData } =
+        await generator.client.fetchRepository(repoUrl);
       const structure = generator.buildTreeStructure(treeData);
       const treeString = generator.generateTreeString(structure);
 
       return {
         owner,
         repo,
+        ref,
+        path,
+        commit,
         tree: treeString,
+        stats: {
+          requests: generator.client.requestCount,
+          cached: generator.client.http.stats.cached,
+          retries: generator.client.http.stats.retries,
+          truncated: Boolean(treeData.recursiveTruncated),
+          complete: !treeData.truncated,
+          rateLimit: generator.client.http.rateLimit,
+        },
         generator, // Return the generator instance for method access
       };
     } catch (error) {
@@ -232,10 +159,18 @@ class GitHubTreeGenerator extends BaseTreeGenerator {
   }
 }
 
-//example usage
-
+// Markdown documentation for a GitHub repository tree
 async function generateEnhancedDoc(repoUrl, treeContent, owner, repo) {
   const timestamp = new Date().toLocaleString();
+  // Build manifests among the entry names of the text tree
+  const manifests = [
+    ...new Set(
+      treeContent
+        .split("\n")
+        .map((line) => line.replace(/^[│├└─\s]+/, "").replace(/ -> .*$/, ""))
+        .filter((name) => manifestType(name))
+    ),
+  ];
   return `# Repository Structure Documentation
 Generated on: ${timestamp}
 
@@ -281,11 +216,9 @@ Notable files in the repository:
 ${
   treeContent.includes("README") ? "- `README.md`: Project documentation\n" : ""
 }
-${
-  treeContent.includes("package.json")
-    ? "- `package.json`: Project dependencies and scripts\n"
-    : ""
-}
+${manifests
+  .map((name) => `- \`${name}\`: Build manifest (dependencies and scripts)\n`)
+  .join("")}
 ${
   treeContent.includes("tsconfig.json")
     ? "- `tsconfig.json`: TypeScript configuration\n"
@@ -303,78 +236,19 @@ This repository follows a structured approach to organize its files:
 ## Excluded Items
 The following patterns are excluded from this tree for clarity:
 - node_modules
-- package.json
 - package-lock.json
 
 ## Usage
 To regenerate this documentation, run:
 \`\`\`bash
-node script.js ${repoUrl}
+tree-gen remote ${repoUrl} --format markdown
 \`\`\`
 `;
 }
 
-async function main() {
-  try {
-    const repoUrl =
-      process.argv[2] || "https://github.com/codenlighten/tree-generations";
-    console.log(`Generating tree for ${repoUrl}...`);
-
-    const result = await GitHubTreeGenerator.generate(repoUrl);
-
-    console.log("\nTree structure:");
-    console.log(result.tree);
-
-    if (result.tree) {
-      // Generate enhanced markdown documentation
-      const enhancedDoc = await generateEnhancedDoc(
-        repoUrl,
-        result.tree,
-        result.owner,
-        result.repo
-      );
-
-      // Save documentation
-      const timestamp = new Date().toISOString().split("T")[0];
-      const docDir = path.join(process.cwd(), "docs");
-
-      // Create docs directory if it doesn't exist
-      if (!fs.existsSync(docDir)) {
-        fs.mkdirSync(docDir, { recursive: true });
-      }
-
-      // Save markdown file
-      const docPath = path.join(
-        docDir,
-        `repository-structure-${result.owner}-${result.repo}-${timestamp}.md`
-      );
-      fs.writeFileSync(docPath, enhancedDoc);
-
-      // Also save raw tree file for reference
-      const treePath = path.join(
-        docDir,
-        `tree-structure-${result.owner}-${result.repo}-${timestamp}.txt`
-      );
-      result.generator.writeTreeToFile(result.tree, treePath);
-
-      console.log("\nDocumentation generated successfully!");
-      console.log(`Markdown documentation: ${docPath}`);
-      console.log(`Tree structure: ${treePath}`);
-    } else {
-      console.log("\nNo tree structure was generated.");
-    }
-  } catch (error) {
-    console.error("Error:", error.message);
-    process.exit(1);
-  }
-}
-
-if (require.main === module) {
-  main();
-}
-
 module.exports = {
   BaseTreeGenerator,
   TreeGenerator,
   GitHubTreeGenerator,
+  generateEnhancedDoc,
 };
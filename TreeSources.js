@@ -0,0 +1,171 @@
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+
+const {
+  FileSystemJsonTreeGenerator,
+  GitJsonTreeGenerator,
+} = require("./JsonTreeGenerator");
+const { createRemoteGenerator } = require("./RemoteProviders");
+
+// Resolves the tree sources accepted by `tree-gen diff` and /api/diff into
+// { label, tree }. A source is one of
+//
+//   { type: "saved", file }             output of saveTreeData or --format json
+//   { type: "filesystem", path }        a local directory as it is on disk
+//   { type: "git", path, ref }          a local repository at a ref
+//   { type: "remote", url, ref, provider }
+//   { type: "tree", tree, label }       a tree passed in directly
+//
+// or a string, read by parseSourceSpec:
+//
+//   tree.json             an existing file: saved tree
+//   ./repo@v1.2.0         an existing directory plus "@ref": git at that ref
+//   ./repo                an existing directory: filesystem
+//   anything else         a repository URL
+//
+// Strings with a URL scheme ("https://") or in SSH form ("git@host:o/r")
+// are always repository URLs.
+//
+// options go to the generators. options.resolvePath(path), when given, is
+// awaited for every local path before it is read, or even checked for
+// existence, and returns the path to use; the HTTP service uses it to keep
+// reads inside its allowed roots.
+
+// The path resolvePath gives for a local path plus its stats, or null when
+// nothing is there. A path resolvePath refuses stays refused, whether it
+// exists or not.
+async function localPath(localSpec, resolvePath) {
+  try {
+    const resolved = await resolvePath(localSpec);
+    return { resolved, stats: await fsp.stat(resolved) };
+  } catch (error) {
+    if (["ENOENT", "ENOTDIR", "PATH_NOT_FOUND"].includes(error.code)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Local sources come back with `resolved`, the path resolvePath returned
+async function parseSourceSpec(spec, resolvePath = async (value) => value) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(spec) || /^[\w.-]+@[\w.-]+:/.test(spec)) {
+    return { type: "remote", url: spec };
+  }
+
+  const local = await localPath(spec, resolvePath);
+  if (local) {
+    return local.stats.isDirectory()
+      ? { type: "filesystem", path: spec, resolved: local.resolved }
+      : { type: "saved", file: spec, resolved: local.resolved };
+  }
+
+  const at = spec.lastIndexOf("@");
+  if (at > 0) {
+    const repoPath = spec.slice(0, at);
+    const repo = await localPath(repoPath, resolvePath);
+    if (repo && repo.stats.isDirectory()) {
+      return {
+        type: "git",
+        path: repoPath,
+        ref: spec.slice(at + 1),
+        resolved: repo.resolved,
+      };
+    }
+  }
+
+  return { type: "remote", url: spec };
+}
+
+function invalidSource(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_SOURCE";
+  return error;
+}
+
+function readSavedTree(file) {
+  const content = fs.readFileSync(file, "utf8");
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw invalidSource(`${file} is not JSON: ${error.message}`);
+  }
+  // Saved files wrap the tree in an envelope; a bare node tree works too
+  const tree =
+    data && data.tree && typeof data.tree === "object" ? data.tree : data;
+  if (!tree || tree.type !== "directory") {
+    throw invalidSource(`${file} does not contain a saved tree`);
+  }
+  return tree;
+}
+
+async function loadTreeSource(source, options = {}) {
+  const resolvePath = options.resolvePath || (async (value) => value);
+  const spec =
+    typeof source === "string"
+      ? await parseSourceSpec(source, resolvePath)
+      : source;
+  // Parsing a string already resolved its path
+  const resolveLocal = async (value) =>
+    typeof source === "string" ? spec.resolved : resolvePath(value);
+
+  switch (spec.type) {
+    case "saved":
+      return {
+        label: spec.file,
+        tree: readSavedTree(await resolveLocal(spec.file)),
+      };
+
+    case "filesystem": {
+      const generator = new FileSystemJsonTreeGenerator(options);
+      return {
+        label: path.resolve(spec.path),
+        tree: await generator.generateTreeData(await resolveLocal(spec.path)),
+      };
+    }
+
+    case "git": {
+      const generator = new GitJsonTreeGenerator({
+        ...options,
+        ...(spec.ref && { ref: spec.ref }),
+      });
+      const { repository, tree } = await generator.generate(
+        await resolveLocal(spec.path)
+      );
+      return { label: `${repository.name}@${repository.ref}`, tree };
+    }
+
+    case "remote": {
+      const generator = createRemoteGenerator(spec.url, {
+        ...options,
+        ...(spec.ref && { ref: spec.ref }),
+        ...(spec.provider && { provider: spec.provider }),
+      });
+      const { repository, tree } = await generator.generate(spec.url);
+      return {
+        label: `${repository.owner}/${repository.name}@${repository.ref}`,
+        tree,
+      };
+    }
+
+    case "tree":
+      if (!spec.tree || spec.tree.type !== "directory") {
+        throw invalidSource(
+          "Inline tree sources need a directory node as tree"
+        );
+      }
+      return { label: spec.label || "tree", tree: spec.tree };
+
+    default:
+      throw invalidSource(
+        `Unknown source type "${spec.type}", expected one of: saved, filesystem, git, remote, tree`
+      );
+  }
+}
+
+module.exports = {
+  parseSourceSpec,
+  loadTreeSource,
+};
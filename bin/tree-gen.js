@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const {
+  FileSystemJsonTreeGenerator,
+  GitJsonTreeGenerator,
+} = require("../JsonTreeGenerator");
+const { createRemoteGenerator, listProviders } = require("../RemoteProviders");
+const { generateDevDocs } = require("../DevDocs");
+const { PRESETS } = require("../FileCategories");
+const { listRenderers, renderTree } = require("../renderers");
+const { DIFF_FORMATS, diffSources, renderDiff } = require("../TreeDiff");
+const packageInfo = require("../package.json");
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = listRenderers();
+const PRESET_NAMES = [...Object.keys(PRESETS), "auto", "none"];
+
+const USAGE = `Usage: tree-gen <command> <source>... [options]
+
+Commands:
+  local <path>           Generate the tree of a local directory
+  git <path>             Generate the tree of a local git repository at a ref
+                         (committed files only, no network needed)
+  remote <url>           Generate the tree of a GitHub, GitLab or Gitea
+                         repository
+  diff <before> <after>  Compare two trees. Each source is a saved JSON tree,
+                         a directory, <repo-dir>@<ref> or a repository URL
+
+Options:
+  -f, --format <format>  Output format: ${FORMATS.join(", ")} (default: ascii)
+                         For diff: ${DIFF_FORMATS.join(", ")}
+  -d, --depth <n>        Maximum depth to descend into
+  -i, --include <glob>   Only show files matching the glob (repeatable)
+  -e, --exclude <glob>   Hide entries matching the glob (repeatable)
+      --dirs-only        Leave files out of diagrams (mermaid, mindmap, dot,
+                         plantuml)
+      --no-gitignore     Ignore .gitignore and .treeignore files (local only)
+      --no-analyze       Skip language, line count and hash analysis (local)
+      --analyze          Analyze file contents of git and remote trees too
+                         (reads every blob; one API request per file)
+      --follow-symlinks  Descend into symlinked directories (local only)
+      --no-codeowners    Do not annotate entries with CODEOWNERS owners
+      --history          Add last change, authors and commit counts per file
+                         from git (remote: one API request per file)
+      --stale-months <n> Months without changes that make a directory stale
+                         (default: 6)
+      --max-entries <n>  Fail when a local tree has more entries than this
+                         (default: 500000)
+  -o, --output <file>    Write the result to a file instead of stdout
+      --all              Also show unchanged entries (diff only)
+      --docs             Also generate developer documentation
+      --docs-dir <dir>   Directory for generated documentation (default: docs)
+      --preset <name>    Project layout for --docs, one of:
+                         ${PRESET_NAMES.join(", ")}
+                         (default: from .treegen.json, else auto)
+  -r, --ref <ref>        Branch, tag or commit to read (git and remote;
+                         default: HEAD for git, the default branch for remote)
+  -p, --path <dir>       Sub-directory to root the tree at (git and remote)
+      --provider <name>  Remote provider: ${listProviders().join(", ")}
+                         (default: detected from the URL host)
+      --no-cache         Do not use or update the HTTP response cache
+                         (remote only)
+  -t, --token <token>    API token (default: $GITHUB_TOKEN, $GITLAB_TOKEN
+                         or $GITEA_TOKEN)
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Exit codes: 0 on success, 1 when generation fails, 2 on invalid usage.
+`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "ascii" },
+        depth: { type: "string", short: "d" },
+        include: { type: "string", short: "i", multiple: true },
+        exclude: { type: "string", short: "e", multiple: true },
+        "dirs-only": { type: "boolean", default: false },
+        "no-gitignore": { type: "boolean", default: false },
+        "max-entries": { type: "string" },
+        "follow-symlinks": { type: "boolean", default: false },
+        "no-codeowners": { type: "boolean", default: false },
+        history: { type: "boolean", default: false },
+        "stale-months": { type: "string" },
+        analyze: { type: "boolean", default: false },
+        "no-analyze": { type: "boolean", default: false },
+        output: { type: "string", short: "o" },
+        all: { type: "boolean", default: false },
+        docs: { type: "boolean", default: false },
+        "docs-dir": { type: "string", default: "docs" },
+        preset: { type: "string" },
+        ref: { type: "string", short: "r" },
+        path: { type: "string", short: "p" },
+        provider: { type: "string" },
+        "no-cache": { type: "boolean", default: false },
+        token: { type: "string", short: "t" },
+        help: { type: "boolean", short: "h", default: false },
+        version: { type: "boolean", short: "v", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || values.version) {
+    return { values, positionals };
+  }
+
+  const [command, ...sources] = positionals;
+  if (!command) {
+    throw new UsageError("Missing command");
+  }
+  if (!["local", "git", "remote", "diff"].includes(command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const expectedSources = command === "diff" ? 2 : 1;
+  if (sources.length < expectedSources) {
+    throw new UsageError(
+      {
+        local: "Missing directory path",
+        git: "Missing directory path",
+        remote: "Missing repository URL",
+        diff: "diff needs two sources to compare",
+      }[command]
+    );
+  }
+  if (sources.length > expectedSources) {
+    throw new UsageError(`Unexpected argument "${sources[expectedSources]}"`);
+  }
+
+  const formats = command === "diff" ? DIFF_FORMATS : FORMATS;
+  if (!formats.includes(values.format)) {
+    throw new UsageError(
+      `Unknown format "${values.format}", expected one of: ${formats.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (values.preset !== undefined && !PRESET_NAMES.includes(values.preset)) {
+    throw new UsageError(
+      `Unknown preset "${values.preset}", expected one of: ${PRESET_NAMES.join(
+        ", "
+      )}`
+    );
+  }
+
+  let maxDepth;
+  if (values.depth !== undefined) {
+    maxDepth = Number(values.depth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+      throw new UsageError("--depth must be a non-negative integer");
+    }
+  }
+
+  let maxEntries;
+  if (values["max-entries"] !== undefined) {
+    maxEntries = Number(values["max-entries"]);
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new UsageError("--max-entries must be a positive integer");
+    }
+  }
+
+  let staleMonths;
+  if (values["stale-months"] !== undefined) {
+    staleMonths = Number(values["stale-months"]);
+    if (!Number.isInteger(staleMonths) || staleMonths < 1) {
+      throw new UsageError("--stale-months must be a positive integer");
+    }
+  }
+
+  return {
+    values,
+    positionals,
+    command,
+    source: sources[0],
+    sources,
+    generatorOptions: {
+      ...(maxDepth !== undefined && { maxDepth }),
+      ...(maxEntries !== undefined && { maxEntries }),
+      ...(values.include && { includePatterns: values.include }),
+      ...(values.exclude && { excludePatterns: values.exclude }),
+      ...(values.ref && { ref: values.ref }),
+      ...(values.path && { path: values.path }),
+      ...(values.provider && { provider: values.provider }),
+      ...(values.token && { token: values.token }),
+      ...(values["no-cache"] && { cache: false }),
+      respectGitignore: !values["no-gitignore"],
+      followSymlinks: values["follow-symlinks"],
+      ...(values["no-codeowners"] && { codeOwners: false }),
+      ...(values.history && { history: true }),
+      ...(staleMonths !== undefined && { staleMonths }),
+      ...(values.analyze && { analyzeFiles: true }),
+      ...(values["no-analyze"] && { analyzeFiles: false }),
+    },
+  };
+}
+
+function writeFile(filePath, content) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, content);
+}
+
+async function generateLocal(source, options) {
+  const fullPath = path.resolve(source);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Directory "${fullPath}" does not exist`);
+  }
+
+  const name = path.basename(fullPath);
+  const generator = new FileSystemJsonTreeGenerator(options);
+
+  return {
+    generator,
+    tree: await generator.generateTreeData(fullPath),
+    title: name,
+    baseFilename: `local-${name}`,
+    source: { path: fullPath },
+    repoInfo: { repository: { name, owner: "local", branch: "local" } },
+  };
+}
+
+async function generateGit(source, options) {
+  const generator = new GitJsonTreeGenerator(options);
+  const result = await generator.generate(source);
+  const { name } = result.repository;
+
+  return {
+    generator,
+    tree: result.tree,
+    title: name,
+    baseFilename: `git-${name}`,
+    source: { repository: result.repository },
+    repoInfo: result,
+  };
+}
+
+async function generateRemote(source, options) {
+  const generator = createRemoteGenerator(source, options);
+  const result = await generator.generate(source);
+  const { owner, name } = result.repository;
+
+  return {
+    generator,
+    tree: result.tree,
+    title: `${owner}/${name}`,
+    baseFilename: `${owner.replace(/\//g, "-")}-${name}`,
+    source: { repository: result.repository, stats: result.stats },
+    repoInfo: result,
+  };
+}
+
+// JSON output uses the same envelope as BaseJsonTreeGenerator.saveTreeData
+function formatResult(result, format, renderOptions) {
+  if (format !== "json") {
+    return renderTree(result.tree, format, {
+      ...renderOptions,
+      title: result.title,
+    });
+  }
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      ...result.source,
+      summary: result.generator.generateSummary(result.tree),
+      tree: result.tree,
+    },
+    null,
+    2
+  );
+}
+
+async function runDiff(args, { stdout, stderr }) {
+  try {
+    const [before, after] = args.sources;
+    const result = await diffSources(before, after, args.generatorOptions);
+    const content = renderDiff(result.diff, args.values.format, {
+      ...result,
+      showUnchanged: args.values.all,
+    });
+
+    if (args.values.output) {
+      writeFile(args.values.output, content);
+      stderr.write(`Diff written to ${args.values.output}\n`);
+    } else {
+      stdout.write(content.endsWith("\n") ? content : `${content}\n`);
+    }
+    return EXIT_SUCCESS;
+  } catch (error) {
+    stderr.write(`tree-gen: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+async function run(
+  argv = process.argv.slice(2),
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  let args;
+  try {
+    args = parseCommandLine(argv);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`tree-gen: ${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    throw error;
+  }
+
+  if (args.values.help) {
+    stdout.write(USAGE);
+    return EXIT_SUCCESS;
+  }
+  if (args.values.version) {
+    stdout.write(`${packageInfo.version}\n`);
+    return EXIT_SUCCESS;
+  }
+
+  if (args.command === "diff") {
+    return runDiff(args, { stdout, stderr });
+  }
+
+  try {
+    const generate = {
+      local: generateLocal,
+      git: generateGit,
+      remote: generateRemote,
+    }[args.command];
+    const result = await generate(args.source, args.generatorOptions);
+    const content = formatResult(result, args.values.format, {
+      directoriesOnly: args.values["dirs-only"],
+    });
+
+    if (args.values.output) {
+      writeFile(args.values.output, content);
+      stderr.write(`Tree written to ${args.values.output}\n`);
+    } else {
+      stdout.write(content.endsWith("\n") ? content : `${content}\n`);
+    }
+
+    if (args.values.docs) {
+      const devDocs = await generateDevDocs(result.tree, result.repoInfo, {
+        readFile: result.generator.contentReader(result.repoInfo.repository),
+        ...(args.values.preset && {
+          categories: { preset: args.values.preset },
+        }),
+        staleMonths: args.generatorOptions.staleMonths,
+      });
+      const timestamp = new Date().toISOString().split("T")[0];
+      const basePath = path.join(
+        args.values["docs-dir"],
+        `${result.baseFilename}-${timestamp}`
+      );
+
+      writeFile(`${basePath}.md`, devDocs.markdown);
+      writeFile(
+        `${basePath}.json`,
+        JSON.stringify(devDocs.documentation, null, 2)
+      );
+      stderr.write(
+        `Documentation written to ${basePath}.md and ${basePath}.json\n`
+      );
+    }
+
+    return EXIT_SUCCESS;
+  } catch (error) {
+    stderr.write(`tree-gen: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  run().then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run,
+  parseCommandLine,
+  UsageError,
+};
@@ -1,4 +1,5 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const path = require("path");
 const cors = require("cors");
@@ -8,6 +9,7 @@ const fs = require("fs");
 const {
   BaseJsonTreeGenerator,
   FileSystemJsonTreeGenerator,
+  GitJsonTreeGenerator,
   GitHubJsonTreeGenerator,
 } = require("./JsonTreeGenerator");
 
@@ -16,360 +18,896 @@ const {
   TreeGenerator,
   GitHubTreeGenerator,
 } = require("./TreeGenerator");
+const { generateDevDocs } = require("./DevDocs");
+const { createRemoteGenerator } = require("./RemoteProviders");
+const { DIFF_FORMATS, diffSources, renderDiff } = require("./TreeDiff");
+const { JobManager } = require("./JobManager");
+const { TreeCache } = require("./TreeCache");
+const { Sandbox } = require("./Sandbox");
+const { ApiKeys } = require("./ApiKeys");
+const { RateLimiter } = require("./RateLimiter");
+const { apiError, toApiError, errorBody } = require("./ApiErrors");
+const { buildOpenApiDocument } = require("./OpenApi");
+const { validate } = require("./SchemaValidator");
+const {
+  hasRenderer,
+  listRenderers,
+  getRenderer,
+  renderTree,
+} = require("./renderers");
 
 const app = express();
 
-// Middleware
-app.use(express.json());
-app.use(cors());
-app.use(express.static(path.join(__dirname, "public")));
-
-// Ensure docs directory exists
-const docsDir = path.join(__dirname, "docs");
-if (!fs.existsSync(docsDir)) {
-  fs.mkdirSync(docsDir, { recursive: true });
-}
-
-// Helper function to generate documentation
-async function generateDevDocs(tree, repoInfo) {
-  const timestamp = new Date().toISOString();
-  const docTemplate = {
-    metadata: {
-      generatedAt: timestamp,
-      repository: repoInfo,
-      lastUpdated: repoInfo.repository?.updated_at || timestamp,
-    },
-    projectStructure: {
-      overview: {
-        sourceFiles: [],
-        testFiles: [],
-        configFiles: [],
-        components: [],
-        utilities: [],
-        services: [],
-        models: [],
-        routes: [],
-      },
-      dataFlow: {
-        entryPoints: [],
-        services: [],
-        dataModels: [],
-        utilities: [],
-      },
-    },
-  };
+// API keys (see ApiKeys.js) come from API_KEYS_FILE and API_KEYS. While
+// none are configured the API is open and clients are told apart, and
+// limited, by address.
+const apiKeys = ApiKeys.fromEnvironment();
+const rateLimiter = new RateLimiter();
+
+// REMOTE_HOSTS is a comma separated list of the self-hosted API hosts
+// remote sources may be read from, e.g. "github.example.com". Besides
+// them, only each provider's default API (or its *_API_URL) is contacted.
+const remoteHosts = (process.env.REMOTE_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// CORS_ORIGINS is a comma separated list of the origins browsers may call
+// the API from; unset, any origin may
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Identifies the client by the key in "X-API-Key" or "Authorization:
+// Bearer <key>" and counts the request against its rate limit. The admin
+// endpoints have their own token, and the OpenAPI document is public.
+function authenticate(req, res, next) {
+  if (req.path.startsWith("/admin/") || req.path === "/openapi.json") {
+    return next();
+  }
 
-  function processNode(node, parentPath = "") {
-    const currentPath = parentPath ? `${parentPath}/${node.name}` : node.name;
-
-    if (node.type === "file") {
-      const category = categorizeFile(currentPath, node.name);
-      if (category) {
-        docTemplate.projectStructure.overview[category].push({
-          name: node.name,
-          path: currentPath,
-          size: node.metadata?.size ? formatSize(node.metadata.size) : "N/A",
-          lastModified: node.metadata?.modified || "N/A",
-        });
-
-        if (node.name.includes("service") || node.name.includes("api")) {
-          docTemplate.projectStructure.dataFlow.services.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (
-          node.name.includes("model") ||
-          node.name.includes("schema")
-        ) {
-          docTemplate.projectStructure.dataFlow.dataModels.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (currentPath.includes("/utils/")) {
-          docTemplate.projectStructure.dataFlow.utilities.push({
-            name: node.name,
-            path: currentPath,
-          });
-        } else if (
-          currentPath.includes("index.") ||
-          currentPath.includes("main.") ||
-          currentPath.includes("app.")
-        ) {
-          docTemplate.projectStructure.dataFlow.entryPoints.push({
-            name: node.name,
-            path: currentPath,
-          });
-        }
-      }
+  let client = apiKeys.anonymous(req.ip);
+  if (apiKeys.enabled) {
+    client = apiKeys.authenticate(
+      req.get("X-API-Key") ||
+        (req.get("Authorization") || "").replace(/^Bearer\s+/i, "")
+    );
+    if (!client) {
+      res.set("WWW-Authenticate", "Bearer");
+      return next(apiError("UNAUTHORIZED", "A valid API key is required"));
     }
+  }
+  req.client = client;
 
-    if (node.children) {
-      node.children.forEach((child) => processNode(child, currentPath));
-    }
+  const rate = rateLimiter.take(client.id, client.rateLimit);
+  res.set({
+    "RateLimit-Limit": rate.limit,
+    "RateLimit-Remaining": rate.remaining,
+    "RateLimit-Reset": rate.reset,
+  });
+  if (!rate.allowed) {
+    const error = apiError(
+      "RATE_LIMITED",
+      `Rate limit of ${rate.limit} requests per minute exceeded`
+    );
+    error.retryAfter = rate.retryAfter;
+    return next(error);
+  }
+  next();
+}
+
+// Takes one of the client's generation slots and returns the function
+// that gives it back
+function acquireSlot(req) {
+  const release = rateLimiter.acquire(req.client.id, req.client.concurrency);
+  if (!release) {
+    throw apiError(
+      "CONCURRENCY_LIMITED",
+      `Too many generations in progress; the limit is ${req.client.concurrency}`
+    );
   }
+  return release;
+}
 
-  processNode(tree);
+// For the routes that generate trees: holds a slot until the response is
+// done
+function limitConcurrency(req, res, next) {
+  res.on("close", acquireSlot(req));
+  next();
+}
 
+// Token options for remote sources: the client's own token from the
+// X-Source-Token header, whether the server's token may be used when there
+// is none (the generators only ever send it to the provider's default API)
+// and the hosts the server may contact
+function sourceCredentials(req) {
+  const token = req.get("X-Source-Token");
   return {
-    markdown: generateMarkdown(docTemplate, repoInfo),
-    documentation: docTemplate,
+    ...(token && { token }),
+    serverToken: req.client.serverToken,
+    allowedHosts: remoteHosts,
   };
 }
 
-function generateMarkdown(docTemplate, repoInfo) {
-  return `# Project Structure Documentation
-Generated on: ${new Date().toLocaleString()}
-
-## Repository Information
-- Name: ${repoInfo.repository.name}
-- Owner: ${repoInfo.repository.owner}
-- Branch: ${repoInfo.repository.branch}
-
-## Project Overview
-
-### Entry Points
-${docTemplate.projectStructure.dataFlow.entryPoints
-  .map((entry) => `- \`${entry.path}\``)
-  .join("\n")}
-
-### Services
-${docTemplate.projectStructure.dataFlow.services
-  .map((service) => `- \`${service.path}\``)
-  .join("\n")}
-
-### Data Models
-${docTemplate.projectStructure.dataFlow.dataModels
-  .map((model) => `- \`${model.path}\``)
-  .join("\n")}
-
-### Components
-${docTemplate.projectStructure.overview.components
-  .map((comp) => `- \`${comp.path}\``)
-  .join("\n")}
-
-### Utilities
-${docTemplate.projectStructure.overview.utilities
-  .map((util) => `- \`${util.path}\``)
-  .join("\n")}
-
-## Data Flow Diagram
-\`\`\`mermaid
-flowchart TD
-  ${docTemplate.projectStructure.dataFlow.entryPoints
-    .map((entry) => `Entry[${entry.name}]`)
-    .join("\n  ")}
-  ${docTemplate.projectStructure.dataFlow.services
-    .map((service) => `Service[${service.name}]`)
-    .join("\n  ")}
-  ${docTemplate.projectStructure.dataFlow.dataModels
-    .map((model) => `Model[${model.name}]`)
-    .join("\n  ")}
-  
-  Entry --> Service
-  Service --> Model
-\`\`\`
-`;
-}
+// Middleware
+app.use(express.json());
+app.use(
+  cors({
+    origin: corsOrigins.length > 0 ? corsOrigins : "*",
+    exposedHeaders: [
+      "ETag",
+      "X-Cache",
+      "Location",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
+  })
+);
+app.use(express.static(path.join(__dirname, "public")));
+app.use("/api", authenticate);
 
-function categorizeFile(filePath, fileName) {
-  if (fileName.includes(".test.") || fileName.includes(".spec."))
-    return "testFiles";
-  if (fileName.match(/\.(js|ts|jsx|tsx)$/)) {
-    if (filePath.includes("/components/")) return "components";
-    if (filePath.includes("/services/")) return "services";
-    if (filePath.includes("/utils/")) return "utilities";
-    if (filePath.includes("/models/")) return "models";
-    if (filePath.includes("/routes/")) return "routes";
-    return "sourceFiles";
-  }
-  if (fileName.match(/\.(json|yaml|yml|env|config)$/)) return "configFiles";
-  return null;
+// Background tree generations; JOB_TTL_SECONDS is how long a finished job
+// stays readable and JOB_CONCURRENCY how many run at once
+const jobs = new JobManager({
+  ttl: Number(process.env.JOB_TTL_SECONDS || 3600) * 1000,
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+});
+
+// Generated results, keyed by what they were generated from.
+// RESULT_CACHE_TTL_SECONDS (default 600; 0 turns the cache off) and
+// RESULT_CACHE_MAX_MB (default 100) bound it; RESULT_CACHE_DIR also keeps
+// entries on disk across restarts.
+const resultCache = new TreeCache({
+  ttl: Number(process.env.RESULT_CACHE_TTL_SECONDS ?? 600) * 1000,
+  maxSize: Number(process.env.RESULT_CACHE_MAX_MB ?? 100) * 1024 * 1024,
+  directory: process.env.RESULT_CACHE_DIR,
+});
+
+// What the service may touch on disk. ALLOWED_ROOTS lists the directories
+// the filesystem, git and diff routes may read (separated like PATH;
+// default: the working directory). Generated and saved files go to
+// ARTIFACTS_DIR (default docs/), and every read, write and download is
+// logged to AUDIT_LOG (default logs/audit.log; empty turns it off).
+const sandbox = new Sandbox({
+  roots: (process.env.ALLOWED_ROOTS || process.cwd())
+    .split(path.delimiter)
+    .filter(Boolean),
+  artifactsDir: process.env.ARTIFACTS_DIR || path.join(__dirname, "docs"),
+  auditLog: process.env.AUDIT_LOG ?? path.join(__dirname, "logs", "audit.log"),
+});
+
+// Who asked for a filesystem access, for the audit log
+function accessContext(req) {
+  return { route: `${req.method} ${req.path}`, client: req.ip };
 }
 
-function formatSize(bytes) {
-  const sizes = ["Bytes", "KB", "MB", "GB"];
-  if (bytes === 0) return "0 Bytes";
-  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
-  return Math.round(bytes / Math.pow(1024, i), 2) + " " + sizes[i];
+// Treemap reports are kept with the documentation, so they can be fetched
+// from /api/download; resolves with the file name
+async function saveTreemap(baseFilename, html, context) {
+  const filename = `${baseFilename}-treemap.html`;
+  await sandbox.writeArtifact(filename, html, context);
+  return filename;
 }
 
-// Download endpoint
-app.get("/api/download/:filename", (req, res) => {
+// Download endpoint; only serves files from the artifacts directory
+app.get("/api/download/:filename", async (req, res, next) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, "docs", filename);
+    const filePath = await sandbox.resolveArtifact(
+      req.params.filename,
+      "download",
+      accessContext(req)
+    );
+    const filename = path.basename(filePath);
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        error: "File not found",
-        status: "error",
-      });
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return next(apiError("FILE_NOT_FOUND", "File not found"));
     }
 
+    const renderer = listRenderers()
+      .map(getRenderer)
+      .find((candidate) => filename.endsWith(`.${candidate.extension}`));
     res.setHeader(
       "Content-Type",
-      filename.endsWith(".json") ? "application/json" : "text/markdown"
+      renderer ? renderer.contentType : "text/markdown"
     );
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
 
     const fileStream = fs.createReadStream(filePath);
     fileStream.pipe(res);
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      status: "error",
-    });
+    next(error);
   }
 });
 
 // API Routes
-app.post("/api/github/tree", async (req, res) => {
-  try {
-    const { repoUrl, format = "json", options = {} } = req.body;
+// The tree routes and /api/jobs share these. Each request type has a
+// schema, the name of its body's schema in the OpenAPI document, and a
+// build function, which resolves with the response's data and files.
+// run.signal cancels a build, run.onProgress(update) reports how far it
+// got, run.context describes the client for the audit log and
+// run.credentials holds the token options for remote sources.
+
+// Resolves with build()'s { data, files }, or with what the cache holds for
+// the same source and request, plus `cache`: { hit, etag, expiresAt }, or
+// null when the result was not stored. run.refresh skips the lookup.
+// Tokens are left out of the key: they only decide whether the source can
+// be read, which resolving it has already checked.
+async function withResultCache(source, body, run, build) {
+  const { type, token, ...request } = body;
+  const { token: optionsToken, ...options } = request.options || {};
+  const key = TreeCache.keyFor(source, { ...request, options });
+
+  const cached = run.refresh ? null : resultCache.get(key);
+  if (cached) {
+    return { ...cached.value, cache: cacheInfo(cached, true) };
+  }
+  const result = await build();
+  const entry = resultCache.set(key, source, result);
+  return { ...result, cache: entry && cacheInfo(entry, false) };
+}
 
-    if (!repoUrl) {
-      return res.status(400).json({
-        error: "Repository URL is required",
-        status: "error",
-      });
-    }
+function cacheInfo(entry, hit) {
+  return {
+    hit,
+    etag: entry.etag,
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+  };
+}
 
-    let result;
-    let files = {};
+// "Cache-Control: no-cache" on a request asks for a fresh result
+function wantsRefresh(req) {
+  return /\bno-cache\b/.test(req.get("Cache-Control") || "");
+}
 
-    if (format === "json") {
-      const generator = new GitHubJsonTreeGenerator(options);
-      result = await generator.generate(repoUrl);
-
-      if (options.generateDocs) {
-        const devDocs = await generateDevDocs(result.tree, result);
-        result.documentation = devDocs;
-
-        // Save files and store filenames
-        const timestamp = new Date().toISOString().split("T")[0];
-        const baseFilename = `${result.repository.owner}-${result.repository.name}-${timestamp}`;
-
-        // Save MD file
-        const mdPath = path.join(__dirname, "docs", `${baseFilename}.md`);
-        fs.writeFileSync(mdPath, devDocs.markdown);
-        files.markdown = `${baseFilename}.md`;
-
-        // Save JSON file
-        const jsonPath = path.join(__dirname, "docs", `${baseFilename}.json`);
-        fs.writeFileSync(
-          jsonPath,
-          JSON.stringify(devDocs.documentation, null, 2)
-        );
-        files.json = `${baseFilename}.json`;
-      }
-    } else {
-      result = await GitHubTreeGenerator.generate(repoUrl, options);
-    }
+// Sends a tree result with ETag and Cache-Control from the cache entry,
+// or a 304 when If-None-Match already names that ETag
+function sendTreeResult(req, res, { data, files, cache }) {
+  if (!cache) {
+    res.set("Cache-Control", "no-store");
+    return res.json({ data, files, status: "success" });
+  }
 
-    res.json({
-      data: result,
-      files,
-      status: "success",
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      status: "error",
-    });
+  const maxAge = Math.max(
+    0,
+    Math.floor((Date.parse(cache.expiresAt) - Date.now()) / 1000)
+  );
+  res.set({
+    ETag: cache.etag,
+    "Cache-Control": `private, max-age=${maxAge}`,
+    "X-Cache": cache.hit ? "HIT" : "MISS",
+  });
+  const ifNoneMatch = (req.get("If-None-Match") || "")
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""));
+  if (ifNoneMatch.includes(cache.etag)) {
+    return res.status(304).end();
   }
-});
+  res.json({ data, files, status: "success" });
+}
 
-app.post("/api/filesystem/tree", async (req, res) => {
-  try {
-    const { path: fsPath, format = "json", options = {} } = req.body;
+// Stops the work when the client goes away before the response is sent
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// forcedProvider is set by the original /api/github/tree route, which
+// always uses the GitHub provider
+async function buildRemoteTree(body, run = {}, forcedProvider) {
+  const { repoUrl, format = "json", options = {} } = body;
+  const provider = forcedProvider || body.provider || options.provider;
+  const report = run.onProgress || (() => {});
+  const context = run.context || {};
+  let files = {};
+
+  const generator = createRemoteGenerator(repoUrl, {
+    ...options,
+    ...run.credentials,
+    ...(provider && { provider }),
+    signal: run.signal,
+    onProgress: run.onProgress,
+  });
+  // Resolving the commit also checks that the caller can read the
+  // repository before anything is served from the cache
+  report({ phase: "resolve" });
+  const resolved = await generator.resolveRepository(repoUrl);
+  const source = {
+    type: "remote",
+    provider: generator.constructor.providerName,
+    apiUrl: generator.baseUrl,
+    owner: resolved.owner,
+    repo: resolved.repo,
+    commit: resolved.commit.sha,
+    path: resolved.path,
+  };
+
+  return withResultCache(source, body, run, async () => {
+    report({ phase: "tree" });
+    const result = await generator.generate(repoUrl, resolved);
+
+    const timestamp = new Date().toISOString().split("T")[0];
+    const baseFilename = `${result.repository.owner.replace(/\//g, "-")}-${
+      result.repository.name
+    }-${timestamp}`;
 
-    if (!fsPath) {
-      return res.status(400).json({
-        error: "File system path is required",
-        status: "error",
+    let documentation;
+
+    if (options.generateDocs) {
+      report({ phase: "docs" });
+      const devDocs = await generateDevDocs(result.tree, result, {
+        readFile: generator.contentReader(result.repository),
+        categories: options.categories,
+        staleMonths: options.staleMonths,
+        hotspotCount: options.hotspotCount,
       });
+      documentation = devDocs;
+
+      // Save MD file
+      await sandbox.writeArtifact(
+        `${baseFilename}.md`,
+        devDocs.markdown,
+        context
+      );
+      files.markdown = `${baseFilename}.md`;
+
+      // Save JSON file
+      await sandbox.writeArtifact(
+        `${baseFilename}.json`,
+        JSON.stringify(devDocs.documentation, null, 2),
+        context
+      );
+      files.json = `${baseFilename}.json`;
     }
 
-    let result;
-    let files = {};
+    report({ phase: "render" });
+    const rendered =
+      format === "json"
+        ? null
+        : renderTree(result.tree, format, {
+            ...options.render,
+            title: `${result.repository.owner}/${result.repository.name}`,
+          });
+    if (format === "treemap") {
+      files.treemap = await saveTreemap(baseFilename, rendered, context);
+    }
 
-    if (format === "json") {
-      const generator = new FileSystemJsonTreeGenerator(options);
-      result = await generator.generateTreeData(fsPath);
+    return {
+      data:
+        format === "json"
+          ? { ...result, ...(documentation && { documentation }) }
+          : {
+              ...result,
+              format,
+              tree: rendered,
+              ...(documentation && { documentation }),
+            },
+      files,
+    };
+  });
+}
+
+async function buildFilesystemTree(body, run = {}) {
+  const { format = "json", options = {} } = body;
+  const report = run.onProgress || (() => {});
+  const context = run.context || {};
+  let files = {};
+
+  const fsPath = await sandbox.resolveRead(body.path, context);
+  const generator = new FileSystemJsonTreeGenerator({
+    ...options,
+    allowedRoots: sandbox.roots,
+    signal: run.signal,
+    onProgress: run.onProgress,
+  });
+  report({ phase: "fingerprint" });
+  const source = {
+    type: "filesystem",
+    path: path.resolve(fsPath),
+    fingerprint: await generator.fingerprint(fsPath),
+  };
+
+  return withResultCache(source, body, run, async () => {
+    report({ phase: "tree" });
+    const tree = await generator.generateTreeData(fsPath);
 
-      if (options.generateDocs) {
-        const devDocs = await generateDevDocs(result, {
+    const timestamp = new Date().toISOString().split("T")[0];
+    const baseFilename = `local-${path.basename(fsPath)}-${timestamp}`;
+
+    let documentation;
+
+    if (options.generateDocs) {
+      report({ phase: "docs" });
+      documentation = await generateDevDocs(
+        tree,
+        {
           repository: {
             name: path.basename(fsPath),
             owner: "local",
             branch: "local",
           },
-        });
-        result.documentation = devDocs;
-
-        // Save files for filesystem trees as well
-        const timestamp = new Date().toISOString().split("T")[0];
-        const baseFilename = `local-${path.basename(fsPath)}-${timestamp}`;
-
-        // Save MD file
-        const mdPath = path.join(__dirname, "docs", `${baseFilename}.md`);
-        fs.writeFileSync(mdPath, devDocs.markdown);
-        files.markdown = `${baseFilename}.md`;
-
-        // Save JSON file
-        const jsonPath = path.join(__dirname, "docs", `${baseFilename}.json`);
-        fs.writeFileSync(
-          jsonPath,
-          JSON.stringify(devDocs.documentation, null, 2)
-        );
-        files.json = `${baseFilename}.json`;
-      }
-    } else {
-      result = await TreeGenerator.generate(fsPath, options);
+        },
+        {
+          readFile: generator.contentReader(),
+          categories: options.categories,
+          staleMonths: options.staleMonths,
+          hotspotCount: options.hotspotCount,
+        }
+      );
+
+      // Save MD file
+      await sandbox.writeArtifact(
+        `${baseFilename}.md`,
+        documentation.markdown,
+        context
+      );
+      files.markdown = `${baseFilename}.md`;
+
+      // Save JSON file
+      await sandbox.writeArtifact(
+        `${baseFilename}.json`,
+        JSON.stringify(documentation.documentation, null, 2),
+        context
+      );
+      files.json = `${baseFilename}.json`;
     }
 
-    res.json({
-      data: result,
+    report({ phase: "render" });
+    const rendered =
+      format === "json"
+        ? null
+        : renderTree(tree, format, {
+            ...options.render,
+            title: path.basename(fsPath),
+          });
+    if (format === "treemap") {
+      files.treemap = await saveTreemap(baseFilename, rendered, context);
+    }
+
+    return {
+      data:
+        format === "json"
+          ? { ...tree, ...(documentation && { documentation }) }
+          : {
+              path: path.resolve(fsPath),
+              format,
+              tree: rendered,
+              ...(documentation && { documentation }),
+            },
       files,
-      status: "success",
-    });
+    };
+  });
+}
+
+async function buildGitTree(body, run = {}) {
+  const { ref, format = "json", options = {} } = body;
+  const report = run.onProgress || (() => {});
+  const context = run.context || {};
+  let files = {};
+
+  const generator = new GitJsonTreeGenerator({
+    ...options,
+    ...(ref && { ref }),
+    signal: run.signal,
+    onProgress: run.onProgress,
+  });
+  report({ phase: "resolve" });
+  const repoPath = await sandbox.resolveRead(body.path, context);
+  const gitRef = generator.options.ref || "HEAD";
+  const commit = await generator.resolveCommit(repoPath, gitRef);
+  const source = {
+    type: "git",
+    repository: path.resolve(repoPath),
+    commit,
+    path: (options.path || "").replace(/^\/+|\/+$/g, ""),
+  };
+
+  return withResultCache(source, body, run, async () => {
+    report({ phase: "tree" });
+    const result = await generator.generate(repoPath, gitRef, commit);
+
+    const timestamp = new Date().toISOString().split("T")[0];
+    const baseFilename = `git-${result.repository.name}-${timestamp}`;
+
+    let documentation;
+
+    if (options.generateDocs) {
+      report({ phase: "docs" });
+      documentation = await generateDevDocs(result.tree, result, {
+        readFile: generator.contentReader(result.repository),
+        categories: options.categories,
+        staleMonths: options.staleMonths,
+        hotspotCount: options.hotspotCount,
+      });
+
+      // Save MD file
+      await sandbox.writeArtifact(
+        `${baseFilename}.md`,
+        documentation.markdown,
+        context
+      );
+      files.markdown = `${baseFilename}.md`;
+
+      // Save JSON file
+      await sandbox.writeArtifact(
+        `${baseFilename}.json`,
+        JSON.stringify(documentation.documentation, null, 2),
+        context
+      );
+      files.json = `${baseFilename}.json`;
+    }
+
+    report({ phase: "render" });
+    const rendered =
+      format === "json"
+        ? null
+        : renderTree(result.tree, format, {
+            ...options.render,
+            title: result.repository.name,
+          });
+    if (format === "treemap") {
+      files.treemap = await saveTreemap(baseFilename, rendered, context);
+    }
+
+    return {
+      data:
+        format === "json"
+          ? { ...result, ...(documentation && { documentation }) }
+          : {
+              ...result,
+              format,
+              tree: rendered,
+              ...(documentation && { documentation }),
+            },
+      files,
+    };
+  });
+}
+
+const TREE_REQUESTS = {
+  remote: { schema: "RemoteTreeRequest", build: buildRemoteTree },
+  github: {
+    schema: "RemoteTreeRequest",
+    build: (body, run) => buildRemoteTree(body, run, "github"),
+  },
+  filesystem: { schema: "FilesystemTreeRequest", build: buildFilesystemTree },
+  git: { schema: "GitTreeRequest", build: buildGitTree },
+};
+
+const openApiDocument = buildOpenApiDocument({
+  formats: listRenderers(),
+  diffFormats: DIFF_FORMATS,
+  jobSchemas: Object.fromEntries(
+    Object.entries(TREE_REQUESTS).map(([type, { schema }]) => [type, schema])
+  ),
+});
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Rejects a body that does not match the named schema of the OpenAPI
+// document with a VALIDATION_ERROR listing every problem
+function validateBody(schemaName) {
+  const schema = { $ref: `#/components/schemas/${schemaName}` };
+  return (req, res, next) => {
+    const problems = validate(schema, req.body, openApiDocument);
+    if (problems.length === 0) {
+      return next();
+    }
+    const [first] = problems;
+    next(
+      apiError(
+        "VALIDATION_ERROR",
+        `Invalid request body: ${first.path} ${first.message}${
+          problems.length > 1 ? ` (and ${problems.length - 1} more)` : ""
+        }`,
+        problems
+      )
+    );
+  };
+}
+
+// Shared by /api/remote/tree and the original /api/github/tree route
+async function handleRemoteTree(req, res, next, forcedProvider) {
+  try {
+    const result = await buildRemoteTree(
+      req.body,
+      {
+        signal: abortOnClose(res),
+        refresh: wantsRefresh(req),
+        context: accessContext(req),
+        credentials: sourceCredentials(req),
+      },
+      forcedProvider
+    );
+    sendTreeResult(req, res, result);
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      status: "error",
-    });
+    next(error);
   }
+}
+
+app.post(
+  "/api/remote/tree",
+  validateBody("RemoteTreeRequest"),
+  limitConcurrency,
+  (req, res, next) => handleRemoteTree(req, res, next)
+);
+
+app.post(
+  "/api/github/tree",
+  validateBody("RemoteTreeRequest"),
+  limitConcurrency,
+  (req, res, next) => handleRemoteTree(req, res, next, "github")
+);
+
+app.post(
+  "/api/filesystem/tree",
+  validateBody("FilesystemTreeRequest"),
+  limitConcurrency,
+  async (req, res, next) => {
+    try {
+      const result = await buildFilesystemTree(req.body, {
+        signal: abortOnClose(res),
+        refresh: wantsRefresh(req),
+        context: accessContext(req),
+      });
+      sendTreeResult(req, res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Tree of a local git repository at a ref, read from its object database
+// so only committed files show up
+app.post(
+  "/api/git/tree",
+  validateBody("GitTreeRequest"),
+  limitConcurrency,
+  async (req, res, next) => {
+    try {
+      const result = await buildGitTree(req.body, {
+        signal: abortOnClose(res),
+        refresh: wantsRefresh(req),
+        context: accessContext(req),
+      });
+      sendTreeResult(req, res, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Jobs run the same requests in the background, for trees that take
+// longer than a client or proxy waits for a response. The body is that of
+// the matching tree route plus its `type`: remote, github, filesystem or
+// git. A job holds one of the client's generation slots until it ends.
+app.post("/api/jobs", validateBody("JobRequest"), (req, res) => {
+  const { type } = req.body;
+  const treeRequest = TREE_REQUESTS[type];
+  const release = acquireSlot(req);
+
+  const refresh = wantsRefresh(req);
+  const context = accessContext(req);
+  const credentials = sourceCredentials(req);
+  const job = jobs.create(
+    type,
+    (run) =>
+      treeRequest
+        .build(req.body, {
+          ...run,
+          refresh,
+          context: { ...context, job: run.id },
+          credentials,
+        })
+        // The cache bookkeeping is for the tree routes' headers only
+        .then(
+          ({ data, files }) => ({ data, files }),
+          (error) => {
+            throw toApiError(error);
+          }
+        ),
+    req.client.id
+  );
+  jobs.subscribe(job, () => {}, release);
+  res
+    .status(202)
+    .location(`/api/jobs/${job.id}`)
+    .json({ data: JobManager.toJSON(job), status: "success" });
 });
 
-app.post("/api/save", async (req, res) => {
-  try {
-    const { treeData, outputPath, format = "json" } = req.body;
+function findJob(req) {
+  // Other clients' jobs are not found, so their ids reveal nothing
+  const job = jobs.get(req.params.id, req.client.id);
+  if (!job) {
+    throw apiError("JOB_NOT_FOUND", "Job not found or expired");
+  }
+  return job;
+}
+
+// Status and progress; once the job has succeeded, also the data and files
+// the tree route would have responded with
+app.get("/api/jobs/:id", (req, res) => {
+  const job = findJob(req);
+  res.json({
+    data: JobManager.toJSON(job, { includeResult: true }),
+    status: "success",
+  });
+});
+
+// Server-Sent Events: "progress" while the job runs and a final "done"
+// with its status, after which the stream ends. Comment lines every 15
+// seconds keep proxies from closing a quiet stream.
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = findJob(req);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // nginx would otherwise buffer the stream
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const done = (finished) => {
+    send("done", JobManager.toJSON(finished));
+    res.end();
+  };
 
-    if (!treeData || !outputPath) {
-      return res.status(400).json({
-        error: "Tree data and output path are required",
-        status: "error",
+  if (["succeeded", "failed", "cancelled"].includes(job.status)) {
+    return done(job);
+  }
+  send("progress", job.progress);
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const unsubscribe = jobs.subscribe(
+    job,
+    (progress) => send("progress", progress),
+    done
+  );
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Cancels a job that is still queued or running, which then stays
+// readable as "cancelled" until it expires; a job that has ended is
+// deleted
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = findJob(req);
+
+  if (!jobs.cancel(job)) {
+    jobs.remove(job);
+  }
+  res.json({ data: JobManager.toJSON(job), status: "success" });
+});
+
+// Admin endpoints need "Authorization: Bearer <ADMIN_TOKEN>" and are
+// turned off while ADMIN_TOKEN is unset
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return next(
+      apiError(
+        "ADMIN_DISABLED",
+        "Admin endpoints are disabled; set ADMIN_TOKEN to enable them"
+      )
+    );
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const given = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!crypto.timingSafeEqual(digest(given), digest(adminToken))) {
+    return next(apiError("UNAUTHORIZED", "Invalid admin token"));
+  }
+  next();
+}
+
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  res.json({ data: resultCache.summary(), status: "success" });
+});
+
+// Purges the entries whose source matches every query parameter (type,
+// provider, owner, repo, commit, path, repository), or all of them
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  const fields = [
+    "type",
+    "provider",
+    "owner",
+    "repo",
+    "commit",
+    "path",
+    "repository",
+  ];
+  const match = Object.fromEntries(
+    fields
+      .filter((field) => typeof req.query[field] === "string")
+      .map((field) => [field, req.query[field]])
+  );
+  res.json({
+    data: { removed: resultCache.purge(match) },
+    status: "success",
+  });
+});
+
+// Compares two trees. before and after are source descriptions as
+// documented in TreeSources.js: saved files, directories, git refs,
+// repository URLs or inline trees. Local paths must be inside the allowed
+// roots.
+app.post(
+  "/api/diff",
+  validateBody("DiffRequest"),
+  limitConcurrency,
+  async (req, res, next) => {
+    try {
+      const { before, after, format = "json", options = {} } = req.body;
+      const context = accessContext(req);
+      const result = await diffSources(before, after, {
+        ...options,
+        ...sourceCredentials(req),
+        allowedRoots: sandbox.roots,
+        resolvePath: (localPath) => sandbox.resolveRead(localPath, context),
+      });
+
+      res.json({
+        data:
+          format === "json"
+            ? result.diff
+            : {
+                before: result.diff.before,
+                after: result.diff.after,
+                summary: result.diff.summary,
+                format,
+                diff: renderDiff(result.diff, format, {
+                  ...result,
+                  showUnchanged: options.showUnchanged,
+                }),
+              },
+        status: "success",
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
+// Writes a tree to outputPath, a path inside the artifacts directory
+app.post("/api/save", validateBody("SaveRequest"), async (req, res, next) => {
+  try {
+    const { treeData, outputPath, format = "json", render } = req.body;
+
+    const filePath = await sandbox.resolveArtifact(
+      outputPath,
+      "write",
+      accessContext(req)
+    );
     if (format === "json") {
       const generator = new GitHubJsonTreeGenerator();
-      await generator.saveTreeData(treeData, outputPath);
+      await generator.saveTreeData(treeData, filePath);
+    } else if (typeof treeData === "object" && hasRenderer(format)) {
+      const generator = new GitHubTreeGenerator();
+      generator.writeTreeToFile(renderTree(treeData, format, render), filePath);
     } else {
       const generator = new GitHubTreeGenerator();
-      generator.writeTreeToFile(treeData, outputPath);
+      generator.writeTreeToFile(treeData, filePath);
     }
 
     res.json({
       message: "Tree data saved successfully",
-      path: outputPath,
+      path: path.relative(sandbox.artifactsDir, filePath),
       status: "success",
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      status: "error",
-    });
+    next(error);
   }
 });
 
@@ -378,13 +916,24 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-// Error handler middleware
+app.use("/api", (req, res, next) => {
+  next(apiError("NOT_FOUND", `No route for ${req.method} ${req.originalUrl}`));
+});
+
+// Error handler middleware: answers with the error's status and code (see
+// ApiErrors.js); only unexpected errors are logged
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: err.message,
-    status: "error",
-  });
+  const error = toApiError(err);
+  if (error.statusCode >= 500) {
+    console.error(err.stack);
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (error.retryAfter) {
+    res.set("Retry-After", error.retryAfter);
+  }
+  res.status(error.statusCode).json(errorBody(error));
 });
 
 // Start server
@@ -0,0 +1,53 @@
+const { linkSuffix, ownersSuffix } = require("./labels");
+
+const DEFAULT_MARKERS = {
+  pipe: "│   ",
+  corner: "└── ",
+  branch: "├── ",
+  space: "    ",
+};
+
+// Classic `tree` output. The root node itself is not printed, only its
+// descendants. CODEOWNERS owners follow an entry when they differ from its
+// parent directory's; top-level entries always show theirs.
+function render(tree, options = {}) {
+  const markers = { ...DEFAULT_MARKERS, ...options.markers };
+  const formatLabel =
+    options.formatLabel ||
+    ((node, parent) =>
+      `${node.name}${linkSuffix(node)}${ownersSuffix(node, parent)}`);
+
+  const renderChildren = (node, prefix) => {
+    const children = node.children || [];
+    let result = "";
+
+    children.forEach((child, index) => {
+      const isLast = index === children.length - 1;
+      const connector = isLast ? markers.corner : markers.branch;
+
+      result += `${prefix}${connector}${formatLabel(
+        child,
+        node === tree ? null : node
+      )}\n`;
+
+      if (child.type === "directory") {
+        result += renderChildren(
+          child,
+          prefix + (isLast ? markers.space : markers.pipe)
+        );
+      }
+    });
+
+    return result;
+  };
+
+  return renderChildren(tree, options.prefix || "");
+}
+
+module.exports = {
+  name: "ascii",
+  extension: "txt",
+  contentType: "text/plain",
+  DEFAULT_MARKERS,
+  render,
+};
@@ -0,0 +1,193 @@
+const path = require("path");
+
+const { detectLanguage } = require("../FileAnalysis");
+const { linkSuffix } = require("./labels");
+
+// Shared by the diagram renderers (mermaid, mindmap, dot, plantuml): node
+// numbering, depth and directory-only limits, file categories and the
+// escaping each diagram language needs.
+
+const CATEGORY_STYLES = {
+  directory: { fill: "#e8f0fe", stroke: "#4a6fa5" },
+  source: { fill: "#e6f4ea", stroke: "#34a853" },
+  test: { fill: "#fef7e0", stroke: "#f9ab00" },
+  config: { fill: "#f1f3f4", stroke: "#80868b" },
+  docs: { fill: "#f3e8fd", stroke: "#a142f4" },
+  asset: { fill: "#fce8e6", stroke: "#d93025" },
+  other: { fill: "#ffffff", stroke: "#9aa0a6" },
+};
+
+const DOC_EXTENSIONS = [".md", ".mdx", ".markdown", ".rst", ".adoc", ".txt"];
+const CONFIG_EXTENSIONS = [
+  ".json",
+  ".yml",
+  ".yaml",
+  ".toml",
+  ".ini",
+  ".cfg",
+  ".conf",
+  ".env",
+  ".lock",
+  ".xml",
+];
+const ASSET_EXTENSIONS = [
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".svg",
+  ".ico",
+  ".webp",
+  ".bmp",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+  ".eot",
+  ".mp3",
+  ".mp4",
+  ".wav",
+  ".webm",
+  ".pdf",
+];
+
+// nodePath is the path from the root, which places files under test or
+// docs directories
+function fileCategory(node, nodePath = node.name) {
+  if (node.type === "directory") {
+    return "directory";
+  }
+
+  const name = node.name;
+  const extension = path.extname(name).toLowerCase();
+  const directories = nodePath.split("/").slice(0, -1);
+
+  if (
+    /\.(test|spec)\.[^.]+$/.test(name) ||
+    /_test\.go$/.test(name) ||
+    /^test_.*\.py$/.test(name) ||
+    directories.some((dir) => /^(tests?|__tests__|spec)$/.test(dir))
+  ) {
+    return "test";
+  }
+  if (
+    DOC_EXTENSIONS.includes(extension) ||
+    /^(README|LICENSE|CHANGELOG|CONTRIBUTING|AUTHORS)/i.test(name) ||
+    directories.includes("docs")
+  ) {
+    return "docs";
+  }
+  if (
+    CONFIG_EXTENSIONS.includes(extension) ||
+    (name.startsWith(".") && !detectLanguage(name)) ||
+    /\.config\.[^.]+$/.test(name) ||
+    /^(Dockerfile|Containerfile|Makefile|Procfile)/.test(name)
+  ) {
+    return "config";
+  }
+  if (ASSET_EXTENSIONS.includes(extension)) {
+    return "asset";
+  }
+  if ((node.metadata && node.metadata.language) || detectLanguage(name)) {
+    return "source";
+  }
+  return "other";
+}
+
+function nodeLabel(node) {
+  return `${
+    node.type === "directory" ? `${node.name}/` : node.name
+  }${linkSuffix(node)}`;
+}
+
+// Flattens the tree in document order into
+// [{ id, node, path, depth, parentId, category, label }]. The root has
+// depth 0 and is labeled with options.title when given. maxDepth limits
+// how far below the root nodes are listed; directoriesOnly leaves files out.
+function diagramNodes(tree, options = {}) {
+  const maxDepth = options.maxDepth ?? Infinity;
+  const nodes = [];
+
+  const visit = (node, nodePath, depth, parentId) => {
+    const id = `n${nodes.length}`;
+    nodes.push({
+      id,
+      node,
+      path: nodePath,
+      depth,
+      parentId,
+      category: fileCategory(node, nodePath),
+      label: depth === 0 && options.title ? options.title : nodeLabel(node),
+    });
+
+    if (node.type !== "directory" || depth >= maxDepth) {
+      return;
+    }
+    (node.children || [])
+      .filter((child) => !options.directoriesOnly || child.type === "directory")
+      .forEach((child) =>
+        visit(
+          child,
+          nodePath ? `${nodePath}/${child.name}` : child.name,
+          depth + 1,
+          id
+        )
+      );
+  };
+
+  visit(tree, "", 0, null);
+  return nodes;
+}
+
+// Styles for the categories present, with options.categoryStyles merged in
+function usedStyles(nodes, options = {}) {
+  const styles = { ...CATEGORY_STYLES, ...options.categoryStyles };
+  const used = [...new Set(nodes.map(({ category }) => category))];
+  return used.map((category) => ({
+    category,
+    ...(styles[category] || styles.other),
+  }));
+}
+
+// Text inside a quoted Mermaid label. Mermaid decodes "#name;" entities in
+// labels, so "#" itself is encoded first; quotes, angle brackets and
+// backticks would otherwise end the label or turn it into HTML/Markdown.
+function mermaidText(value) {
+  return String(value)
+    .replace(/#/g, "#35;")
+    .replace(/"/g, "#quot;")
+    .replace(/</g, "#lt;")
+    .replace(/>/g, "#gt;")
+    .replace(/`/g, "#96;")
+    .replace(/[\r\n]+/g, " ");
+}
+
+// A Graphviz double-quoted string
+function dotString(value) {
+  return `"${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/[\r\n]+/g, " ")}"`;
+}
+
+// PlantUML reads Creole markup (**bold**, //italic//, __underline__,
+// <tags>) in WBS labels; "~" escapes the character after it
+function plantumlText(value) {
+  return String(value)
+    .replace(/~/g, "~~")
+    .replace(/([*/_"\-=^])(?=\1)/g, "~$1")
+    .replace(/</g, "~<")
+    .replace(/\[/g, "~[")
+    .replace(/[\r\n]+/g, " ");
+}
+
+module.exports = {
+  CATEGORY_STYLES,
+  fileCategory,
+  nodeLabel,
+  diagramNodes,
+  usedStyles,
+  mermaidText,
+  dotString,
+  plantumlText,
+};
@@ -0,0 +1,39 @@
+const { diagramNodes, dotString, usedStyles } = require("./diagram");
+
+// Graphviz digraph of the tree: directories are folder shapes, files are
+// boxes, both filled by category. options.direction sets rankdir.
+function render(tree, options = {}) {
+  const nodes = diagramNodes(tree, options);
+  const styles = new Map(
+    usedStyles(nodes, options).map((style) => [style.category, style])
+  );
+
+  const lines = [
+    `digraph ${dotString(options.title || tree.name)} {`,
+    `  rankdir=${options.direction || "LR"};`,
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '  edge [arrowhead=none, color="#9aa0a6"];',
+  ];
+
+  nodes.forEach(({ id, node, category, label }) => {
+    const { fill, stroke } = styles.get(category);
+    lines.push(
+      `  ${id} [label=${dotString(label)}${
+        node.type === "directory" ? ', shape=folder, style="filled"' : ""
+      }, fillcolor="${fill}", color="${stroke}"];`
+    );
+  });
+  nodes
+    .filter(({ parentId }) => parentId)
+    .forEach(({ id, parentId }) => lines.push(`  ${parentId} -> ${id};`));
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  name: "dot",
+  extension: "dot",
+  contentType: "text/vnd.graphviz",
+  render,
+};
@@ -0,0 +1,85 @@
+const { formatSize, linkSuffix } = require("./labels");
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderNode(node) {
+  if (node.type !== "directory") {
+    const size = node.metadata?.size;
+    return `<li class="${node.type}">${escapeHtml(
+      node.name + linkSuffix(node)
+    )}${
+      size !== undefined
+        ? ` <span class="size">${escapeHtml(formatSize(size))}</span>`
+        : ""
+    }</li>`;
+  }
+
+  return `<li class="directory"><details open><summary>${escapeHtml(
+    `${node.name}/${linkSuffix(node)}`
+  )}</summary><ul>${(node.children || [])
+    .map(renderNode)
+    .join("")}</ul></details></li>`;
+}
+
+// Standalone page with inline styles and collapsible directories; it does
+// not load anything from the network.
+function render(tree, options = {}) {
+  const title = escapeHtml(options.title || tree.name);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <style>
+      body {
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto,
+          sans-serif;
+        margin: 2rem;
+        color: #2c3e50;
+      }
+      ul {
+        list-style: none;
+        margin: 0;
+        padding-left: 1.25rem;
+        border-left: 1px dotted #ccc;
+      }
+      summary {
+        cursor: pointer;
+        font-weight: 600;
+      }
+      .file,
+      .symlink {
+        font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      }
+      .symlink {
+        font-style: italic;
+      }
+      .size {
+        color: #6c757d;
+        font-size: 0.85em;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>${title}</h1>
+    <ul>${renderNode(tree)}</ul>
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  name: "html",
+  extension: "html",
+  contentType: "text/html",
+  escapeHtml,
+  render,
+};
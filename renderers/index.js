@@ -0,0 +1,78 @@
+// Renderer registry. Every generator produces the same node model:
+//
+//   { name, type: "directory" | "file" | "symlink", path?, children?,
+//     metadata?, target?, broken?, cycle?, owners? }
+//
+// target is set on symlinks and on whatever a followed symlink led to.
+// owners lists the CODEOWNERS owners when the repository has that file.
+//
+// and a renderer turns a root node into text. Renderers are plain objects
+// with a unique `name`, the `extension` and `contentType` of their output
+// and a `render(tree, options)` function.
+const ascii = require("./ascii");
+const json = require("./json");
+const markdown = require("./markdown");
+const html = require("./html");
+const yaml = require("./yaml");
+const xml = require("./xml");
+const mermaid = require("./mermaid");
+const mindmap = require("./mindmap");
+const dot = require("./dot");
+const plantuml = require("./plantuml");
+const treemap = require("./treemap");
+
+const renderers = new Map();
+
+function registerRenderer(renderer) {
+  if (!renderer || !renderer.name || typeof renderer.render !== "function") {
+    throw new Error("A renderer needs a name and a render function");
+  }
+  renderers.set(renderer.name, renderer);
+  return renderer;
+}
+
+function hasRenderer(name) {
+  return renderers.has(name);
+}
+
+function listRenderers() {
+  return [...renderers.keys()];
+}
+
+function getRenderer(name) {
+  const renderer = renderers.get(name);
+  if (!renderer) {
+    throw new Error(
+      `Unknown format "${name}". Available formats: ${listRenderers().join(
+        ", "
+      )}`
+    );
+  }
+  return renderer;
+}
+
+function renderTree(tree, format, options = {}) {
+  return getRenderer(format).render(tree, options);
+}
+
+[
+  ascii,
+  json,
+  markdown,
+  html,
+  yaml,
+  xml,
+  mermaid,
+  mindmap,
+  dot,
+  plantuml,
+  treemap,
+].forEach(registerRenderer);
+
+module.exports = {
+  registerRenderer,
+  hasRenderer,
+  listRenderers,
+  getRenderer,
+  renderTree,
+};
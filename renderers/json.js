@@ -0,0 +1,10 @@
+function render(tree, options = {}) {
+  return JSON.stringify(tree, null, options.indent ?? 2);
+}
+
+module.exports = {
+  name: "json",
+  extension: "json",
+  contentType: "application/json",
+  render,
+};
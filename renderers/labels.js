@@ -0,0 +1,42 @@
+// " -> target" for nodes reached through a symlink, with a note when the
+// link is broken or points back into one of its parents
+function linkSuffix(node) {
+  if (!node.target) {
+    return "";
+  }
+  const note = node.broken ? " (broken)" : node.cycle ? " (cycle)" : "";
+  return ` -> ${node.target}${note}`;
+}
+
+// "  [@owner ...]" for nodes whose CODEOWNERS owners differ from their
+// parent's, so ownership shows where it changes instead of on every line.
+// Without a parent the owners are always shown.
+function ownersSuffix(node, parent) {
+  if (!node.owners) {
+    return "";
+  }
+  if (
+    parent &&
+    parent.owners &&
+    parent.owners.join(" ") === node.owners.join(" ")
+  ) {
+    return "";
+  }
+  return node.owners.length > 0
+    ? `  [${node.owners.join(" ")}]`
+    : "  [no owners]";
+}
+
+// "1.5 KB" and the like, for sizes in bytes
+function formatSize(bytes) {
+  const sizes = ["Bytes", "KB", "MB", "GB"];
+  if (bytes === 0) return "0 Bytes";
+  const i = parseInt(Math.floor(Math.log(bytes) / Math.log(1024)));
+  return Math.round(bytes / Math.pow(1024, i), 2) + " " + sizes[i];
+}
+
+module.exports = {
+  formatSize,
+  linkSuffix,
+  ownersSuffix,
+};
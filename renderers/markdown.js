@@ -0,0 +1,42 @@
+const { linkSuffix } = require("./labels");
+
+// Inline code that survives backticks in the text: the fence is one
+// backtick longer than the longest run inside, padded with a space that
+// Markdown strips again when the text starts or ends with a backtick or
+// space
+function inlineCode(text) {
+  const longest = Math.max(
+    0,
+    ...(text.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longest + 1);
+  const padding = /^[` ]|[` ]$/.test(text) ? " " : "";
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+// Nested Markdown bullet list, directories suffixed with "/"
+function render(tree, options = {}) {
+  const renderChildren = (node, depth) =>
+    (node.children || [])
+      .map((child) => {
+        const indent = "  ".repeat(depth);
+        const label = `${
+          child.type === "directory" ? `${child.name}/` : child.name
+        }${linkSuffix(child)}`;
+        const line = `${indent}- ${inlineCode(label)}\n`;
+        return child.type === "directory"
+          ? line + renderChildren(child, depth + 1)
+          : line;
+      })
+      .join("");
+
+  const title = options.title ? `# ${options.title}\n\n` : "";
+  return `${title}${renderChildren(tree, 0)}`;
+}
+
+module.exports = {
+  name: "markdown",
+  extension: "md",
+  contentType: "text/markdown",
+  render,
+};
@@ -0,0 +1,61 @@
+const { diagramNodes, mermaidText, usedStyles } = require("./diagram");
+
+// Mermaid flowchart of the tree, or a mindmap with options.style
+// "mindmap" (see mindmap.js). Nodes are numbered, so any name is a safe
+// label; options.direction is the flowchart direction (default LR).
+function render(tree, options = {}) {
+  if (options.style === "mindmap") {
+    return renderMindmap(tree, options);
+  }
+
+  const nodes = diagramNodes(tree, options);
+  const lines = [`graph ${options.direction || "LR"}`];
+
+  nodes.forEach(({ id, label }) =>
+    lines.push(`  ${id}["${mermaidText(label)}"]`)
+  );
+  nodes
+    .filter(({ parentId }) => parentId)
+    .forEach(({ id, parentId }) => lines.push(`  ${parentId} --> ${id}`));
+
+  usedStyles(nodes, options).forEach(({ category, fill, stroke }) => {
+    lines.push(`  classDef ${category} fill:${fill},stroke:${stroke}`);
+    lines.push(
+      `  class ${nodes
+        .filter((node) => node.category === category)
+        .map(({ id }) => id)
+        .join(",")} ${category}`
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Mindmaps are laid out by indentation. The root is a circle, directories
+// are boxes and files rounded boxes; categories become classes, which
+// Mermaid only styles through a theme's CSS.
+function renderMindmap(tree, options = {}) {
+  const lines = ["mindmap"];
+  diagramNodes(tree, options).forEach(
+    ({ id, node, depth, category, label }) => {
+      const text = `"${mermaidText(label)}"`;
+      const shape =
+        depth === 0
+          ? `((${text}))`
+          : node.type === "directory"
+          ? `[${text}]`
+          : `(${text})`;
+      const indent = "  ".repeat(depth + 1);
+      lines.push(`${indent}${id}${shape}`, `${indent}:::${category}`);
+    }
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  name: "mermaid",
+  extension: "mmd",
+  contentType: "text/vnd.mermaid",
+  render,
+  renderMindmap,
+};
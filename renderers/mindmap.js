@@ -0,0 +1,8 @@
+const { renderMindmap } = require("./mermaid");
+
+module.exports = {
+  name: "mindmap",
+  extension: "mmd",
+  contentType: "text/vnd.mermaid",
+  render: renderMindmap,
+};
@@ -0,0 +1,26 @@
+const { diagramNodes, plantumlText, usedStyles } = require("./diagram");
+
+// PlantUML work breakdown structure: one "*" per level, colored by
+// category.
+function render(tree, options = {}) {
+  const nodes = diagramNodes(tree, options);
+  const fills = new Map(
+    usedStyles(nodes, options).map(({ category, fill }) => [category, fill])
+  );
+
+  const lines = ["@startwbs"];
+  nodes.forEach(({ depth, category, label }) =>
+    lines.push(
+      `${"*".repeat(depth + 1)}[${fills.get(category)}] ${plantumlText(label)}`
+    )
+  );
+  lines.push("@endwbs");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  name: "plantuml",
+  extension: "puml",
+  contentType: "text/plain",
+  render,
+};
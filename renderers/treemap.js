@@ -0,0 +1,413 @@
+const { escapeHtml } = require("./html");
+const { CATEGORY_STYLES, fileCategory } = require("./diagram");
+const { formatSize } = require("./labels");
+
+// Treemap of where the bytes of a tree go, as a standalone HTML page with
+// inline SVG. Every directory gets its own view, laid out in advance, with
+// its children as rectangles sized by bytes and the contents of child
+// directories drawn one level deep inside them. Clicking a directory opens
+// its view through the URL hash, so the browser's back button goes up
+// again. Like the html renderer it loads nothing from the network.
+
+const WIDTH = 1200;
+const HEIGHT = 720;
+// Band at the top of a directory rectangle that holds its label
+const HEADER_HEIGHT = 18;
+const CHARACTER_WIDTH = 7;
+const DEFAULT_MAX_ITEMS = 200;
+
+const OTHER_STYLE = { fill: "#f1f3f4", stroke: "#bdc1c6" };
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Squarified layout (Bruls, Huizing and van Wijk): items, sorted by size
+// from largest, fill the rectangle in rows along its shorter side, and a
+// row grows while that keeps its rectangles closer to squares.
+// Returns [{ item, x, y, width, height }].
+function squarify(items, x, y, width, height) {
+  const total = items.reduce((sum, item) => sum + item.size, 0);
+  if (total <= 0 || width <= 0 || height <= 0) {
+    return [];
+  }
+
+  const scale = (width * height) / total;
+  const box = { x, y, width, height };
+  const rects = [];
+
+  const worst = (row, side) => {
+    const sum = row.reduce((a, b) => a + b, 0);
+    const max = Math.max(...row);
+    const min = Math.min(...row);
+    return Math.max(
+      (side * side * max) / (sum * sum),
+      (sum * sum) / (side * side * min)
+    );
+  };
+
+  const placeRow = (row, start) => {
+    const sum = row.reduce((a, b) => a + b, 0);
+    const vertical = box.width >= box.height;
+    const thickness = sum / (vertical ? box.height : box.width);
+    let offset = vertical ? box.y : box.x;
+
+    row.forEach((area, index) => {
+      const length = area / thickness;
+      rects.push({
+        item: items[start + index],
+        x: vertical ? box.x : offset,
+        y: vertical ? offset : box.y,
+        width: vertical ? thickness : length,
+        height: vertical ? length : thickness,
+      });
+      offset += length;
+    });
+
+    if (vertical) {
+      box.x += thickness;
+      box.width = Math.max(0, box.width - thickness);
+    } else {
+      box.y += thickness;
+      box.height = Math.max(0, box.height - thickness);
+    }
+  };
+
+  let row = [];
+  let start = 0;
+  items.forEach((item, index) => {
+    const area = item.size * scale;
+    const side = Math.min(box.width, box.height);
+    if (row.length > 0 && worst([...row, area], side) > worst(row, side)) {
+      placeRow(row, start);
+      row = [];
+      start = index;
+    }
+    row.push(area);
+  });
+  if (row.length > 0) {
+    placeRow(row, start);
+  }
+  return rects;
+}
+
+// Bytes and file counts of every node. Directories use the totals the
+// generators aggregate (which still count what a depth limit cut off) and
+// otherwise add up their files, for saved or hand-made trees without them.
+function measure(tree) {
+  const totals = new Map();
+  const visit = (node) => {
+    let result = { size: 0, files: 0 };
+    if (node.type === "file") {
+      result = { size: node.metadata?.size || 0, files: 1 };
+    } else if (node.type === "directory") {
+      (node.children || []).forEach((child) => {
+        const childResult = visit(child);
+        result.size += childResult.size;
+        result.files += childResult.files;
+      });
+      if (node.metadata?.fileCount !== undefined) {
+        result = { size: node.metadata.size, files: node.metadata.fileCount };
+      }
+    }
+    totals.set(node, result);
+    return result;
+  };
+  visit(tree);
+  return totals;
+}
+
+function describe(size, files) {
+  return `${formatSize(size)} in ${files} ${files === 1 ? "file" : "files"}`;
+}
+
+// The children of a directory that hold bytes, largest first; past
+// maxItems the smallest are merged into a single "other" entry
+function viewItems(node, nodePath, totals, maxItems) {
+  const items = (node.children || [])
+    .filter((child) => totals.get(child).size > 0)
+    .map((child) => ({
+      node: child,
+      path: nodePath ? `${nodePath}/${child.name}` : child.name,
+      ...totals.get(child),
+    }))
+    .sort((a, b) => b.size - a.size || a.path.localeCompare(b.path));
+
+  if (items.length <= maxItems) {
+    return items;
+  }
+  const kept = items.slice(0, Math.max(1, maxItems - 1));
+  const rest = items.slice(kept.length);
+  return [
+    ...kept,
+    {
+      node: null,
+      path: nodePath,
+      name: `${rest.length} smaller entries`,
+      size: rest.reduce((sum, item) => sum + item.size, 0),
+      files: rest.reduce((sum, item) => sum + item.files, 0),
+    },
+  ];
+}
+
+function itemStyle(item) {
+  if (!item.node) {
+    return OTHER_STYLE;
+  }
+  return CATEGORY_STYLES[fileCategory(item.node, item.path)];
+}
+
+function itemName(item) {
+  if (!item.node) {
+    return item.name;
+  }
+  return item.node.type === "directory" ? `${item.node.name}/` : item.node.name;
+}
+
+// Text that fits in width, cut with an ellipsis, or null when nothing does
+function fitLabel(text, width, height) {
+  const characters = Math.floor((width - 8) / CHARACTER_WIDTH);
+  if (height < 16 || characters < 3) {
+    return null;
+  }
+  return text.length <= characters ? text : `${text.slice(0, characters - 1)}…`;
+}
+
+function renderRect({ item, x, y, width, height }, options) {
+  const style = itemStyle(item);
+  const tooltip =
+    item.node?.type === "file"
+      ? `${item.path} — ${formatSize(item.size)}`
+      : `${item.node ? `${item.path}/` : item.name} — ${describe(
+          item.size,
+          item.files
+        )}`;
+  const label = options.label
+    ? fitLabel(`${itemName(item)} ${formatSize(item.size)}`, width, height)
+    : null;
+
+  return [
+    `<rect x="${round(x)}" y="${round(y)}" width="${round(
+      Math.max(0, width - 1)
+    )}" height="${round(Math.max(0, height - 1))}" fill="${
+      style.fill
+    }" stroke="${style.stroke}"><title>${escapeHtml(tooltip)}</title></rect>`,
+    label
+      ? `<text x="${round(x + 4)}" y="${round(y + 13)}">${escapeHtml(
+          label
+        )}</text>`
+      : "",
+  ].join("");
+}
+
+// One directory's view: its children, with the children of directories
+// drawn inside them without labels
+function renderView(view, views, totals, maxItems) {
+  const rects = squarify(view.items, 0, 0, WIDTH, HEIGHT);
+
+  return rects
+    .map((rect) => {
+      const { item } = rect;
+      if (!item.node || item.node.type !== "directory") {
+        return renderRect(rect, { label: true });
+      }
+
+      const inner = {
+        x: rect.x + 2,
+        y: rect.y + HEADER_HEIGHT,
+        width: rect.width - 5,
+        height: rect.height - HEADER_HEIGHT - 3,
+      };
+      const nested =
+        inner.width >= 10 && inner.height >= 10
+          ? squarify(
+              viewItems(item.node, item.path, totals, maxItems),
+              inner.x,
+              inner.y,
+              inner.width,
+              inner.height
+            )
+              .map((nestedRect) => renderRect(nestedRect, { label: false }))
+              .join("")
+          : "";
+
+      return `<a href="#${views.get(item.node).id}">${renderRect(rect, {
+        label: true,
+      })}${nested}</a>`;
+    })
+    .join("");
+}
+
+// options.title replaces the root's name; options.maxItems (default 200)
+// caps the rectangles per view.
+function render(tree, options = {}) {
+  const maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+  const title = options.title || tree.name;
+  const totals = measure(tree);
+
+  // Every directory with bytes below it gets a view
+  const views = new Map();
+  const collect = (node, nodePath, parent) => {
+    const view = {
+      id: `v${views.size}`,
+      node,
+      path: nodePath,
+      parent,
+      items: viewItems(node, nodePath, totals, maxItems),
+    };
+    views.set(node, view);
+    view.items
+      .filter((item) => item.node && item.node.type === "directory")
+      .forEach((item) => collect(item.node, item.path, view));
+  };
+  if (tree.type === "directory") {
+    collect(tree, "", null);
+  }
+
+  const groups = [...views.values()]
+    .map(
+      (view) =>
+        `<g class="view" id="${view.id}" data-name="${escapeHtml(
+          view.parent ? view.node.name : title
+        )}" data-summary="${escapeHtml(
+          describe(totals.get(view.node).size, totals.get(view.node).files)
+        )}"${view.parent ? ` data-parent="${view.parent.id}"` : ""}${
+          view.parent ? ' style="display: none"' : ""
+        }>${renderView(view, views, totals, maxItems)}</g>`
+    )
+    .join("\n");
+
+  const categories = [
+    ...new Set(
+      [...views.values()].flatMap((view) =>
+        view.items
+          .filter((item) => item.node)
+          .map((item) => fileCategory(item.node, item.path))
+      )
+    ),
+  ];
+  const legend = categories
+    .map(
+      (category) =>
+        `<span><i style="background: ${CATEGORY_STYLES[category].fill}; border-color: ${CATEGORY_STYLES[category].stroke}"></i>${category}</span>`
+    )
+    .join("");
+
+  const rootTotals = totals.get(tree);
+  const body =
+    rootTotals.size > 0 && tree.type === "directory"
+      ? `<nav id="crumbs"></nav>
+    <p id="summary">${escapeHtml(
+      describe(rootTotals.size, rootTotals.files)
+    )}</p>
+    <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeHtml(
+          `Treemap of ${title}`
+        )}">
+${groups}
+    </svg>
+    <p class="legend">${legend}</p>
+    <script>
+      (function () {
+        var views = Array.prototype.slice.call(
+          document.querySelectorAll("svg g.view")
+        );
+        var crumbs = document.getElementById("crumbs");
+        var summary = document.getElementById("summary");
+
+        function show() {
+          var current = document.getElementById(location.hash.slice(1));
+          if (!current || views.indexOf(current) === -1) {
+            current = views[0];
+          }
+          views.forEach(function (view) {
+            view.style.display = view === current ? "" : "none";
+          });
+
+          var path = [];
+          for (var view = current; view; ) {
+            path.unshift(view);
+            view = view.dataset.parent
+              ? document.getElementById(view.dataset.parent)
+              : null;
+          }
+          crumbs.textContent = "";
+          path.forEach(function (view, index) {
+            if (index > 0) {
+              crumbs.appendChild(document.createTextNode(" / "));
+            }
+            var crumb = document.createElement(
+              view === current ? "strong" : "a"
+            );
+            if (view !== current) {
+              crumb.href = "#" + view.id;
+            }
+            crumb.textContent = view.dataset.name;
+            crumbs.appendChild(crumb);
+          });
+          summary.textContent = current.dataset.summary;
+        }
+
+        window.addEventListener("hashchange", show);
+        show();
+      })();
+    </script>`
+      : `<p>No file sizes to show.</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body {
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto,
+          sans-serif;
+        margin: 2rem;
+        color: #2c3e50;
+      }
+      nav {
+        font-size: 1.1em;
+      }
+      svg {
+        display: block;
+        width: 100%;
+        height: auto;
+        font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+        font-size: 12px;
+      }
+      svg a rect {
+        cursor: pointer;
+      }
+      svg a:hover > rect:first-child {
+        stroke-width: 2;
+      }
+      text {
+        pointer-events: none;
+        fill: #202124;
+      }
+      .legend span {
+        margin-right: 1rem;
+      }
+      .legend i {
+        display: inline-block;
+        width: 0.8em;
+        height: 0.8em;
+        margin-right: 0.3em;
+        border: 1px solid;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  name: "treemap",
+  extension: "html",
+  contentType: "text/html",
+  squarify,
+  render,
+};
@@ -0,0 +1,58 @@
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Metadata becomes attributes; nested objects are skipped and arrays are
+// joined with commas.
+function metadataAttributes(metadata = {}) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (value instanceof Date) return [key, value.toISOString()];
+      if (Array.isArray(value)) return [key, value.join(",")];
+      return [key, value];
+    })
+    .filter(([, value]) => typeof value !== "object")
+    .filter(([key]) => /^[A-Za-z_][\w.-]*$/.test(key))
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+}
+
+function renderNode(node, depth) {
+  const pad = "  ".repeat(depth);
+  const tag = ["directory", "symlink"].includes(node.type) ? node.type : "file";
+  const attributes = `name="${escapeXml(node.name)}"${metadataAttributes({
+    target: node.target,
+    broken: node.broken,
+    cycle: node.cycle,
+    ...node.metadata,
+  })}`;
+  const children = node.type === "directory" ? node.children || [] : [];
+
+  if (children.length === 0) {
+    return `${pad}<${tag} ${attributes}/>\n`;
+  }
+  return `${pad}<${tag} ${attributes}>\n${children
+    .map((child) => renderNode(child, depth + 1))
+    .join("")}${pad}</${tag}>\n`;
+}
+
+function render(tree) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<tree>\n${renderNode(
+    tree,
+    1
+  )}</tree>\n`;
+}
+
+module.exports = {
+  name: "xml",
+  extension: "xml",
+  contentType: "application/xml",
+  escapeXml,
+  render,
+};
@@ -0,0 +1,80 @@
+// Minimal YAML emitter for the JSON-compatible node model
+const PLAIN_STRING = /^[A-Za-z_./][\w ./@+-]*$/;
+const RESERVED = /^(true|false|yes|no|on|off|null|~)$/i;
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+
+  const text = String(value);
+  if (PLAIN_STRING.test(text) && !RESERVED.test(text) && !/ $/.test(text)) {
+    return text;
+  }
+  return JSON.stringify(text);
+}
+
+function isNested(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    Object.keys(value).length > 0
+  );
+}
+
+function emptyCollection(value) {
+  return Array.isArray(value) ? "[]" : "{}";
+}
+
+function serialize(value, indent) {
+  const pad = "  ".repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => {
+        if (!isNested(item)) {
+          const scalar =
+            item !== null && typeof item === "object" && !(item instanceof Date)
+              ? emptyCollection(item)
+              : formatScalar(item);
+          return `${pad}- ${scalar}\n`;
+        }
+        // First key goes on the dash line, the rest align under it
+        const body = serialize(item, indent + 1);
+        return `${pad}- ${body.slice(pad.length + 2)}`;
+      })
+      .join("");
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => {
+      const label = `${pad}${formatScalar(key)}:`;
+      if (isNested(item)) {
+        return `${label}\n${serialize(item, indent + 1)}`;
+      }
+      if (
+        item !== null &&
+        typeof item === "object" &&
+        !(item instanceof Date)
+      ) {
+        return `${label} ${emptyCollection(item)}\n`;
+      }
+      return `${label} ${formatScalar(item)}\n`;
+    })
+    .join("");
+}
+
+function render(tree) {
+  return serialize(tree, 0);
+}
+
+module.exports = {
+  name: "yaml",
+  extension: "yaml",
+  contentType: "application/yaml",
+  render,
+};
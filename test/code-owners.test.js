@@ -0,0 +1,93 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  CodeOwners,
+  parseCodeOwners,
+  loadCodeOwners,
+} = require("../CodeOwners");
+
+const owners = new CodeOwners(`
+# Default owners
+*                 @org/core
+*.js              @js-owner
+/docs/            docs@example.com
+apps/*            @apps-team
+/build/logs/      @ops
+src/generated/
+`);
+
+test("the last matching rule wins", () => {
+  assert.deepEqual(owners.ownersOf("README.md"), ["@org/core"]);
+  assert.deepEqual(owners.ownersOf("src/index.js"), ["@js-owner"]);
+  assert.deepEqual(owners.ownersOf("docs/guide.js"), ["docs@example.com"]);
+});
+
+test("a directory pattern covers everything below it", () => {
+  assert.deepEqual(owners.ownersOf("docs", true), ["docs@example.com"]);
+  assert.deepEqual(owners.ownersOf("docs/api/intro.md"), ["docs@example.com"]);
+  assert.deepEqual(owners.ownersOf("build/logs/today.txt"), ["@ops"]);
+  // Anchored: only at the root
+  assert.deepEqual(owners.ownersOf("src/docs/intro.md"), ["@org/core"]);
+});
+
+test('"dir/*" only covers the files directly in dir', () => {
+  assert.deepEqual(owners.ownersOf("apps/README.md"), ["@apps-team"]);
+  assert.deepEqual(owners.ownersOf("apps/web/README.md"), ["@org/core"]);
+  assert.deepEqual(owners.ownersOf("apps/web", true), ["@org/core"]);
+});
+
+test("a pattern without owners leaves paths unowned", () => {
+  assert.deepEqual(owners.ownersOf("src/generated/api.js"), []);
+});
+
+test("invalid lines are reported and skipped", () => {
+  const { rules, errors } = parseCodeOwners(
+    [
+      "!vendor/ @a",
+      "[ab].js @a",
+      "*.md not-an-owner",
+      "\\#notes.txt @a # trailing comment",
+    ].join("\n")
+  );
+
+  assert.deepEqual(
+    errors.map((error) => error.line),
+    [1, 2, 3]
+  );
+  assert.match(errors[2].message, /invalid owner "not-an-owner"/);
+  assert.deepEqual(
+    rules.map((rule) => [rule.pattern, rule.owners]),
+    [["#notes.txt", ["@a"]]]
+  );
+});
+
+test("annotate sets owners on every node", () => {
+  const tree = {
+    name: "packages",
+    type: "directory",
+    children: [
+      { name: "main.js", type: "file" },
+      { name: "notes.md", type: "file" },
+    ],
+  };
+
+  owners.annotate(tree, "src");
+
+  assert.deepEqual(tree.owners, ["@org/core"]);
+  assert.deepEqual(tree.children[0].owners, ["@js-owner"]);
+  assert.deepEqual(tree.children[1].owners, ["@org/core"]);
+});
+
+test("the first CODEOWNERS location that exists is used", async () => {
+  const files = {
+    CODEOWNERS: "* @root",
+    "docs/CODEOWNERS": "* @docs",
+  };
+  const read = async (location) => files[location] ?? null;
+
+  const loaded = await loadCodeOwners(read);
+
+  assert.equal(loaded.file, "CODEOWNERS");
+  assert.deepEqual(loaded.ownersOf("a.txt"), ["@root"]);
+  assert.equal(await loadCodeOwners(async () => null), null);
+});
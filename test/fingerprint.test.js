@@ -0,0 +1,93 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const { FileSystemJsonTreeGenerator } = require("../JsonTreeGenerator");
+
+function tempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fingerprint-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function write(root, file, content = "") {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+const generatorFor = (options = {}) =>
+  new FileSystemJsonTreeGenerator({
+    excludePatterns: [],
+    analyzeFiles: false,
+    ...options,
+  });
+
+test("ignored entries do not count against maxEntries", async (t) => {
+  const root = tempDirectory(t);
+  write(root, ".gitignore", "build/\n");
+  write(root, "src/index.js");
+  for (let i = 0; i < 20; i++) {
+    write(root, `build/out-${i}.js`);
+  }
+  const generator = generatorFor({ maxEntries: 10 });
+
+  await generator.generateTreeData(root);
+  await assert.doesNotReject(generator.fingerprint(root));
+});
+
+test("it reports no progress and does not count against maxEntries", async (t) => {
+  const root = tempDirectory(t);
+  for (let i = 0; i < 20; i++) {
+    write(root, `src/file-${i}.js`);
+  }
+  const progress = [];
+  const generator = generatorFor({
+    maxEntries: 10,
+    onProgress: (update) => progress.push(update),
+  });
+
+  await generator.fingerprint(root);
+  assert.deepEqual(progress, []);
+});
+
+test("ignored entries do not change it, the ignore rules do", async (t) => {
+  const root = tempDirectory(t);
+  write(root, ".gitignore", "*.log\n");
+  write(root, "src/index.js");
+  const fingerprint = () => generatorFor().fingerprint(root);
+  const initial = await fingerprint();
+
+  write(root, "src/debug.log", "noise");
+  assert.equal(await fingerprint(), initial);
+
+  write(root, ".treeignore", "src/\n");
+  assert.notEqual(await fingerprint(), initial);
+});
+
+test("changes behind a followed symlink change it", async (t) => {
+  const root = tempDirectory(t);
+  const shared = tempDirectory(t);
+  write(shared, "config.json", "{}");
+  write(root, "README.md");
+  fs.symlinkSync(shared, path.join(root, "shared"));
+  const fingerprint = (options) => generatorFor(options).fingerprint(root);
+
+  const followed = await fingerprint({ followSymlinks: true });
+  const listed = await fingerprint();
+  write(shared, "extra.json", "{}");
+
+  assert.notEqual(await fingerprint({ followSymlinks: true }), followed);
+  // Not followed, the link itself is all that is listed
+  assert.equal(await fingerprint(), listed);
+});
+
+test("links back into a parent are not followed", async (t) => {
+  const root = tempDirectory(t);
+  write(root, "a/file.txt");
+  fs.symlinkSync(root, path.join(root, "a", "loop"));
+
+  await assert.doesNotReject(
+    generatorFor({ followSymlinks: true }).fingerprint(root)
+  );
+});
@@ -0,0 +1,179 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, test } = require("node:test");
+const { GitHubJsonTreeGenerator } = require("../JsonTreeGenerator");
+const { GitHubTreeGenerator } = require("../TreeGenerator");
+
+// A repository whose recursive listing GitHub cuts short. Trees are keyed
+// by SHA as the non-recursive git/trees endpoint serves them.
+const TREES = {
+  "tree-root": [
+    { path: "README.md", type: "blob", sha: "blob-readme", size: 12 },
+    { path: "docs", type: "tree", sha: "tree-docs" },
+    { path: "src", type: "tree", sha: "tree-src" },
+  ],
+  "tree-docs": [
+    { path: "guide.md", type: "blob", sha: "blob-guide", size: 30 },
+  ],
+  "tree-src": [
+    { path: "index.js", type: "blob", sha: "blob-index", size: 40 },
+    { path: "lib", type: "tree", sha: "tree-lib" },
+  ],
+  "tree-lib": [{ path: "util.js", type: "blob", sha: "blob-util", size: 50 }],
+};
+
+const COMPLETE_PATHS = [
+  "README.md",
+  "docs",
+  "docs/guide.md",
+  "src",
+  "src/index.js",
+  "src/lib",
+  "src/lib/util.js",
+];
+
+let server;
+let apiUrl;
+let requests;
+
+function respond(url) {
+  if (url.pathname === "/repos/o/r") {
+    return { default_branch: "main", html_url: "https://github.com/o/r" };
+  }
+  if (url.pathname === "/repos/o/r/commits/main") {
+    return { sha: "commit-1", commit: { tree: { sha: "tree-root" } } };
+  }
+  const match = /^\/repos\/o\/r\/git\/trees\/(.+)$/.exec(url.pathname);
+  if (match && url.searchParams.get("recursive") === "1") {
+    // Only the first few entries, as GitHub does past its limits
+    return {
+      sha: match[1],
+      tree: TREES[match[1]].slice(0, 2),
+      truncated: true,
+    };
+  }
+  if (match && TREES[match[1]]) {
+    return { sha: match[1], tree: TREES[match[1]], truncated: false };
+  }
+  return null;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(`${url.pathname}${url.search}`);
+    const body = respond(url);
+    res.writeHead(body ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body || { message: "Not Found" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function paths(node, prefix = "") {
+  return (node.children || []).flatMap((child) => {
+    const childPath = prefix ? `${prefix}/${child.name}` : child.name;
+    return [childPath, ...paths(child, childPath)];
+  });
+}
+
+test("a truncated listing is completed by walking subtrees", async () => {
+  requests = [];
+  const generator = new GitHubJsonTreeGenerator({
+    apiUrl,
+    cache: false,
+    maxRetries: 0,
+    treeConcurrency: 2,
+  });
+
+  const result = await generator.generate("https://github.com/o/r");
+
+  assert.deepEqual(paths(result.tree).sort(), COMPLETE_PATHS);
+  assert.equal(result.stats.truncated, true);
+  assert.equal(result.stats.complete, true);
+  // Repository, commit and recursive listing, then one request per tree
+  assert.equal(result.stats.requests, 3 + Object.keys(TREES).length);
+  assert.equal(requests.length, result.stats.requests);
+  Object.keys(TREES).forEach((sha) =>
+    assert.ok(requests.includes(`/repos/o/r/git/trees/${sha}`))
+  );
+});
+
+test("excluded directories are not walked", async () => {
+  requests = [];
+  const generator = new GitHubJsonTreeGenerator({
+    apiUrl,
+    cache: false,
+    maxRetries: 0,
+    excludePatterns: ["src"],
+  });
+
+  const result = await generator.generate("https://github.com/o/r");
+
+  assert.deepEqual(paths(result.tree).sort(), [
+    "README.md",
+    "docs",
+    "docs/guide.md",
+  ]);
+  assert.ok(!requests.includes("/repos/o/r/git/trees/tree-src"));
+  assert.ok(!requests.includes("/repos/o/r/git/trees/tree-lib"));
+});
+
+test("the text generator reports the walk in its stats", async () => {
+  const result = await GitHubTreeGenerator.generate("https://github.com/o/r", {
+    apiUrl,
+    cache: false,
+    maxRetries: 0,
+  });
+
+  assert.match(result.tree, /util\.js/);
+  assert.equal(result.stats.truncated, true);
+  assert.equal(result.stats.complete, true);
+  assert.equal(result.stats.requests, 3 + Object.keys(TREES).length);
+});
+
+test("an aborted signal stops the walk between requests", async () => {
+  requests = [];
+  const controller = new AbortController();
+  const generator = new GitHubJsonTreeGenerator({
+    apiUrl,
+    cache: false,
+    maxRetries: 0,
+    signal: controller.signal,
+    onProgress: () => controller.abort(),
+  });
+
+  await assert.rejects(generator.generate("https://github.com/o/r"), {
+    name: "AbortError",
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("a failed subtree cancels the fetches still in flight", async () => {
+  const generator = new GitHubJsonTreeGenerator({
+    apiUrl,
+    cache: false,
+    treeConcurrency: 2,
+  });
+  const cancelled = [];
+  generator.makeGitHubRequest = async (path, { signal }) => {
+    if (path.endsWith("/tree-root")) {
+      return { tree: TREES["tree-root"] };
+    }
+    if (path.endsWith("/tree-docs")) {
+      throw Object.assign(new Error("Server Error"), { statusCode: 500 });
+    }
+    // tree-src waits until it is cancelled
+    await new Promise((resolve) => signal.addEventListener("abort", resolve));
+    cancelled.push(path);
+    throw signal.reason;
+  };
+
+  await assert.rejects(generator.walkTree("o", "r", "tree-root"), {
+    message: "Server Error",
+  });
+  await new Promise(setImmediate);
+  assert.deepEqual(cancelled, ["/repos/o/r/git/trees/tree-src"]);
+});
@@ -0,0 +1,51 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const { HttpClient, ResponseCache } = require("../HttpClient");
+
+function tempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "http-cache-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const entry = (body) => ({ url: "u", etag: '"e"', statusCode: 200, body });
+
+function setUsed(cache, key, seconds) {
+  fs.utimesSync(cache.filePath(key), seconds, seconds);
+}
+
+test("the least recently used entries are pruned past maxSize", (t) => {
+  const directory = tempDirectory(t);
+  const cache = new ResponseCache(directory, 3000);
+  const [oldest, recent, newest] = ["a", "b", "c"].map((name) =>
+    cache.key(`https://api.example.com/${name}`, {})
+  );
+
+  cache.write(oldest, entry("x".repeat(1000)));
+  cache.write(recent, entry("x".repeat(1000)));
+  setUsed(cache, oldest, 1000);
+  setUsed(cache, recent, 2000);
+  cache.write(newest, entry("x".repeat(1000)));
+
+  assert.equal(cache.read(oldest), null);
+  assert.equal(cache.read(recent).body.length, 1000);
+  assert.equal(cache.read(newest).body.length, 1000);
+});
+
+test("entries larger than the whole cache are not written", (t) => {
+  const directory = tempDirectory(t);
+  const cache = new ResponseCache(directory, 100);
+  const key = cache.key("https://api.example.com/big", {});
+
+  cache.write(key, entry("x".repeat(200)));
+
+  assert.equal(cache.read(key), null);
+});
+
+test("a maximum size of 0 turns the cache off", () => {
+  assert.equal(new HttpClient({ cacheMaxSize: 0 }).cache, null);
+  assert.equal(new HttpClient({ cache: false }).cache, null);
+});
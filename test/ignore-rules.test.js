@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const { IgnoreRules, globToRegExp } = require("../IgnoreRules");
+const { FileSystemJsonTreeGenerator } = require("../JsonTreeGenerator");
+
+const rules = (content) => new IgnoreRules("/project").add(content);
+
+test("globs match like git's", () => {
+  const matches = (pattern, value) =>
+    new RegExp(`^${globToRegExp(pattern)}$`).test(value);
+
+  assert.ok(matches("*.log", "error.log"));
+  assert.ok(!matches("*.log", "logs/error.log"));
+  assert.ok(matches("**/build", "a/b/build"));
+  assert.ok(matches("**/build", "build"));
+  assert.ok(matches("logs/**", "logs/a/b.txt"));
+  assert.ok(matches("a/**/b", "a/b"));
+  assert.ok(matches("a/**/b", "a/x/y/b"));
+  assert.ok(matches("file?.txt", "file1.txt"));
+  assert.ok(!matches("file?.txt", "file/.txt"));
+  assert.ok(matches("[!a]*.js", "b.js"));
+  assert.ok(!matches("[!a]*.js", "a.js"));
+  assert.ok(matches("\\#notes", "#notes"));
+});
+
+test("unanchored patterns match at any depth", () => {
+  const ignore = rules("*.log\nnode_modules/\n");
+
+  assert.ok(ignore.ignores("debug.log"));
+  assert.ok(ignore.ignores("src/debug.log"));
+  assert.ok(ignore.ignores("node_modules", true));
+  assert.ok(ignore.ignores("packages/a/node_modules/x/index.js"));
+  // Directory-only patterns leave files of the same name alone
+  assert.ok(!ignore.ignores("node_modules", false));
+});
+
+test("a slash anchors the pattern to the ignore file's directory", () => {
+  const ignore = rules("/build\ndocs/*.md\n");
+
+  assert.ok(ignore.ignores("build", true));
+  assert.ok(!ignore.ignores("src/build", true));
+  assert.ok(ignore.ignores("docs/intro.md"));
+  assert.ok(!ignore.ignores("docs/api/intro.md"));
+});
+
+test("the last matching rule wins and negations re-include", () => {
+  const ignore = rules("*.log\n!keep.log\n");
+
+  assert.ok(ignore.ignores("a.log"));
+  assert.ok(!ignore.ignores("keep.log"));
+});
+
+test("files inside an ignored directory stay ignored", () => {
+  const ignore = rules("dist/\n!dist/keep.js\n");
+
+  assert.ok(ignore.ignores("dist/keep.js"));
+});
+
+test("comments, blank lines and trailing spaces are skipped", () => {
+  const ignore = rules("# comment\n\n*.tmp   \n\\#literal\n");
+
+  assert.equal(ignore.rules.length, 2);
+  assert.ok(ignore.ignores("a.tmp"));
+  assert.ok(ignore.ignores("#literal"));
+});
+
+test("nested .gitignore rules apply below their directory only", () => {
+  const ignore = rules("*.log\n").withIgnoreFile(
+    "/project/packages/app",
+    "!important.log\nfixtures/\n"
+  );
+
+  assert.ok(!ignore.ignores("packages/app/important.log"));
+  assert.ok(ignore.ignores("important.log"));
+  assert.ok(ignore.ignores("packages/app/fixtures", true));
+  assert.ok(!ignore.ignores("fixtures", true));
+});
+
+test("the walker honors .gitignore and .treeignore", async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ignore-rules-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const write = (file, content = "") => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  write(".gitignore", "*.log\n");
+  write(".treeignore", "fixtures/\n");
+  write("src/.gitignore", "generated.js\n");
+  write("src/index.js");
+  write("src/generated.js");
+  write("src/debug.log");
+  write("fixtures/data.json");
+  write(".git/HEAD");
+
+  const generator = new FileSystemJsonTreeGenerator({
+    excludePatterns: [],
+    analyzeFiles: false,
+  });
+  const tree = await generator.generateTreeData(root);
+  const names = (node) =>
+    (node.children || []).flatMap((child) => [
+      child.name,
+      ...names(child).map((name) => `${child.name}/${name}`),
+    ]);
+
+  assert.deepEqual(names(tree).sort(), [
+    ".gitignore",
+    ".treeignore",
+    "src",
+    "src/.gitignore",
+    "src/index.js",
+  ]);
+});
+
+test("treeignoreFile is a file name in the root", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ignore-rules-"));
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), "ignore-rules-"));
+  t.after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+  fs.writeFileSync(path.join(outside, "rules"), "secret\n");
+  fs.writeFileSync(path.join(root, "custom.ignore"), "*.tmp\n");
+  fs.symlinkSync(path.join(outside, "rules"), path.join(root, ".treeignore"));
+
+  ["../x", `../${path.basename(outside)}/rules`, "a/b", ".."].forEach(
+    (treeignoreFile) =>
+      assert.throws(() => IgnoreRules.forRoot(root, { treeignoreFile }), {
+        code: "VALIDATION_ERROR",
+      })
+  );
+  assert.ok(
+    IgnoreRules.forRoot(root, { treeignoreFile: "custom.ignore" }).ignores(
+      "a.tmp"
+    )
+  );
+  // A symlinked .treeignore is not read
+  assert.ok(!IgnoreRules.forRoot(root).ignores("secret"));
+});
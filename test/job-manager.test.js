@@ -0,0 +1,13 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { JobManager } = require("../JobManager");
+
+test("a job is only found by its owner", async () => {
+  const jobs = new JobManager();
+  const job = jobs.create("remote", async () => ({ ok: true }), "key:a");
+
+  assert.equal(jobs.get(job.id, "key:a"), job);
+  assert.equal(jobs.get(job.id, "key:b"), null);
+  assert.equal(jobs.get(job.id), null);
+  assert.equal("owner" in JobManager.toJSON(job), false);
+});
@@ -0,0 +1,83 @@
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+
+// The service in a child process, reading from and writing to temporary
+// directories
+let server;
+let baseUrl;
+let root;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-api-"));
+  fs.mkdirSync(path.join(root, "project", "src"), { recursive: true });
+  fs.mkdirSync(path.join(root, "artifacts"));
+  fs.writeFileSync(path.join(root, "project", "src", "index.js"), "");
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      API_KEYS: "",
+      API_KEYS_FILE: "",
+      ALLOWED_ROOTS: path.join(root, "project"),
+      ARTIFACTS_DIR: path.join(root, "artifacts"),
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("running on port")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`Server exited: ${code}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+async function finishedJob(body) {
+  const created = await fetch(`${baseUrl}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  assert.equal(created.status, 202);
+  const { data } = await created.json();
+
+  for (;;) {
+    const response = await fetch(`${baseUrl}/api/jobs/${data.id}`);
+    const job = (await response.json()).data;
+    if (job.finishedAt) return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test("a job's result is what the tree route would send", async () => {
+  const body = { type: "filesystem", path: path.join(root, "project") };
+
+  // Stored in the result cache, then served from it
+  for (const run of ["miss", "hit"]) {
+    const job = await finishedJob(body);
+    assert.equal(job.status, "succeeded", run);
+    assert.deepEqual(Object.keys(job.result).sort(), ["data", "files"], run);
+    assert.equal(job.result.data.children[0].name, "src", run);
+  }
+});
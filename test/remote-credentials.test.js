@@ -0,0 +1,117 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, beforeEach, test } = require("node:test");
+const { createRemoteGenerator } = require("../RemoteProviders");
+
+// Two stand-ins for provider APIs: the configured one (GITHUB_API_URL) and
+// one a client names through its repository URL or apiUrl. Both answer
+// 404 and record the Authorization header of every request.
+let configured;
+let other;
+let seen;
+
+function listen() {
+  const server = http.createServer((req, res) => {
+    seen.push({
+      port: server.address().port,
+      authorization: req.headers.authorization || null,
+    });
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ message: "Not Found" }));
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+const hostOf = (server) => `127.0.0.1:${server.address().port}`;
+
+before(async () => {
+  configured = await listen();
+  other = await listen();
+  process.env.GITHUB_API_URL = `http://${hostOf(configured)}`;
+  process.env.GITHUB_TOKEN = "SERVER_SECRET";
+});
+
+after(async () => {
+  delete process.env.GITHUB_API_URL;
+  delete process.env.GITHUB_TOKEN;
+  await Promise.all(
+    [configured, other].map(
+      (server) => new Promise((resolve) => server.close(resolve))
+    )
+  );
+});
+
+beforeEach(() => {
+  seen = [];
+});
+
+async function generate(repoUrl, options = {}) {
+  const generator = createRemoteGenerator(repoUrl, {
+    provider: "github",
+    cache: false,
+    maxRetries: 0,
+    ...options,
+  });
+  return generator.resolveRepository(repoUrl).catch((error) => error);
+}
+
+test("the server token goes to the configured API", async () => {
+  await generate("https://github.com/o/r");
+
+  assert.deepEqual(seen, [
+    {
+      port: configured.address().port,
+      authorization: "Bearer SERVER_SECRET",
+    },
+  ]);
+});
+
+test("hosts from the repository URL never get the server token", async () => {
+  await generate(`http://${hostOf(other)}/o/r`);
+
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].port, other.address().port);
+  assert.equal(seen[0].authorization, null);
+});
+
+test("an apiUrl option never gets the server token", async () => {
+  await generate("https://github.com/o/r", {
+    apiUrl: `http://${hostOf(other)}`,
+  });
+
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].authorization, null);
+});
+
+test("the client's own token goes wherever it points", async () => {
+  await generate(`http://${hostOf(other)}/o/r`, { token: "CLIENT" });
+
+  assert.equal(seen[0].authorization, "Bearer CLIENT");
+});
+
+test("serverToken: false keeps the server token back", async () => {
+  await generate("https://github.com/o/r", { serverToken: false });
+
+  assert.equal(seen[0].authorization, null);
+});
+
+test("with allowedHosts, other hosts are not contacted", async () => {
+  const error = await generate(`http://${hostOf(other)}/o/r`, {
+    allowedHosts: [],
+  });
+
+  assert.equal(error.code, "HOST_NOT_ALLOWED");
+  assert.equal(error.statusCode, 403);
+  assert.deepEqual(seen, []);
+
+  await generate(`http://${hostOf(other)}/o/r`, {
+    allowedHosts: [hostOf(other)],
+  });
+  assert.equal(seen.length, 1);
+
+  // The configured API is always allowed
+  await generate("https://github.com/o/r", { allowedHosts: [] });
+  assert.equal(seen.length, 2);
+});
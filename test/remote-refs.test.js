@@ -0,0 +1,68 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, test } = require("node:test");
+const { toApiError } = require("../ApiErrors");
+const { GitHubJsonTreeGenerator } = require("../JsonTreeGenerator");
+
+// A repository with one branch, "main". Like GitHub, the commits endpoint
+// answers 422 for a ref it does not know.
+let server;
+let apiUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    if (pathname === "/repos/o/r") {
+      return reply(200, { default_branch: "main" });
+    }
+    if (pathname === "/repos/o/r/commits/main") {
+      return reply(200, { sha: "commit-1", commit: { tree: { sha: "t" } } });
+    }
+    if (pathname.startsWith("/repos/o/r/commits/")) {
+      return reply(422, { message: "No commit found for SHA" });
+    }
+    reply(400, { message: "Bad request" });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const generator = (options = {}) =>
+  new GitHubJsonTreeGenerator({
+    apiUrl,
+    cache: false,
+    maxRetries: 0,
+    ...options,
+  });
+
+test("an unknown ref is REF_NOT_FOUND", async () => {
+  const expected = { code: "REF_NOT_FOUND", statusCode: 404 };
+
+  await assert.rejects(
+    generator({ ref: "mian" }).resolveRepository("https://github.com/o/r"),
+    expected
+  );
+  await assert.rejects(
+    generator().resolveRepository("https://github.com/o/r/tree/mian/src"),
+    expected
+  );
+  assert.equal(
+    (await generator().resolveRepository("https://github.com/o/r")).commit.sha,
+    "commit-1"
+  );
+});
+
+test("other requests the provider rejects are the client's error", async () => {
+  const error = await generator()
+    .makeRequest("/repos/o/r/other")
+    .catch(toApiError);
+
+  assert.equal(error.code, "INVALID_SOURCE_REQUEST");
+  assert.equal(error.statusCode, 400);
+});
@@ -0,0 +1,39 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { renderTree } = require("../renderers");
+
+const tree = {
+  name: "project",
+  type: "directory",
+  children: [
+    {
+      name: "src",
+      type: "directory",
+      children: [{ name: "index.js", type: "file", metadata: { size: 2048 } }],
+    },
+    { name: "a`b.md", type: "file" },
+    { name: "`quoted`", type: "file" },
+  ],
+};
+
+test("markdown lists every name as inline code", () => {
+  assert.equal(
+    renderTree(tree, "markdown", { title: "project" }),
+    [
+      "# project",
+      "",
+      "- `src/`",
+      "  - `index.js`",
+      "- ``a`b.md``",
+      "- `` `quoted` ``",
+      "",
+    ].join("\n")
+  );
+});
+
+test("html shows file sizes", () => {
+  assert.match(
+    renderTree(tree, "html"),
+    /index\.js <span class="size">2 KB<\/span>/
+  );
+});
@@ -0,0 +1,117 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  splitRepositoryUrl,
+  parseGitHubUrl,
+  parseGitLabUrl,
+  parseGiteaUrl,
+} = require("../RepositoryUrl");
+const { detectProvider, getProvider } = require("../RemoteProviders");
+
+test("web, clone and SSH URLs name the same repository", () => {
+  [
+    "https://github.com/o/r",
+    "https://www.github.com/o/r/",
+    "https://github.com/o/r.git",
+    "github.com/o/r",
+    "git@github.com:o/r.git",
+    "ssh://git@github.com/o/r.git",
+  ].forEach((url) => {
+    const result = parseGitHubUrl(url);
+    assert.equal(result.host, "github.com", url);
+    assert.equal(result.owner, "o", url);
+    assert.equal(result.repo, "r", url);
+    assert.equal(result.ref, null, url);
+  });
+});
+
+test("the protocol is kept for plain HTTP hosts", () => {
+  assert.equal(splitRepositoryUrl("http://git.local/o/r").protocol, "http:");
+  assert.equal(splitRepositoryUrl("git.local/o/r").protocol, "https:");
+});
+
+test("URLs without an owner and repository are rejected", () => {
+  assert.equal(parseGitHubUrl("https://github.com/o"), null);
+  assert.equal(parseGitHubUrl(""), null);
+  assert.equal(parseGitHubUrl("https://exa mple.com/o/r"), null);
+});
+
+test("GitHub tree and commit URLs", () => {
+  assert.deepEqual(
+    parseGitHubUrl("https://github.com/o/r/tree/feature/login/src/app")
+      .treeSegments,
+    ["feature", "login", "src", "app"]
+  );
+  assert.equal(
+    parseGitHubUrl("https://github.com/o/r/commit/4f2c0e1").ref,
+    "4f2c0e1"
+  );
+  // Encoded segments are decoded
+  assert.deepEqual(
+    parseGitHubUrl("https://github.com/o/r/tree/main/my%20docs").treeSegments,
+    ["main", "my docs"]
+  );
+});
+
+test("GitLab nested groups and the /-/ separator", () => {
+  const result = parseGitLabUrl(
+    "https://gitlab.com/group/subgroup/project/-/tree/main/src"
+  );
+  assert.equal(result.owner, "group/subgroup");
+  assert.equal(result.repo, "project");
+  assert.deepEqual(result.treeSegments, ["main", "src"]);
+
+  assert.equal(
+    parseGitLabUrl("https://gitlab.com/group/project/-/commit/abc123").ref,
+    "abc123"
+  );
+  assert.equal(
+    parseGitLabUrl("git@gitlab.com:group/project.git").repo,
+    "project"
+  );
+});
+
+test("Gitea branch, tag and commit URLs", () => {
+  assert.deepEqual(
+    parseGiteaUrl("https://gitea.com/o/r/src/branch/main/src").treeSegments,
+    ["main", "src"]
+  );
+  assert.deepEqual(
+    parseGiteaUrl("https://gitea.com/o/r/src/tag/v1.0").treeSegments,
+    ["v1.0"]
+  );
+
+  const commit = parseGiteaUrl("https://gitea.com/o/r/src/commit/abc123/docs");
+  assert.equal(commit.ref, "abc123");
+  assert.equal(commit.path, "docs");
+});
+
+test("providers are detected from the host", () => {
+  const name = (url) => {
+    const provider = detectProvider(url);
+    return provider && provider.providerName;
+  };
+
+  assert.equal(name("https://github.com/o/r"), "github");
+  assert.equal(name("https://github.example.com/o/r"), "github");
+  assert.equal(name("https://gitlab.com/g/p"), "gitlab");
+  assert.equal(name("https://gitea.com/o/r"), "gitea");
+  assert.equal(name("https://example.com/o/r"), null);
+  assert.equal(getProvider("forgejo").providerName, "gitea");
+  assert.throws(() => getProvider("svn"), { code: "UNKNOWN_PROVIDER" });
+});
+
+test("owners and repositories that would change the API path are rejected", () => {
+  [
+    [parseGitHubUrl, "https://github.com/%2e%2e/r"],
+    [parseGitHubUrl, "https://github.com/o/.."],
+    [parseGitHubUrl, "https://github.com/o%2Fx/r"],
+    [parseGitHubUrl, "https://github.com/o/r%3Fx=1"],
+    [parseGitHubUrl, "https://github.com/o/r%23x"],
+    [parseGitHubUrl, "https://github.com/o/r%25"],
+    [parseGiteaUrl, "https://gitea.com/o%2F../r"],
+    [parseGitLabUrl, "https://gitlab.com/group/%2e%2e/project"],
+  ].forEach(([parse, url]) => assert.equal(parse(url), null, url));
+  // Nested GitLab groups are still one owner
+  assert.equal(parseGitLabUrl("https://gitlab.com/a/b/c").owner, "a/b");
+});
@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { buildOpenApiDocument } = require("../OpenApi");
+const { validate } = require("../SchemaValidator");
+
+const document = buildOpenApiDocument({
+  formats: ["ascii", "json"],
+  diffFormats: ["unified"],
+  jobSchemas: { filesystem: "FilesystemTreeRequest" },
+});
+const check = (name, value) =>
+  validate({ $ref: `#/components/schemas/${name}` }, value, document);
+
+test("a valid value has no problems", () => {
+  assert.deepEqual(check("FilesystemTreeRequest", { path: "/project" }), []);
+});
+
+test("problems point at the offending value", () => {
+  assert.deepEqual(check("FilesystemTreeRequest", { format: 1 }), [
+    { path: "/path", message: "is required" },
+    { path: "/format", message: "must be string" },
+  ]);
+  assert.deepEqual(check("FilesystemTreeRequest", []), [
+    { path: "/", message: "must be object" },
+  ]);
+});
+
+test("keywords are checked", () => {
+  const problems = (schema, value) =>
+    validate(schema, value, document).map((problem) => problem.message);
+
+  assert.deepEqual(problems({ enum: ["a", "b"] }, "c"), [
+    'must be one of: "a", "b"',
+  ]);
+  assert.deepEqual(problems({ type: "string", minLength: 1 }, ""), [
+    "must not be empty",
+  ]);
+  assert.deepEqual(problems({ type: "string", pattern: "^[a-z]+$" }, "A"), [
+    'must match pattern "^[a-z]+$"',
+  ]);
+  assert.deepEqual(problems({ type: "integer", minimum: 1 }, 0), [
+    "must be at least 1",
+  ]);
+  assert.deepEqual(problems({ type: "integer" }, 1.5), ["must be integer"]);
+  assert.deepEqual(problems({ type: "number", maximum: 2 }, 3), [
+    "must be at most 2",
+  ]);
+  assert.deepEqual(
+    problems({ type: "array", minItems: 1, items: { type: "string" } }, []),
+    ["must have at least 1 items"]
+  );
+  assert.deepEqual(
+    validate({ type: "array", items: { type: "string" } }, ["a", 1], document),
+    [{ path: "/1", message: "must be string" }]
+  );
+  assert.deepEqual(problems({ type: ["array", "string"] }, "a"), []);
+});
+
+test("unknown properties are refused or checked as additionalProperties", () => {
+  assert.deepEqual(
+    validate(
+      { type: "object", properties: {}, additionalProperties: false },
+      { "a/b": 1 },
+      document
+    ),
+    [{ path: "/a~1b", message: "is not allowed" }]
+  );
+  assert.deepEqual(
+    validate(
+      { type: "object", additionalProperties: { type: "number" } },
+      { a: "x" },
+      document
+    ),
+    [{ path: "/a", message: "must be number" }]
+  );
+});
+
+test("a discriminator picks the schema by its property", () => {
+  assert.deepEqual(check("JobRequest", { type: "filesystem" }), [
+    { path: "/path", message: "is required" },
+  ]);
+  assert.deepEqual(check("JobRequest", { type: "ftp", path: "/" }), [
+    { path: "/type", message: 'must be one of: "filesystem"' },
+  ]);
+});
+
+test("save formats are the registered renderers", () => {
+  const save = { treeData: {}, outputPath: "tree.txt" };
+
+  assert.deepEqual(check("SaveRequest", { ...save, format: "ascii" }), []);
+  assert.deepEqual(check("SaveRequest", { ...save, format: "foo" }), [
+    { path: "/format", message: 'must be one of: "ascii", "json"' },
+  ]);
+});
+
+test("unknown references throw", () => {
+  assert.throws(
+    () => validate({ $ref: "#/components/schemas/Missing" }, {}, document),
+    /Unknown schema reference/
+  );
+});
@@ -0,0 +1,105 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { parseToml } = require("../TomlParser");
+
+test("a Cargo manifest", () => {
+  const manifest = parseToml(`
+# Package metadata
+[package]
+name = "tree-gen"
+version = "0.3.1"
+edition = "2021"
+authors = ["Ada <ada@example.com>", 'Grace']
+
+[dependencies]
+serde = { version = "1.0", features = ["derive"] }
+tokio.version = "1"
+tokio.features = ["full"]
+
+[[bin]]
+name = "tree-gen"
+path = "src/main.rs"
+
+[[bin]]
+name = "tree-diff"
+`);
+
+  assert.deepEqual(manifest.package, {
+    name: "tree-gen",
+    version: "0.3.1",
+    edition: "2021",
+    authors: ["Ada <ada@example.com>", "Grace"],
+  });
+  assert.deepEqual(manifest.dependencies, {
+    serde: { version: "1.0", features: ["derive"] },
+    tokio: { version: "1", features: ["full"] },
+  });
+  assert.deepEqual(
+    manifest.bin.map((bin) => bin.name),
+    ["tree-gen", "tree-diff"]
+  );
+});
+
+test("a pyproject with dotted tables and quoted keys", () => {
+  const manifest = parseToml(`
+[project]
+name = "tree_gen"
+requires-python = ">=3.9"
+dependencies = [
+  "requests>=2",  # trailing comments and commas are fine
+  "rich",
+]
+
+[project.optional-dependencies]
+dev = ["pytest"]
+
+[tool."setuptools.packages"]
+find = {}
+`);
+
+  assert.equal(manifest.project["requires-python"], ">=3.9");
+  assert.deepEqual(manifest.project.dependencies, ["requests>=2", "rich"]);
+  assert.deepEqual(manifest.project["optional-dependencies"], {
+    dev: ["pytest"],
+  });
+  assert.deepEqual(manifest.tool["setuptools.packages"], { find: {} });
+});
+
+test("strings, numbers, booleans and dates", () => {
+  const values = parseToml(`
+basic = "tab\\tquote\\" \\u00e9"
+literal = 'C:\\path\\no escapes'
+multi = """
+first
+second"""
+multiLiteral = '''
+raw \\n'''
+integer = 1_000
+hex = 0xff
+negative = -7
+float = 3.5e2
+yes = true
+no = false
+released = 1979-05-27T07:32:00Z
+`);
+
+  assert.equal(values.basic, 'tab\tquote" é');
+  assert.equal(values.literal, "C:\\path\\no escapes");
+  assert.equal(values.multi, "first\nsecond");
+  assert.equal(values.multiLiteral, "raw \\n");
+  assert.equal(values.integer, 1000);
+  assert.equal(values.hex, 255);
+  assert.equal(values.negative, -7);
+  assert.equal(values.float, 350);
+  assert.equal(values.yes, true);
+  assert.equal(values.no, false);
+  assert.equal(values.released, "1979-05-27T07:32:00Z");
+});
+
+test("malformed input fails with its line number", () => {
+  assert.throws(() => parseToml('name = "a"\nname = "b"'), {
+    message: /line 2: duplicate key "name"/,
+  });
+  assert.throws(() => parseToml('\n\nname = "unterminated'), /line 3/);
+  assert.throws(() => parseToml("[a]\nb = 1\n[[a.b]]"), /not an array/);
+});
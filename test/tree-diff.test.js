@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { diffTrees, renderDiff } = require("../TreeDiff");
+
+const file = (name, sha, metadata = {}) => ({
+  name,
+  type: "file",
+  metadata: { sha, ...metadata },
+});
+const dir = (name, children, sha) => ({
+  name,
+  type: "directory",
+  children,
+  metadata: sha ? { sha } : {},
+});
+
+const changesOf = (diff) =>
+  diff.changes.map(({ status, path, from }) =>
+    from ? `${status} ${from} -> ${path}` : `${status} ${path}`
+  );
+
+test("added, removed and modified files", () => {
+  const before = dir("root", [
+    file("a.js", "1"),
+    file("b.js", "2"),
+    file("c.js", "3"),
+  ]);
+  const after = dir("root", [
+    file("a.js", "1"),
+    file("b.js", "22"),
+    file("d.js", "4"),
+  ]);
+
+  const diff = diffTrees(before, after);
+
+  assert.deepEqual(changesOf(diff), [
+    "modified b.js",
+    "removed c.js",
+    "added d.js",
+  ]);
+  assert.deepEqual(diff.summary, {
+    added: 1,
+    removed: 1,
+    modified: 1,
+    renamed: 0,
+    unchanged: 1,
+  });
+});
+
+test("a file whose content moves is a rename", () => {
+  const before = dir("root", [dir("src", [file("util.js", "u")], "s1")]);
+  const after = dir("root", [
+    dir("src", [], "s2"),
+    dir("lib", [file("util.js", "u")], "l1"),
+  ]);
+
+  assert.deepEqual(changesOf(diffTrees(before, after)), [
+    "added lib",
+    "renamed src/util.js -> lib/util.js",
+  ]);
+  assert.deepEqual(
+    changesOf(diffTrees(before, after, { detectRenames: false })),
+    ["added lib", "added lib/util.js", "removed src/util.js"]
+  );
+});
+
+test("a renamed directory is reported once", () => {
+  const children = [file("a.js", "1"), file("b.js", "2")];
+  const before = dir("root", [dir("old", children, "tree")]);
+  const after = dir("root", [dir("new", children, "tree")]);
+
+  assert.deepEqual(changesOf(diffTrees(before, after)), ["renamed old -> new"]);
+});
+
+test("copies prefer the entry with the same name", () => {
+  const before = dir("root", [file("config.json", "c")]);
+  const after = dir("root", [
+    file("defaults.json", "c"),
+    dir("app", [file("config.json", "c")]),
+  ]);
+
+  assert.deepEqual(changesOf(diffTrees(before, after)), [
+    "added app",
+    "renamed config.json -> app/config.json",
+    "added defaults.json",
+  ]);
+});
+
+test("without SHAs, size and modification time decide", () => {
+  const at = (size, modified) => ({
+    name: "a.txt",
+    type: "file",
+    metadata: { size, modified },
+  });
+
+  const unchanged = diffTrees(
+    dir("root", [at(1, "2024-01-01T00:00:00Z")]),
+    dir("root", [at(1, "2024-01-01T00:00:00.000Z")])
+  );
+  const touched = diffTrees(
+    dir("root", [at(1, "2024-01-01T00:00:00Z")]),
+    dir("root", [at(1, "2024-02-01T00:00:00Z")])
+  );
+
+  assert.equal(unchanged.changes.length, 0);
+  assert.deepEqual(changesOf(touched), ["modified a.txt"]);
+});
+
+test("a file replaced by a directory is removed and added", () => {
+  const before = dir("root", [file("docs", "1")]);
+  const after = dir("root", [dir("docs", [file("index.md", "2")])]);
+
+  assert.deepEqual(changesOf(diffTrees(before, after)), [
+    "removed docs",
+    "added docs",
+    "added docs/index.md",
+  ]);
+});
+
+test("the renderers list every change", () => {
+  const before = dir("root", [file("a.js", "1"), file("b.js", "2")]);
+  const after = dir("root", [file("a.js", "11"), file("c.js", "2")]);
+  const diff = {
+    before: "v1",
+    after: "v2",
+    ...diffTrees(before, after),
+  };
+
+  const ascii = renderDiff(diff, "ascii", {
+    beforeTree: before,
+    afterTree: after,
+  });
+  assert.match(ascii, /a\.js/);
+  assert.match(ascii, /c\.js/);
+
+  const markdown = renderDiff(diff, "markdown");
+  assert.match(markdown, /b\.js/);
+  assert.match(markdown, /c\.js/);
+
+  assert.deepEqual(JSON.parse(renderDiff(diff, "json")), diff);
+  assert.throws(() => renderDiff(diff, "svg"), /Unknown diff format/);
+});
@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+const { parseSourceSpec } = require("../TreeSources");
+
+function tempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tree-sources-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test("strings are read as saved trees, directories, refs or URLs", async (t) => {
+  const root = tempDirectory(t);
+  const saved = path.join(root, "tree.json");
+  fs.writeFileSync(saved, "{}");
+
+  assert.equal((await parseSourceSpec(saved)).type, "saved");
+  assert.equal((await parseSourceSpec(root)).type, "filesystem");
+  assert.deepEqual(await parseSourceSpec(`${root}@v1.0`), {
+    type: "git",
+    path: root,
+    ref: "v1.0",
+    resolved: root,
+  });
+  assert.equal(
+    (await parseSourceSpec(path.join(root, "missing"))).type,
+    "remote"
+  );
+  assert.equal(
+    (await parseSourceSpec("git@github.com:o/r.git")).type,
+    "remote"
+  );
+});
+
+test("local paths are resolved before anything looks at them", async (t) => {
+  const root = tempDirectory(t);
+  const seen = [];
+  const refuse = async (localPath) => {
+    seen.push(localPath);
+    const error = new Error("Path is outside the allowed root directories");
+    error.code = "PATH_NOT_ALLOWED";
+    throw error;
+  };
+
+  // Refused the same way whether the path exists or not
+  await assert.rejects(parseSourceSpec(root, refuse), {
+    code: "PATH_NOT_ALLOWED",
+  });
+  await assert.rejects(parseSourceSpec(path.join(root, "missing"), refuse), {
+    code: "PATH_NOT_ALLOWED",
+  });
+  assert.deepEqual(seen, [root, path.join(root, "missing")]);
+
+  // URLs are never taken for paths
+  seen.length = 0;
+  assert.equal(
+    (await parseSourceSpec("https://github.com/o/r", refuse)).type,
+    "remote"
+  );
+  assert.deepEqual(seen, []);
+});